@@ -375,6 +375,8 @@ class Dataset extends CueCollection {
 
         // Inline update callbacks
         this._update_callbacks = [];
+        // Inline batch callbacks
+        this._batch_callbacks = [];
     };
 
     /**
@@ -411,6 +413,39 @@ class Dataset extends CueCollection {
         });
     };
 
+    /*
+        BATCH CALLBACKS
+
+        Inline callbacks invoked with the event items of every batch,
+        (update, lookup_delete, clear), synchronously, before events
+        are delivered. NOOP items are not included.
+    */
+
+    add_batch_callback (handler) {
+        let handle = {
+            handler: handler
+        }
+        this._batch_callbacks.push(handle);
+        return handle;
+    };
+
+    del_batch_callback (handle) {
+        let index = this._batch_callbacks.indexOf(handle);
+        if (index > -1) {
+            this._batch_callbacks.splice(index, 1);
+        }
+    };
+
+    // extend
+    _notifyEvents (items) {
+        if (items.length > 0) {
+            for (let handle of [...this._batch_callbacks]) {
+                handle.handler(items);
+            }
+        }
+        super._notifyEvents(items);
+    };
+
     /***************************************************************
      MAP METHODS
     */
@@ -578,7 +613,9 @@ class Dataset extends CueCollection {
         const epoch_ts = epoch();
         const info = {
             ts: epoch_ts,
-            author: options.author
+            author: options.author,
+            transaction: options.transaction,
+            origin: options.origin
         };
 
         for (let cue of cues) {
@@ -1005,7 +1042,9 @@ class Dataset extends CueCollection {
         const items = [];
         const info = {
             ts: epoch(),
-            author: options.author
+            author: options.author,
+            transaction: options.transaction,
+            origin: options.origin
         };
         let cue;
         for (let i=0; i<cues.length; i++) {
@@ -1032,7 +1071,9 @@ class Dataset extends CueCollection {
         const items = [];
         const info = {
             ts: epoch(),
-            author: options.author
+            author: options.author,
+            transaction: options.transaction,
+            origin: options.origin
         };
         for (let cue of _map.values()) {
             items.push({key: cue.key, new: undefined, old: cue, info});
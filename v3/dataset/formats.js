@@ -0,0 +1,119 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    FORMATS
+
+    Registry of subtitle format adapters for Dataset.
+
+    An adapter is an object (or module) with
+    - parse(text, options) : returns {cues, ...}, where cues are
+      cue args for Dataset.update()
+    - serialize(collection, options) : returns text, from cues
+      of Dataset or Subset
+    - detect(text) : optional, true if text appears to be of
+      this format
+
+    Built-in formats: "webvtt", "srt", "ttml"
+
+        formats.load(dataset, text, "srt");
+        let text = formats.serialize(dataset, "webvtt");
+
+    Custom formats may be registered
+
+        formats.registerFormat("myformat", {parse, serialize});
+*/
+
+import * as webvtt from './webvtt.js';
+import * as srt from './srt.js';
+import * as ttml from './ttml.js';
+
+const adapters = new Map();
+
+export function registerFormat(name, adapter) {
+    if (typeof adapter.parse != "function" || typeof adapter.serialize != "function") {
+        throw new Error(`format ${name} - adapter must implement parse and serialize`);
+    }
+    adapters.set(name, adapter);
+}
+
+export function getFormat(name) {
+    let adapter = adapters.get(name);
+    if (adapter == undefined) {
+        throw new Error(`unknown format ${name}`);
+    }
+    return adapter;
+}
+
+export function listFormats() {
+    return [...adapters.keys()];
+}
+
+/*
+    name of first registered format detecting the text,
+    or undefined
+*/
+export function detect(text) {
+    for (let [name, adapter] of adapters.entries()) {
+        if (typeof adapter.detect == "function" && adapter.detect(text)) {
+            return name;
+        }
+    }
+}
+
+export function parse(text, format, options) {
+    if (format == undefined) {
+        format = detect(text);
+        if (format == undefined) {
+            throw new Error("unable to detect format");
+        }
+    }
+    return getFormat(format).parse(text, options);
+}
+
+/*
+    parse text and update dataset with cues
+    - format is detected if undefined
+    - returns parse result
+*/
+export function load(dataset, text, format, options) {
+    let result = parse(text, format, options);
+    dataset.update(result.cues);
+    return result;
+}
+
+export function serialize(collection, format, options) {
+    return getFormat(format).serialize(collection, options);
+}
+
+
+// built-in formats
+registerFormat("webvtt", {
+    ...webvtt,
+    detect: (text) => /^\uFEFF?WEBVTT(?:[ \t\r\n]|$)/.test(text)
+});
+registerFormat("ttml", {
+    ...ttml,
+    detect: (text) => /^\uFEFF?\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:\w+:)?tt[\s>]/.test(text)
+});
+registerFormat("srt", {
+    ...srt,
+    detect: (text) => /^\uFEFF?\s*\d+\s*\r?\n\s*\d+:\d\d:\d\d[,.]\d+\s*-->/.test(text)
+});
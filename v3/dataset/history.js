@@ -0,0 +1,251 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    DATASET HISTORY
+
+    Undo/redo for Dataset updates.
+
+        let history = new DatasetHistory(ds);
+        ds.update(...);
+        ...
+        history.undo();
+        history.redo();
+        history.close();
+
+    Each batch of the dataset is recorded as a transaction. Undo
+    applies the inverse of the transaction as a single update,
+    redo applies the transaction again. Recording a new transaction
+    clears the redo stack.
+
+    Batches are recorded synchronously (batch callbacks of the
+    dataset), so an update is available for undo as soon as
+    Dataset.update() returns.
+
+    Batches with info.origin defined are changes made elsewhere,
+    e.g. applied by DatasetReplicator on behalf of remote peers.
+    These are not recorded, so undo never reverts the edits of
+    other users.
+
+    Transactions
+    - batches tagged with the same transaction id, e.g.
+      ds.update(cues, {transaction: id}), are grouped into a single
+      transaction, as long as they are recorded consecutively
+    - makeBuilder(options) creates a cue arg builder with a new
+      transaction id, so all batches submitted by the builder are
+      grouped
+    - transaction() returns a new transaction id, for use with
+      Dataset.update()
+
+    options
+    - max_count: max number of transactions - default 100
+    - max_size: max number of cue changes, summed over
+      transactions - default Infinity. The most recent transaction
+      is always kept.
+
+    events
+    - change {undo, redo} : number of transactions available for
+      undo and redo (init event)
+*/
+
+import eventify from '../util/eventify.js';
+
+const DEFAULT_MAX_COUNT = 100;
+
+// cue arg restoring given cue state
+function cueArg(key, cue) {
+    if (cue == undefined) {
+        return {key};
+    }
+    return {key, interval: cue.interval, data: cue.data};
+}
+
+
+class DatasetHistory {
+
+    constructor(dataset, options={}) {
+        let {max_count=DEFAULT_MAX_COUNT, max_size=Infinity} = options;
+        this._ds = dataset;
+        this._max_count = max_count;
+        this._max_size = max_size;
+        // transactions - {id, items}
+        this._undo_stack = [];
+        this._redo_stack = [];
+        // total number of items in undo stack
+        this._size = 0;
+        // true while undo/redo is applied
+        this._applying = false;
+        this._transaction_count = 0;
+
+        eventify.eventifyInstance(this);
+        this.eventifyDefine("change", {init:true});
+
+        this._cb = this._ds.add_batch_callback(this._onBatch.bind(this));
+    }
+
+    eventifyInitEventArgs(name) {
+        if (name == "change") {
+            return [this._state()];
+        }
+    }
+
+    get dataset() {return this._ds;};
+    get canUndo() {return this._undo_stack.length > 0;};
+    get canRedo() {return this._redo_stack.length > 0;};
+    get size() {return this._size;};
+
+    _state() {
+        return {
+            undo: this._undo_stack.length,
+            redo: this._redo_stack.length
+        };
+    }
+
+    _notify() {
+        this.eventifyTrigger("change", this._state());
+    }
+
+    /*
+        new transaction id
+    */
+    transaction() {
+        this._transaction_count += 1;
+        return `transaction-${this._transaction_count}`;
+    }
+
+    /*
+        cue arg builder grouping all submitted batches
+        into one transaction
+    */
+    makeBuilder(options={}) {
+        return this._ds.makeBuilder({...options, transaction: this.transaction()});
+    }
+
+    /*
+        record batch
+    */
+    _onBatch(items) {
+        if (this._applying || items[0].info.origin != undefined) {
+            return;
+        }
+        let id = items[0].info.transaction;
+        // only cue state needed for undo/redo
+        items = items.map(({key, new:_new, old}) => {
+            return {key, new:_new, old};
+        });
+        let top = this._undo_stack[this._undo_stack.length-1];
+        if (id != undefined && top != undefined && top.id == id && this._redo_stack.length == 0) {
+            top.items.push(...items);
+        } else {
+            this._undo_stack.push({id, items});
+        }
+        this._size += items.length;
+        this._redo_stack = [];
+        this._trim();
+        this._notify();
+    }
+
+    /*
+        enforce max count and max size
+    */
+    _trim() {
+        let stack = this._undo_stack;
+        while (stack.length > this._max_count ||
+               (this._size > this._max_size && stack.length > 1)) {
+            this._size -= stack.shift().items.length;
+        }
+    }
+
+    _apply(cues, options) {
+        this._applying = true;
+        try {
+            let items = this._ds.update(cues, options);
+            // NOOP items carry no info
+            return items.filter((item) => item.info != undefined);
+        } finally {
+            this._applying = false;
+        }
+    }
+
+    /*
+        undo last transaction
+        returns event items from Dataset.update()
+        - options are passed to Dataset.update()
+    */
+    undo(options={}) {
+        let trans = this._undo_stack.pop();
+        if (trans == undefined) {
+            return [];
+        }
+        this._size -= trans.items.length;
+        this._redo_stack.push(trans);
+        // inverse - reverse order
+        let cues = [];
+        for (let i=trans.items.length-1; i>=0; i--) {
+            let {key, old} = trans.items[i];
+            cues.push(cueArg(key, old));
+        }
+        let items = this._apply(cues, options);
+        this._notify();
+        return items;
+    }
+
+    /*
+        redo last undone transaction
+        returns event items from Dataset.update()
+        - options are passed to Dataset.update()
+    */
+    redo(options={}) {
+        let trans = this._redo_stack.pop();
+        if (trans == undefined) {
+            return [];
+        }
+        this._undo_stack.push(trans);
+        this._size += trans.items.length;
+        let cues = trans.items.map(({key, new:_new}) => cueArg(key, _new));
+        let items = this._apply(cues, options);
+        this._notify();
+        return items;
+    }
+
+    /*
+        forget all transactions
+    */
+    clear() {
+        this._undo_stack = [];
+        this._redo_stack = [];
+        this._size = 0;
+        this._notify();
+    }
+
+    /*
+        stop recording
+    */
+    close() {
+        if (this._cb != undefined) {
+            this._ds.del_batch_callback(this._cb);
+            this._cb = undefined;
+        }
+    }
+}
+
+eventify.eventifyPrototype(DatasetHistory.prototype);
+
+export default DatasetHistory;
@@ -0,0 +1,445 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    DATASET PERSISTENCE
+
+    Persists a Dataset to a storage backend, incrementally,
+    and restores it at startup.
+
+        let backend = new IndexedDBBackend("annotations");
+        let persistence = new DatasetPersistence(ds, backend);
+        await persistence.open();   // restore, then follow changes
+        ...
+        await persistence.close();
+
+    open() restores all stored cues with a single Dataset.update(),
+    so that CueBuckets are built in one flush. Stored cues replace
+    cues with the same key already in the dataset, and cues only
+    present in the dataset are written to the backend. Then, batch events
+    from the dataset are written to the backend as deltas. Batches
+    arriving while a write is in progress are merged into the next
+    write, so that the backend is never behind by more than one write.
+
+    If a write fails, its operations are kept, unless replaced by
+    newer operations for the same key, and written again with the
+    next batch, or by flush().
+
+    Cue data must be supported by the backend - for IndexedDB,
+    cue keys must be valid IndexedDB keys, and cue data must be
+    structured cloneable.
+
+    Records
+    - {key, interval, data, info}
+    - interval: [low, high, lowInclude, highInclude] or undefined
+    - info: cue info {ts, change_ts, change_id}, preserved on restore
+
+    Meta
+    - {ts}: info.ts of the last batch written
+
+    events (no init events)
+    - writeerror {error} : write failed
+*/
+
+import eventify from '../util/eventify.js';
+
+
+/***************************************************************
+ STORAGE BACKEND
+***************************************************************/
+
+/*
+    Abstract storage backend - all methods are async
+
+    - open()
+    - getAll() : returns {records, meta}
+    - write(ops, meta) : apply list of operations, and set meta,
+      atomically
+        - {type:"put", record}
+        - {type:"delete", key}
+    - clear() : remove all records and meta
+    - close()
+*/
+
+export class StorageBackend {
+    async open() {throw new Error("not implemented");}
+    async getAll() {throw new Error("not implemented");}
+    async write(ops, meta) {throw new Error("not implemented");}
+    async clear() {throw new Error("not implemented");}
+    async close() {throw new Error("not implemented");}
+}
+
+
+function clone(value) {
+    return (typeof structuredClone == "function") ? structuredClone(value) : value;
+}
+
+/*
+    In-memory storage backend
+
+    Stand-in for IndexedDBBackend, e.g. for tests in Node.js.
+    Records are cloned, as with IndexedDB, and survive close() and
+    open(), so the same backend may be used to emulate a reload.
+*/
+
+export class MemoryBackend extends StorageBackend {
+
+    constructor() {
+        super();
+        this._records = new Map();
+        this._meta = {};
+        this._open = false;
+    }
+
+    get size() {return this._records.size;}
+
+    _check() {
+        if (!this._open) {
+            throw new Error("storage backend not open");
+        }
+    }
+
+    async open() {
+        this._open = true;
+    }
+
+    async getAll() {
+        this._check();
+        return {
+            records: [...this._records.values()].map(clone),
+            meta: clone(this._meta)
+        };
+    }
+
+    async write(ops, meta) {
+        this._check();
+        for (let op of ops) {
+            if (op.type == "put") {
+                this._records.set(op.record.key, clone(op.record));
+            } else if (op.type == "delete") {
+                this._records.delete(op.key);
+            }
+        }
+        if (meta != undefined) {
+            this._meta = clone(meta);
+        }
+    }
+
+    async clear() {
+        this._check();
+        this._records.clear();
+        this._meta = {};
+    }
+
+    async close() {
+        this._open = false;
+    }
+}
+
+
+/*
+    IndexedDB storage backend
+
+    - name: database name
+    - options.indexedDB: IDBFactory - default is global indexedDB
+
+    Database has object stores "cues" (keyPath key) and "meta".
+*/
+
+const DB_VERSION = 1;
+const CUES = "cues";
+const META = "meta";
+const META_KEY = "meta";
+
+function request2promise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transaction2promise(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+    });
+}
+
+export class IndexedDBBackend extends StorageBackend {
+
+    constructor(name, options={}) {
+        super();
+        this._name = name;
+        this._indexedDB = options.indexedDB || globalThis.indexedDB;
+        this._db;
+    }
+
+    _check() {
+        if (this._db == undefined) {
+            throw new Error("storage backend not open");
+        }
+    }
+
+    async open() {
+        if (this._indexedDB == undefined) {
+            throw new Error("no IndexedDB implementation available");
+        }
+        let request = this._indexedDB.open(this._name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            let db = request.result;
+            if (!db.objectStoreNames.contains(CUES)) {
+                db.createObjectStore(CUES, {keyPath: "key"});
+            }
+            if (!db.objectStoreNames.contains(META)) {
+                db.createObjectStore(META);
+            }
+        };
+        this._db = await request2promise(request);
+    }
+
+    async getAll() {
+        this._check();
+        let tx = this._db.transaction([CUES, META], "readonly");
+        let [records, meta] = await Promise.all([
+            request2promise(tx.objectStore(CUES).getAll()),
+            request2promise(tx.objectStore(META).get(META_KEY))
+        ]);
+        return {records, meta: meta || {}};
+    }
+
+    async write(ops, meta) {
+        this._check();
+        let tx = this._db.transaction([CUES, META], "readwrite");
+        let done = transaction2promise(tx);
+        let store = tx.objectStore(CUES);
+        for (let op of ops) {
+            if (op.type == "put") {
+                store.put(op.record);
+            } else if (op.type == "delete") {
+                store.delete(op.key);
+            }
+        }
+        if (meta != undefined) {
+            tx.objectStore(META).put(meta, META_KEY);
+        }
+        return done;
+    }
+
+    async clear() {
+        this._check();
+        let tx = this._db.transaction([CUES, META], "readwrite");
+        let done = transaction2promise(tx);
+        tx.objectStore(CUES).clear();
+        tx.objectStore(META).clear();
+        return done;
+    }
+
+    async close() {
+        if (this._db != undefined) {
+            this._db.close();
+            this._db = undefined;
+        }
+    }
+}
+
+
+/***************************************************************
+ DATASET PERSISTENCE
+***************************************************************/
+
+function cue2record(cue) {
+    let {key, interval, data, info} = cue;
+    if (interval != undefined) {
+        interval = [interval.low, interval.high, interval.lowInclude, interval.highInclude];
+    }
+    return {key, interval, data, info};
+}
+
+function record2cue(record) {
+    let {key, interval, data, info} = record;
+    return {key, interval, data, info};
+}
+
+class DatasetPersistence {
+
+    constructor(dataset, backend) {
+        this._ds = dataset;
+        this._backend = backend;
+        this._sub;
+        this._meta = {};
+        // pending operations - key -> op
+        this._ops = new Map();
+        // promise for ongoing writes
+        this._writing = Promise.resolve();
+        this._write_pending = false;
+        this._error;
+
+        eventify.eventifyInstance(this);
+        this.eventifyDefine("writeerror", {init:false});
+    }
+
+    get dataset() {return this._ds;};
+    get backend() {return this._backend;};
+    get meta() {return {...this._meta};};
+    get isOpen() {return this._sub != undefined;};
+
+    /*
+        restore dataset from backend, then follow dataset changes
+        - cues in dataset, but not in backend, are written
+        - returns number of restored cues
+    */
+    async open() {
+        if (this._sub != undefined) {
+            throw new Error("persistence already open");
+        }
+        await this._backend.open();
+        let {records, meta} = await this._backend.getAll();
+        this._meta = meta || {};
+        if (records.length > 0) {
+            // single update - single flush of CueBuckets
+            this._ds.update(records.map(record2cue));
+        }
+        // write cues not in backend
+        let keys = new Set(records.map((record) => record.key));
+        for (let cue of this._ds.values()) {
+            if (!keys.has(cue.key)) {
+                this._ops.set(cue.key, {type: "put", record: cue2record(cue)});
+            }
+        }
+        if (this._ops.size > 0) {
+            this._scheduleWrite();
+        }
+        // batch events from restore are triggered before subscription
+        this._sub = this._ds.on("batch", this._onBatch.bind(this), {init:false});
+        return records.length;
+    }
+
+    _onBatch(items) {
+        for (let item of items) {
+            if (item.new != undefined) {
+                this._ops.set(item.key, {type: "put", record: cue2record(item.new)});
+            } else {
+                this._ops.set(item.key, {type: "delete", key: item.key});
+            }
+            if (item.info && item.info.ts != undefined) {
+                this._meta = {...this._meta, ts: item.info.ts};
+            }
+        }
+        this._scheduleWrite();
+    }
+
+    /*
+        at most one write pending - pending operations
+        are merged until the write starts
+    */
+    _scheduleWrite() {
+        if (this._write_pending) {
+            return;
+        }
+        this._write_pending = true;
+        this._writing = this._writing.then(() => {
+            this._write_pending = false;
+            let ops = [...this._ops.values()];
+            this._ops = new Map();
+            if (ops.length == 0) {
+                return;
+            }
+            return this._backend.write(ops, this._meta).catch((error) => {
+                this._restoreOps(ops);
+                throw error;
+            });
+        }).catch((error) => {
+            this._error = error;
+            this.eventifyTrigger("writeerror", {error});
+        });
+    }
+
+    /*
+        keep operations of failed write for next write
+        - newer operations for the same key take precedence
+    */
+    _restoreOps(ops) {
+        for (let op of ops) {
+            let key = (op.type == "put") ? op.record.key : op.key;
+            if (!this._ops.has(key)) {
+                this._ops.set(key, op);
+            }
+        }
+    }
+
+    /*
+        resolves when all changes so far are written
+        - rejects with the last write error, if any
+    */
+    async flush() {
+        // retry operations of failed writes
+        if (this._ops.size > 0) {
+            this._scheduleWrite();
+        }
+        // writes may be scheduled while waiting, e.g. by batch
+        // events from recent updates
+        let writing;
+        do {
+            writing = this._writing;
+            await writing;
+        } while (writing != this._writing);
+        if (this._error != undefined) {
+            let error = this._error;
+            this._error = undefined;
+            throw error;
+        }
+    }
+
+    /*
+        remove all stored cues - dataset is not affected
+    */
+    async clear() {
+        await this.flush();
+        await this._backend.clear();
+        this._meta = {};
+    }
+
+    /*
+        stop following dataset changes, write pending changes
+        and close backend
+    */
+    async close() {
+        try {
+            // batch events from recent updates are delivered
+            // while flushing
+            await this.flush();
+        } finally {
+            if (this._sub != undefined) {
+                this._ds.off(this._sub);
+                this._sub = undefined;
+            }
+            try {
+                await this.flush();
+            } finally {
+                await this._backend.close();
+            }
+        }
+    }
+}
+
+eventify.eventifyPrototype(DatasetPersistence.prototype);
+
+export default DatasetPersistence;
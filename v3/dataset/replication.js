@@ -0,0 +1,392 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    DATASET REPLICATION
+
+    Replicates a Dataset between peers, so that all peers
+    hold the same cues.
+
+        let transport = messagePortTransport(port);
+        let replicator = new DatasetReplicator(ds, transport);
+        replicator.start();
+        ...
+        replicator.close();
+
+    Change log
+    - local batches (batch events of the dataset) are encoded as
+      a list of changes, and sent to peers
+    - put: [key, ts, author, origin, interval, data]
+    - delete: [key, ts, author, origin]
+    - ts: info.ts of the batch (ms since epoch), author: info.author
+      of the batch, or the author of the replicator
+    - origin: id of the replicator making the change
+    - interval: [low, high, lowInclude, highInclude], infinite
+      endpoints encoded as null, or null if the cue has no interval
+    - data is left out if undefined
+
+    Conflict resolution
+    - last writer wins, per key
+    - a remote change is applied if (ts, author, origin) is greater
+      than (ts, author, origin) of the last change of the key
+    - origin is unique per replicator, so ties are always broken
+    - local changes are given a ts greater than the last change of
+      the key, so that they always win over changes already seen
+    - deleted keys are remembered, so that late changes do not
+      resurrect them
+
+    Protocol - messages {type, origin, ...}
+    - {type:"sync"} : request snapshot, sent by start()
+    - {type:"snapshot", changes} : all cues and deleted keys
+    - {type:"changes", changes} : live deltas
+    - origin is the id of the sending replicator - messages
+      from self are ignored
+
+    Snapshots are merged with the local dataset using the same
+    conflict resolution, so peers starting with different cues
+    converge.
+
+    Remote changes are applied with batch info.origin set to the id
+    of the sending peer, distinguishing them from local changes.
+
+    Transports are pluggable - {send(msg), listen(callback)},
+    where listen returns a function to stop listening.
+    - messagePortTransport(port) : MessagePort (e.g. MessageChannel,
+      Worker) - messages are structured clones
+    - broadcastChannelTransport(channel) : BroadcastChannel
+    - webSocketTransport(ws) : WebSocket - messages are JSON, so
+      cue data must be JSON serializable. The server is expected to
+      relay messages to all other peers.
+
+    options
+    - author: author of local changes - default replicator id
+
+    events (no init events)
+    - sync {origin, size} : snapshot from peer applied
+    - remotechange {origin, items} : remote changes applied, event
+      items (without NOOP items) as returned by Dataset.update()
+*/
+
+import eventify from '../util/eventify.js';
+import {random_string} from '../util/utils.js';
+
+export const MsgType = Object.freeze({
+    SYNC: "sync",
+    SNAPSHOT: "snapshot",
+    CHANGES: "changes"
+});
+
+
+/***************************************************************
+ CHANGE ENCODING
+***************************************************************/
+
+function encodeInterval(interval) {
+    if (interval == undefined) {
+        return null;
+    }
+    let {low, high, lowInclude, highInclude} = interval;
+    return [
+        (low == -Infinity) ? null : low,
+        (high == Infinity) ? null : high,
+        lowInclude,
+        highInclude
+    ];
+}
+
+function decodeInterval(arr) {
+    if (arr == null) {
+        return undefined;
+    }
+    let [low, high, lowInclude, highInclude] = arr;
+    return [
+        (low == null) ? -Infinity : low,
+        (high == null) ? Infinity : high,
+        lowInclude,
+        highInclude
+    ];
+}
+
+/*
+    encode change for key
+    - cue: new cue, or undefined for delete
+*/
+export function encodeChange(key, cue, ts, author, origin) {
+    if (cue == undefined) {
+        return [key, ts, author, origin];
+    }
+    let change = [key, ts, author, origin, encodeInterval(cue.interval)];
+    if (cue.data !== undefined) {
+        change.push(cue.data);
+    }
+    return change;
+}
+
+/*
+    decode change
+    returns {key, ts, author, origin, cue}
+    - cue: cue arg for Dataset.update()
+    - put sets both interval and data, so that removal of interval
+      or data is replicated
+*/
+export function decodeChange(change) {
+    let [key, ts, author, origin, interval, data] = change;
+    let cue = {key};
+    if (change.length > 4) {
+        cue.interval = decodeInterval(interval);
+        cue.data = data;
+    }
+    return {key, ts, author, origin, cue};
+}
+
+
+/***************************************************************
+ TRANSPORTS
+***************************************************************/
+
+export function messagePortTransport(port) {
+    return {
+        send: (msg) => port.postMessage(msg),
+        listen: (callback) => {
+            let handler = (e) => callback(e.data);
+            port.addEventListener("message", handler);
+            if (typeof port.start == "function") {
+                port.start();
+            }
+            return () => port.removeEventListener("message", handler);
+        }
+    };
+}
+
+export function broadcastChannelTransport(channel) {
+    return {
+        send: (msg) => channel.postMessage(msg),
+        listen: (callback) => {
+            let handler = (e) => callback(e.data);
+            channel.addEventListener("message", handler);
+            return () => channel.removeEventListener("message", handler);
+        }
+    };
+}
+
+const WS_CONNECTING = 0;
+
+export function webSocketTransport(ws) {
+    return {
+        send: (msg) => {
+            let data = JSON.stringify(msg);
+            if (ws.readyState == WS_CONNECTING) {
+                ws.addEventListener("open", () => ws.send(data), {once:true});
+            } else {
+                ws.send(data);
+            }
+        },
+        listen: (callback) => {
+            let handler = (e) => callback(JSON.parse(e.data));
+            ws.addEventListener("message", handler);
+            return () => ws.removeEventListener("message", handler);
+        }
+    };
+}
+
+
+/***************************************************************
+ DATASET REPLICATOR
+***************************************************************/
+
+// true if version a is newer than version b
+function isNewer(a, b) {
+    if (b == undefined) {
+        return true;
+    }
+    if (a.ts != b.ts) {
+        return a.ts > b.ts;
+    }
+    if (a.author != b.author) {
+        return a.author > b.author;
+    }
+    return a.origin > b.origin;
+}
+
+class DatasetReplicator {
+
+    constructor(dataset, transport, options={}) {
+        this._ds = dataset;
+        this._transport = transport;
+        this._id = random_string(8);
+        this._author = options.author || this._id;
+        // key -> {ts, author, origin} - last change, including deletes
+        this._versions = new Map();
+        // info objects of batches applied from remote changes
+        this._remote_infos = new WeakSet();
+        this._sub;
+        this._unlisten;
+
+        eventify.eventifyInstance(this);
+        this.eventifyDefine("sync", {init:false});
+        this.eventifyDefine("remotechange", {init:false});
+    }
+
+    get id() {return this._id;};
+    get author() {return this._author;};
+    get dataset() {return this._ds;};
+
+    /*
+        follow local changes and remote messages,
+        and request snapshot from peers
+    */
+    start() {
+        if (this._sub != undefined) {
+            throw new Error("replicator already started");
+        }
+        this._sub = this._ds.on("batch", this._onBatch.bind(this), {init:false});
+        this._unlisten = this._transport.listen(this._onMessage.bind(this));
+        this._send(MsgType.SYNC);
+    }
+
+    close() {
+        if (this._sub != undefined) {
+            this._ds.off(this._sub);
+            this._sub = undefined;
+        }
+        if (this._unlisten != undefined) {
+            this._unlisten();
+            this._unlisten = undefined;
+        }
+    }
+
+    _send(type, changes) {
+        let msg = {type, origin: this._id};
+        if (changes != undefined) {
+            msg.changes = changes;
+        }
+        this._transport.send(msg);
+    }
+
+    /*
+        version of last change of key
+        - cues existing before replication are versioned by cue info
+    */
+    _version(key) {
+        let version = this._versions.get(key);
+        if (version == undefined) {
+            let cue = this._ds.get(key);
+            if (cue != undefined) {
+                version = {
+                    ts: cue.info.change_ts,
+                    author: this._author,
+                    origin: this._id
+                };
+            }
+        }
+        return version;
+    }
+
+    /*
+        snapshot of all cues and deleted keys
+    */
+    snapshot() {
+        let changes = [];
+        for (let cue of this._ds.values()) {
+            let {ts, author, origin} = this._version(cue.key);
+            changes.push(encodeChange(cue.key, cue, ts, author, origin));
+        }
+        for (let [key, {ts, author, origin}] of this._versions.entries()) {
+            if (!this._ds.has(key)) {
+                changes.push(encodeChange(key, undefined, ts, author, origin));
+            }
+        }
+        return changes;
+    }
+
+    /*
+        local changes
+    */
+    _onBatch(items) {
+        let changes = [];
+        for (let item of items) {
+            // ignore batches applied from remote changes
+            if (this._remote_infos.has(item.info)) {
+                continue;
+            }
+            let prev = this._version(item.key);
+            let ts = item.info.ts;
+            if (prev != undefined && ts <= prev.ts) {
+                ts = prev.ts + 1;
+            }
+            let author = (item.info.author != undefined) ? item.info.author : this._author;
+            this._versions.set(item.key, {ts, author, origin: this._id});
+            changes.push(encodeChange(item.key, item.new, ts, author, this._id));
+        }
+        if (changes.length > 0) {
+            this._send(MsgType.CHANGES, changes);
+        }
+    }
+
+    /*
+        apply remote changes - last writer wins
+        returns event items from Dataset.update(), without NOOP items
+        - origin: id of the peer, batch info.origin, so that remote
+          changes may be distinguished from local changes, e.g. by
+          DatasetHistory
+    */
+    apply(changes, origin="remote") {
+        let cues = [];
+        for (let change of changes) {
+            let {key, ts, author, origin, cue} = decodeChange(change);
+            let version = {ts, author, origin};
+            if (isNewer(version, this._version(key))) {
+                this._versions.set(key, version);
+                cues.push(cue);
+            }
+        }
+        if (cues.length == 0) {
+            return [];
+        }
+        let items = this._ds.update(cues, {origin});
+        // NOOP items carry no info
+        let item = items.find((item) => item.info != undefined);
+        if (item != undefined) {
+            this._remote_infos.add(item.info);
+        }
+        return items.filter((item) => item.info != undefined);
+    }
+
+    _onMessage(msg) {
+        if (msg == undefined || msg.origin == this._id) {
+            return;
+        }
+        if (msg.type == MsgType.SYNC) {
+            this._send(MsgType.SNAPSHOT, this.snapshot());
+        } else if (msg.type == MsgType.SNAPSHOT) {
+            this.apply(msg.changes, msg.origin);
+            this.eventifyTrigger("sync", {origin: msg.origin, size: msg.changes.length});
+        } else if (msg.type == MsgType.CHANGES) {
+            let items = this.apply(msg.changes, msg.origin);
+            if (items.length > 0) {
+                this.eventifyTrigger("remotechange", {origin: msg.origin, items});
+            }
+        }
+    }
+}
+
+eventify.eventifyPrototype(DatasetReplicator.prototype);
+
+export default DatasetReplicator;
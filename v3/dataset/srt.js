@@ -0,0 +1,238 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    SRT
+
+    Import and export of SubRip (.srt) subtitles, for Dataset.
+
+    - parse(text, options) : parse SRT text
+    - load(dataset, text, options) : parse SRT text and
+      update dataset with cues
+    - serialize(collection, options) : SRT text from cues
+      of Dataset or Subset
+
+    Cues
+    - key: <key_prefix><sequence number>
+    - interval: [start, end>, in seconds
+    - data: {text, settings}
+        - text: subtitle text, with markup (<b>, <i>, <font>, ...),
+          lines joined by newline
+        - settings: display coordinates {X1, X2, Y1, Y2}, if given
+
+    parse result
+    - {cues, errors}
+    - errors: messages for blocks that were ignored
+
+    SRT cues are numbered in order. When serializing, cues are
+    numbered 1..n by start time, so cue keys are only preserved
+    if they are <key_prefix><n>, in order.
+*/
+
+import Interval from '../util/interval.js';
+import CueCollection from './cuecollection.js';
+
+const ARROW = "-->";
+
+export class SRTError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SRTError";
+    }
+}
+
+
+/***************************************************************
+ TIMESTAMPS
+***************************************************************/
+
+// comma is standard, period is accepted
+const TIMESTAMP = /^(\d{1,}):([0-5]\d):([0-5]\d)[,.](\d{1,3})$/;
+
+/*
+    parse SRT timestamp - hh:mm:ss,ttt
+    returns seconds, or undefined if illegal
+*/
+export function parseTimestamp(str) {
+    let match = TIMESTAMP.exec(str);
+    if (match == null) {
+        return;
+    }
+    let [, hh, mm, ss, ttt] = match;
+    return parseInt(hh)*3600 + parseInt(mm)*60 + parseInt(ss) + parseInt(ttt.padEnd(3, "0"))/1000;
+}
+
+function pad(n, width) {
+    return `${n}`.padStart(width, "0");
+}
+
+/*
+    format seconds as SRT timestamp - hh:mm:ss,ttt
+*/
+export function formatTimestamp(seconds) {
+    if (!(seconds >= 0) || !isFinite(seconds)) {
+        throw new SRTError(`illegal timestamp ${seconds}`);
+    }
+    let ms = Math.round(seconds*1000);
+    let hh = Math.floor(ms/3600000);
+    let mm = Math.floor(ms/60000) % 60;
+    let ss = Math.floor(ms/1000) % 60;
+    return `${pad(hh, 2)}:${pad(mm, 2)}:${pad(ss, 2)},${pad(ms % 1000, 3)}`;
+}
+
+
+/***************************************************************
+ PARSE
+***************************************************************/
+
+function splitBlocks(text) {
+    let lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+    let blocks = [];
+    let block = [];
+    for (let line of lines) {
+        if (line.trim().length == 0) {
+            if (block.length > 0) {
+                blocks.push(block);
+                block = [];
+            }
+        } else {
+            block.push(line);
+        }
+    }
+    if (block.length > 0) {
+        blocks.push(block);
+    }
+    return blocks;
+}
+
+/*
+    timing line - start --> end X1:.. X2:.. Y1:.. Y2:..
+*/
+function parseTiming(line) {
+    let idx = line.indexOf(ARROW);
+    if (idx == -1) {
+        return;
+    }
+    let start = parseTimestamp(line.slice(0, idx).trim());
+    let [end_str="", ...rest] = line.slice(idx + ARROW.length).trim().split(/\s+/);
+    let end = parseTimestamp(end_str);
+    if (start == undefined || end == undefined) {
+        return;
+    }
+    let settings = {};
+    for (let token of rest) {
+        let [name, value] = token.split(":");
+        if (/^[XY][12]$/.test(name) && value != undefined) {
+            settings[name] = value;
+        }
+    }
+    return {start, end, settings};
+}
+
+/*
+    parse SRT text
+
+    options
+    - key_prefix: prefix for keys - default ""
+*/
+export function parse(text, options={}) {
+    let {key_prefix=""} = options;
+    let result = {cues: [], errors: []};
+    for (let block of splitBlocks(text)) {
+        let [number, timing_line, ...lines] = block;
+        if (!/^\d+$/.test(number.trim())) {
+            result.errors.push(`illegal sequence number ${number}`);
+            continue;
+        }
+        let timing = (timing_line != undefined) ? parseTiming(timing_line) : undefined;
+        if (timing == undefined) {
+            result.errors.push(`illegal timing ${timing_line}`);
+            continue;
+        }
+        let {start, end, settings} = timing;
+        if (end < start) {
+            result.errors.push(`cue end before start ${timing_line}`);
+            continue;
+        }
+        result.cues.push({
+            key: `${key_prefix}${parseInt(number)}`,
+            interval: new Interval(start, end),
+            data: {text: lines.join("\n"), settings}
+        });
+    }
+    return result;
+}
+
+/*
+    parse SRT text and update dataset with cues
+    - options as for parse
+    - returns parse result
+*/
+export function load(dataset, text, options) {
+    let result = parse(text, options);
+    dataset.update(result.cues);
+    return result;
+}
+
+
+/***************************************************************
+ SERIALIZE
+***************************************************************/
+
+/*
+    subtitle text must not contain empty lines
+*/
+function formatText(text) {
+    return `${text}`
+        .split(/\r\n|\r|\n/)
+        .filter((line) => line.trim().length > 0)
+        .join("\n");
+}
+
+function formatCue(cue, n) {
+    let {key, interval, data} = cue;
+    if (!interval.finite) {
+        throw new SRTError(`cue ${key} - interval not finite ${interval.toString()}`);
+    }
+    let {text="", settings={}} = (typeof data == "object" && data != null) ? data : {text: data};
+    let timing = `${formatTimestamp(interval.low)} ${ARROW} ${formatTimestamp(interval.high)}`;
+    for (let name of ["X1", "X2", "Y1", "Y2"]) {
+        if (settings[name] != undefined) {
+            timing += ` ${name}:${settings[name]}`;
+        }
+    }
+    return [`${n}`, timing, formatText(text)].join("\n");
+}
+
+/*
+    serialize cues of Dataset or Subset as SRT text
+
+    - cues are ordered by start time, and numbered from 1
+    - cues without interval are ignored
+
+    throws SRTError if a cue can not be represented in SRT,
+    e.g. infinite interval
+*/
+export function serialize(collection, options={}) {
+    let cues = collection.cues()
+        .filter((cue) => cue.interval != undefined)
+        .sort(CueCollection.cmpLow);
+    return cues.map((cue, i) => formatCue(cue, i+1) + "\n").join("\n");
+}
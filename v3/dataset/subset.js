@@ -294,7 +294,7 @@ class Subset extends CueCollection {
             return [item.key, item];
         }));
         if (this._interval) {
-            relevanceInterval = Interval.intersect(this._inverval, relevanceInterval);
+            relevanceInterval = Interval.intersect(this._interval, relevanceInterval);
         }
         this._notify_callbacks(batchMap, relevanceInterval);
     }
@@ -0,0 +1,500 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    TTML
+
+    Import and export of TTML subtitles (including IMSC1 profiles),
+    for Dataset.
+
+    - parse(text, options) : parse TTML document
+    - load(dataset, text, options) : parse TTML document and
+      update dataset with cues
+    - serialize(collection, options) : TTML document from cues
+      of Dataset or Subset
+
+    Each <p> element is a cue
+    - key: xml:id, or generated key for paragraphs without xml:id
+      - <key_prefix><n> (n is 1-based cue number)
+    - interval: [begin, end>, in seconds
+    - data: {text, content, attributes, timing}
+        - text: plain text, <br/> as newline
+        - content: content of <p> as XML (spans, br, ...) - when
+          serializing, content is used instead of text only if its
+          plain text equals text, so that edits of text are kept
+        - attributes: styling and layout attributes, e.g. style,
+          region, tts:color - including attributes inherited from
+          <body> and <div>
+        - timing: original timing expressions {begin, end, dur},
+          if timing is not offset by <body> or <div>
+        - spans: timed spans of <p>, [{text, begin, end}], absolute
+          times in seconds - only if <p> has timed spans
+
+    Timing expressions
+    - clock time: hh:mm:ss, hh:mm:ss.fraction, hh:mm:ss:frames(.subframes)
+    - offset time: <number>(h|m|s|ms|f|t)
+    - frames and ticks are evaluated using ttp:frameRate,
+      ttp:frameRateMultiplier, ttp:subFrameRate and ttp:tickRate
+    Timing of <body> and <div> offsets timing of contained paragraphs
+    (parallel time containers). Likewise, timing of <span> is relative
+    to the containing <p> or <span>. A <p> without end or dur, but
+    with timed spans, ends with its last span.
+
+    parse result
+    - {attributes, head, cues, errors}
+    - attributes: attributes of <tt>, e.g. xml:lang, ttp:frameRate
+    - head: <head> element as XML (styling, layout, metadata)
+    - errors: messages for paragraphs that were ignored
+
+    Serialization preserves original timing expressions, as long
+    as they still evaluate to the endpoints of the cue interval.
+    Other endpoints are written as clock time.
+    Namespaces are not resolved - the conventional prefixes
+    (tt, ttp, tts, ttm) are assumed.
+*/
+
+import Interval from '../util/interval.js';
+import * as xml from '../util/xml.js';
+import CueCollection from './cuecollection.js';
+
+const DEFAULT_KEY_PREFIX = "cue-";
+
+// default attributes of <tt> when serializing
+const TT_ATTRIBUTES = {
+    "xmlns": "http://www.w3.org/ns/ttml",
+    "xmlns:ttp": "http://www.w3.org/ns/ttml#parameter",
+    "xmlns:tts": "http://www.w3.org/ns/ttml#styling",
+    "xmlns:ttm": "http://www.w3.org/ns/ttml#metadata",
+    "xml:lang": "en"
+};
+
+const TIMING_ATTRIBUTES = ["begin", "end", "dur"];
+
+// tolerance when comparing timing expressions with interval endpoints
+const EPSILON = 1e-6;
+
+export class TTMLError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "TTMLError";
+    }
+}
+
+
+/***************************************************************
+ TIMING EXPRESSIONS
+***************************************************************/
+
+/*
+    timing parameters from attributes of <tt>
+*/
+export function timingParameters(attributes={}) {
+    let frameRate = parseFloat(attributes["ttp:frameRate"] || 30);
+    let [n, d] = (attributes["ttp:frameRateMultiplier"] || "1 1").trim().split(/\s+/).map(Number);
+    let subFrameRate = parseFloat(attributes["ttp:subFrameRate"] || 1);
+    // effective frame rate
+    frameRate = frameRate * n / d;
+    let tickRate;
+    if (attributes["ttp:tickRate"] != undefined) {
+        tickRate = parseFloat(attributes["ttp:tickRate"]);
+    } else if (attributes["ttp:frameRate"] != undefined) {
+        tickRate = frameRate * subFrameRate;
+    } else {
+        tickRate = 1;
+    }
+    return {frameRate, subFrameRate, tickRate};
+}
+
+const CLOCK_TIME = /^(\d{2,}):(\d{2}):(\d{2})(?:(\.\d+)|:(\d{2,})(?:\.(\d+))?)?$/;
+const OFFSET_TIME = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+
+/*
+    evaluate timing expression
+    - params: timing parameters, see timingParameters()
+    returns seconds, or undefined if illegal
+*/
+export function parseTimeExpression(expr, params=timingParameters()) {
+    expr = `${expr}`.trim();
+    let match = CLOCK_TIME.exec(expr);
+    if (match != null) {
+        let [, hh, mm, ss, fraction, frames, subframes] = match;
+        let seconds = parseInt(hh)*3600 + parseInt(mm)*60 + parseInt(ss);
+        if (fraction != undefined) {
+            seconds += parseFloat(fraction);
+        } else if (frames != undefined) {
+            let f = parseInt(frames);
+            if (subframes != undefined) {
+                f += parseInt(subframes) / params.subFrameRate;
+            }
+            seconds += f / params.frameRate;
+        }
+        return seconds;
+    }
+    match = OFFSET_TIME.exec(expr);
+    if (match != null) {
+        let [, count, metric] = match;
+        count = parseFloat(count);
+        switch (metric) {
+            case "h": return count*3600;
+            case "m": return count*60;
+            case "s": return count;
+            case "ms": return count/1000;
+            case "f": return count/params.frameRate;
+            case "t": return count/params.tickRate;
+        }
+    }
+}
+
+function pad(n, width) {
+    return `${n}`.padStart(width, "0");
+}
+
+/*
+    format seconds as clock time - hh:mm:ss.ttt
+*/
+export function formatClockTime(seconds) {
+    if (!(seconds >= 0) || !isFinite(seconds)) {
+        throw new TTMLError(`illegal time ${seconds}`);
+    }
+    let ms = Math.round(seconds*1000);
+    let hh = Math.floor(ms/3600000);
+    let mm = Math.floor(ms/60000) % 60;
+    let ss = Math.floor(ms/1000) % 60;
+    return `${pad(hh, 2)}:${pad(mm, 2)}:${pad(ss, 2)}.${pad(ms % 1000, 3)}`;
+}
+
+
+/***************************************************************
+ PARSE
+***************************************************************/
+
+function elements(element, name) {
+    return element.children.filter((child) => {
+        return typeof child != "string" && xml.localName(child.name) == name;
+    });
+}
+
+/*
+    plain text of content
+    - whitespace collapsed, <br/> as newline
+*/
+function textContent(children) {
+    let text = "";
+    for (let child of children) {
+        if (typeof child == "string") {
+            text += child.replace(/\s+/g, " ");
+        } else if (xml.localName(child.name) == "br") {
+            text += "\n";
+        } else {
+            text += textContent(child.children);
+        }
+    }
+    return text;
+}
+
+function plainText(children) {
+    return textContent(children)
+        .split("\n")
+        .map((line) => line.replace(/ +/g, " ").trim())
+        .join("\n");
+}
+
+/*
+    non-timing attributes
+*/
+function styleAttributes(attributes) {
+    let result = {};
+    for (let [name, value] of Object.entries(attributes)) {
+        if (name != "xml:id" && !TIMING_ATTRIBUTES.includes(name)) {
+            result[name] = value;
+        }
+    }
+    return result;
+}
+
+/*
+    parse TTML document
+
+    options
+    - key_prefix: prefix for generated keys - default "cue-"
+
+    throws TTMLError if text is not a TTML document
+*/
+export function parse(text, options={}) {
+    let {key_prefix=DEFAULT_KEY_PREFIX} = options;
+    let root;
+    try {
+        root = xml.parse(text);
+    } catch (err) {
+        throw new TTMLError(`illegal XML - ${err.message}`);
+    }
+    if (xml.localName(root.name) != "tt") {
+        throw new TTMLError("missing tt element");
+    }
+    let params = timingParameters(root.attributes);
+    let result = {attributes: {...root.attributes}, head: undefined, cues: [], errors: []};
+    let [head] = elements(root, "head");
+    if (head != undefined) {
+        result.head = xml.serialize(head);
+    }
+    let n = 0;
+
+    /*
+        absolute timing of element
+        - begin: absolute begin of parent
+        - end: absolute end of parent
+        returns [low, high], or undefined if timing is illegal
+    */
+    function timing(element, begin, end) {
+        let {attributes} = element;
+        let _begin = parseTimeExpression(attributes.begin || "0s", params);
+        let _end = (attributes.end != undefined) ? parseTimeExpression(attributes.end, params) : undefined;
+        let _dur = (attributes.dur != undefined) ? parseTimeExpression(attributes.dur, params) : undefined;
+        if (_begin == undefined || (attributes.end != undefined && _end == undefined) ||
+            (attributes.dur != undefined && _dur == undefined)) {
+            result.errors.push(`illegal timing in ${element.name} ${JSON.stringify(attributes)}`);
+            return;
+        }
+        let low = begin + _begin;
+        let high = end;
+        if (_end != undefined) {
+            high = Math.min(high, begin + _end);
+        }
+        if (_dur != undefined) {
+            high = Math.min(high, low + _dur);
+        }
+        return [low, high];
+    }
+
+    function isTimed(element) {
+        return TIMING_ATTRIBUTES.some((name) => element.attributes[name] != undefined);
+    }
+
+    /*
+        timed spans within element
+        - begin, end: absolute timing of element
+    */
+    function spans(element, begin, end, list=[]) {
+        for (let child of element.children) {
+            if (typeof child == "string") {
+                continue;
+            }
+            if (xml.localName(child.name) == "span" && isTimed(child)) {
+                let t = timing(child, begin, end);
+                if (t == undefined) {
+                    continue;
+                }
+                let [low, high] = t;
+                list.push({text: plainText(child.children), begin: low, end: high});
+                spans(child, low, high, list);
+            } else {
+                spans(child, begin, end, list);
+            }
+        }
+        return list;
+    }
+
+    /*
+        time container - body or div
+        - begin: absolute begin of parent
+        - end: absolute end of parent
+        - inherited: inherited style attributes
+    */
+    function walk(element, begin, end, inherited) {
+        let {attributes} = element;
+        let t = timing(element, begin, end);
+        if (t == undefined) {
+            return;
+        }
+        let [low, high] = t;
+        let styles = {...inherited, ...styleAttributes(attributes)};
+        if (xml.localName(element.name) != "p") {
+            for (let child of element.children) {
+                if (typeof child != "string") {
+                    walk(child, low, high, styles);
+                }
+            }
+            return;
+        }
+        // paragraph
+        n += 1;
+        let timed_spans = spans(element, low, high);
+        if (timed_spans.length > 0 && attributes.end == undefined && attributes.dur == undefined) {
+            // ends with last span
+            high = Math.min(high, Math.max(...timed_spans.map((span) => span.end)));
+        }
+        if (high < low) {
+            result.errors.push(`paragraph ${n} - end before begin`);
+            return;
+        }
+        let data = {
+            text: plainText(element.children),
+            content: element.children.map(xml.serialize).join(""),
+            attributes: styles
+        };
+        // original timing expressions - only if not offset
+        if (begin == 0) {
+            let expressions = {};
+            for (let name of TIMING_ATTRIBUTES) {
+                if (attributes[name] != undefined) {
+                    expressions[name] = attributes[name];
+                }
+            }
+            data.timing = expressions;
+        }
+        if (timed_spans.length > 0) {
+            data.spans = timed_spans;
+        }
+        let key = attributes["xml:id"];
+        result.cues.push({
+            key: (key != undefined) ? key : `${key_prefix}${n}`,
+            interval: new Interval(low, high),
+            data
+        });
+    }
+
+    for (let body of elements(root, "body")) {
+        walk(body, 0, Infinity, {});
+    }
+    return result;
+}
+
+/*
+    parse TTML document and update dataset with cues
+    - options as for parse
+    - returns parse result
+*/
+export function load(dataset, text, options) {
+    let result = parse(text, options);
+    dataset.update(result.cues);
+    return result;
+}
+
+
+/***************************************************************
+ SERIALIZE
+***************************************************************/
+
+const NCNAME = /^[A-Za-z_][-A-Za-z0-9_.]*$/;
+
+function close(a, b) {
+    return Math.abs(a - b) < EPSILON;
+}
+
+/*
+    timing attributes for interval
+    - original timing expressions if still valid
+*/
+function formatTiming(interval, timing={}, params) {
+    let {low, high} = interval;
+    let attributes = {};
+    let begin = (timing.begin != undefined) ? parseTimeExpression(timing.begin, params) : undefined;
+    attributes.begin = (begin != undefined && close(begin, low)) ? timing.begin : formatClockTime(low);
+    let end = (timing.end != undefined) ? parseTimeExpression(timing.end, params) : undefined;
+    let dur = (timing.dur != undefined) ? parseTimeExpression(timing.dur, params) : undefined;
+    if (end != undefined && close(end, high)) {
+        attributes.end = timing.end;
+    } else if (dur != undefined && close(dur, high - low)) {
+        attributes.dur = timing.dur;
+    } else {
+        attributes.end = formatClockTime(high);
+    }
+    return attributes;
+}
+
+function formatContent(text) {
+    return `${text}`.split(/\r\n|\r|\n/).map(xml.escape).join("<br/>");
+}
+
+/*
+    plain text of content, or undefined if content is not XML
+*/
+function contentText(content) {
+    try {
+        return plainText(xml.parse(`<p>${content}</p>`).children);
+    } catch (err) {
+        return;
+    }
+}
+
+function formatCue(cue, params) {
+    let {key, interval, data} = cue;
+    if (!interval.finite) {
+        throw new TTMLError(`cue ${key} - interval not finite ${interval.toString()}`);
+    }
+    if (typeof data != "object" || data == null) {
+        data = {text: (data != undefined) ? data : ""};
+    }
+    let {text, content, attributes={}, timing} = data;
+    let attrs = {};
+    if (NCNAME.test(`${key}`)) {
+        attrs["xml:id"] = `${key}`;
+    }
+    attrs = {
+        ...attrs,
+        ...formatTiming(interval, timing, params),
+        ...styleAttributes(attributes)
+    };
+    let p = xml.serialize({name: "p", attributes: attrs, children: []});
+    // p with content - replace empty tag
+    // content is stale if text has been changed
+    if (typeof content != "string" || (text != undefined && contentText(content) !== text)) {
+        content = formatContent((text != undefined) ? text : "");
+    }
+    return `${p.slice(0, -2)}>${content}</p>`;
+}
+
+/*
+    serialize cues of Dataset or Subset as TTML document
+
+    - cues are ordered by begin time, in a single <div>
+    - cue keys are written as xml:id, if they are legal
+    - cues without interval are ignored
+
+    options
+    - attributes: attributes of <tt>, e.g. from parse result,
+      merged with default namespace declarations and xml:lang
+    - head: <head> element as XML, e.g. from parse result
+
+    throws TTMLError if a cue can not be represented in TTML,
+    e.g. infinite interval
+*/
+export function serialize(collection, options={}) {
+    let {attributes={}, head} = options;
+    let tt_attributes = {...TT_ATTRIBUTES, ...attributes};
+    let params = timingParameters(tt_attributes);
+    let cues = collection.cues()
+        .filter((cue) => cue.interval != undefined)
+        .sort(CueCollection.cmpLow);
+    let tt = xml.serialize({name: "tt", attributes: tt_attributes, children: []});
+    let lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `${tt.slice(0, -2)}>`
+    ];
+    if (head != undefined) {
+        lines.push(head);
+    }
+    lines.push("<body>", "<div>");
+    for (let cue of cues) {
+        lines.push(formatCue(cue, params));
+    }
+    lines.push("</div>", "</body>", "</tt>");
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,355 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    WEBVTT
+
+    Import and export of WebVTT text tracks, for Dataset.
+
+    - parse(text, options) : parse WebVTT text
+    - load(dataset, text, options) : parse WebVTT text and
+      update dataset with cues
+    - serialize(collection, options) : WebVTT text from cues
+      of Dataset or Subset
+
+    Cues
+    - key: cue identifier, or generated key for cues
+      without identifier - <key_prefix><n> (n is 1-based cue number),
+      with suffix -<k> if the key is taken by a cue identifier
+    - interval: [start, end>, in seconds
+    - data: {text, settings}
+        - text: cue payload (with markup), lines joined by newline
+        - settings: cue settings {vertical, line, position, size,
+          align, region}, values as strings
+
+    parse result
+    - {header, cues, styles, regions, notes, errors}
+    - header: text following WEBVTT on the first line, then any
+      header lines on following lines (empty first line if the
+      signature line has no text)
+    - cues: cue args for Dataset.update(), in file order
+    - styles: content of STYLE blocks
+    - regions: settings of REGION blocks {id, width, lines, ...}
+    - notes: content of NOTE blocks
+    - errors: messages for blocks that were ignored
+
+    Cue data may also be a string, interpreted as text
+    without settings, when serializing.
+*/
+
+import Interval from '../util/interval.js';
+import CueCollection from './cuecollection.js';
+
+const DEFAULT_KEY_PREFIX = "cue-";
+
+const ARROW = "-->";
+
+export class WebVTTError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "WebVTTError";
+    }
+}
+
+
+/***************************************************************
+ TIMESTAMPS
+***************************************************************/
+
+const TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+/*
+    parse WebVTT timestamp - (hh:)mm:ss.ttt
+    returns seconds, or undefined if illegal
+*/
+export function parseTimestamp(str) {
+    let match = TIMESTAMP.exec(str);
+    if (match == null) {
+        return;
+    }
+    let [, hh="0", mm, ss, ttt] = match;
+    return parseInt(hh)*3600 + parseInt(mm)*60 + parseInt(ss) + parseInt(ttt)/1000;
+}
+
+function pad(n, width) {
+    return `${n}`.padStart(width, "0");
+}
+
+/*
+    format seconds as WebVTT timestamp - hh:mm:ss.ttt
+*/
+export function formatTimestamp(seconds) {
+    if (!(seconds >= 0) || !isFinite(seconds)) {
+        throw new WebVTTError(`illegal timestamp ${seconds}`);
+    }
+    let ms = Math.round(seconds*1000);
+    let hh = Math.floor(ms/3600000);
+    let mm = Math.floor(ms/60000) % 60;
+    let ss = Math.floor(ms/1000) % 60;
+    return `${pad(hh, 2)}:${pad(mm, 2)}:${pad(ss, 2)}.${pad(ms % 1000, 3)}`;
+}
+
+
+/***************************************************************
+ PARSE
+***************************************************************/
+
+/*
+    settings - whitespace separated name:value pairs
+*/
+function parseSettings(str, separator=":") {
+    let settings = {};
+    for (let token of str.split(/[ \t]+/)) {
+        let idx = token.indexOf(separator);
+        if (idx > 0 && idx < token.length - 1) {
+            settings[token.slice(0, idx)] = token.slice(idx+1);
+        }
+    }
+    return settings;
+}
+
+/*
+    split text into blocks of non-empty lines
+*/
+function splitBlocks(text) {
+    let lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+    let blocks = [];
+    let block = [];
+    for (let line of lines) {
+        if (line.length == 0) {
+            if (block.length > 0) {
+                blocks.push(block);
+                block = [];
+            }
+        } else {
+            block.push(line);
+        }
+    }
+    if (block.length > 0) {
+        blocks.push(block);
+    }
+    return blocks;
+}
+
+function isBlock(line, keyword) {
+    return line == keyword || line.startsWith(`${keyword} `) || line.startsWith(`${keyword}\t`);
+}
+
+/*
+    timing line - start --> end settings
+*/
+function parseTiming(line) {
+    let idx = line.indexOf(ARROW);
+    let start = parseTimestamp(line.slice(0, idx).trim());
+    let [end_str="", ...rest] = line.slice(idx + ARROW.length).trim().split(/[ \t]+/);
+    let end = parseTimestamp(end_str);
+    if (start == undefined || end == undefined) {
+        return;
+    }
+    return {start, end, settings: parseSettings(rest.join(" "))};
+}
+
+/*
+    parse WebVTT text
+
+    options
+    - key_prefix: prefix for generated keys - default "cue-"
+
+    throws WebVTTError if text is not WebVTT, or if cue
+    identifiers are not unique
+*/
+export function parse(text, options={}) {
+    let {key_prefix=DEFAULT_KEY_PREFIX} = options;
+    let blocks = splitBlocks(text);
+    // signature
+    let first = (blocks.length > 0) ? blocks[0][0] : "";
+    if (!isBlock(first, "WEBVTT")) {
+        throw new WebVTTError("missing WEBVTT signature");
+    }
+    let header_block = blocks.shift();
+    let header = [header_block[0].slice(6).trim(), ...header_block.slice(1)].join("\n");
+
+    let result = {header, cues: [], styles: [], regions: [], notes: [], errors: []};
+    // cue identifiers
+    let ids = new Set();
+    let n = 0;
+    for (let block of blocks) {
+        let [first] = block;
+        if (isBlock(first, "NOTE")) {
+            let note = [first.slice(4).trim(), ...block.slice(1)].join("\n").trim();
+            result.notes.push(note);
+            continue;
+        }
+        // style and region blocks only before first cue
+        if (!first.includes(ARROW) && block.length > 1 && n == 0) {
+            if (first == "STYLE") {
+                result.styles.push(block.slice(1).join("\n"));
+                continue;
+            } else if (first == "REGION") {
+                result.regions.push(parseSettings(block.slice(1).join(" ")));
+                continue;
+            }
+        }
+        // cue - optional identifier
+        let id;
+        if (!first.includes(ARROW)) {
+            id = first;
+            block = block.slice(1);
+        }
+        if (block.length == 0 || !block[0].includes(ARROW)) {
+            result.errors.push(`ignoring block ${first}`);
+            continue;
+        }
+        let timing = parseTiming(block[0]);
+        if (timing == undefined) {
+            result.errors.push(`illegal cue timing ${block[0]}`);
+            continue;
+        }
+        let {start, end, settings} = timing;
+        if (end < start) {
+            result.errors.push(`cue end before start ${block[0]}`);
+            continue;
+        }
+        if (id != undefined) {
+            if (ids.has(id)) {
+                throw new WebVTTError(`duplicate cue identifier ${id}`);
+            }
+            ids.add(id);
+        }
+        n += 1;
+        result.cues.push({
+            key: id,
+            n,
+            interval: new Interval(start, end),
+            data: {text: block.slice(1).join("\n"), settings}
+        });
+    }
+    // generated keys - unique among cue identifiers
+    result.cues = result.cues.map(({key, n, interval, data}) => {
+        if (key == undefined) {
+            key = `${key_prefix}${n}`;
+            for (let k=1; ids.has(key); k++) {
+                key = `${key_prefix}${n}-${k}`;
+            }
+            ids.add(key);
+        }
+        return {key, interval, data};
+    });
+    return result;
+}
+
+/*
+    parse WebVTT text and update dataset with cues
+    - options as for parse
+    - returns parse result
+*/
+export function load(dataset, text, options) {
+    let result = parse(text, options);
+    dataset.update(result.cues);
+    return result;
+}
+
+
+/***************************************************************
+ SERIALIZE
+***************************************************************/
+
+function formatSettings(settings={}) {
+    return Object.entries(settings)
+        .filter(([name, value]) => value != undefined)
+        .map(([name, value]) => `${name}:${value}`)
+        .join(" ");
+}
+
+/*
+    cue payload must not contain empty lines or -->
+*/
+function formatText(text) {
+    return `${text}`
+        .split(/\r\n|\r|\n/)
+        .filter((line) => line.length > 0)
+        .join("\n")
+        .replace(/-->/g, "--&gt;");
+}
+
+function formatCue(cue) {
+    let {key, interval, data} = cue;
+    if (!interval.finite) {
+        throw new WebVTTError(`cue ${key} - interval not finite ${interval.toString()}`);
+    }
+    let id = `${key}`;
+    if (id.includes(ARROW) || /[\r\n]/.test(id)) {
+        throw new WebVTTError(`cue ${key} - illegal cue identifier`);
+    }
+    let {text="", settings} = (typeof data == "object" && data != null) ? data : {text: data};
+    let timing = `${formatTimestamp(interval.low)} ${ARROW} ${formatTimestamp(interval.high)}`;
+    let settings_str = formatSettings(settings);
+    if (settings_str.length > 0) {
+        timing += ` ${settings_str}`;
+    }
+    let lines = [id, timing];
+    let payload = formatText(text);
+    if (payload.length > 0) {
+        lines.push(payload);
+    }
+    return lines.join("\n");
+}
+
+/*
+    serialize cues of Dataset or Subset as WebVTT text
+
+    - cues are ordered by start time
+    - cue keys are written as cue identifiers
+    - cues without interval are ignored
+
+    options
+    - header: text following WEBVTT - first line on the signature
+      line, other lines on following lines
+    - styles: list of style sheets for STYLE blocks
+    - regions: list of region settings for REGION blocks
+    - notes: list of notes for NOTE blocks, before cues
+
+    throws WebVTTError if a cue can not be represented in WebVTT,
+    e.g. infinite interval
+*/
+export function serialize(collection, options={}) {
+    let {header, styles=[], regions=[], notes=[]} = options;
+    let [first="", ...header_lines] = (header) ? `${header}`.split(/\r\n|\r|\n/) : [];
+    let signature = (first.trim().length > 0) ? `WEBVTT ${first.trim()}` : "WEBVTT";
+    // empty line would end the header block
+    header_lines = header_lines.filter((line) => line.length > 0 && !line.includes(ARROW));
+    let blocks = [[signature, ...header_lines].join("\n")];
+    for (let note of notes) {
+        blocks.push(`NOTE\n${formatText(note)}`);
+    }
+    for (let style of styles) {
+        blocks.push(`STYLE\n${formatText(style)}`);
+    }
+    for (let region of regions) {
+        blocks.push(`REGION\n${Object.entries(region).map(([n, v]) => `${n}:${v}`).join("\n")}`);
+    }
+    let cues = collection.cues()
+        .filter((cue) => cue.interval != undefined)
+        .sort(CueCollection.cmpLow);
+    for (let cue of cues) {
+        blocks.push(formatCue(cue));
+    }
+    return blocks.join("\n\n") + "\n";
+}
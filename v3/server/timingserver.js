@@ -0,0 +1,234 @@
+/*
+	Copyright 2020
+	Author : Ingar Mæhlum Arntzen
+
+	This file is part of the Timingsrc module.
+
+	Timingsrc is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Lesser General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Timingsrc is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Lesser General Public License for more details.
+
+	You should have received a copy of the GNU Lesser General Public License
+	along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+	TIMING SERVER
+
+	Reference server for WebSocketProvider (Node.js).
+
+	Hosts a single shared motion. All connected clients
+	receive the same motion, and updates from any client
+	are broadcast to all clients.
+
+	The server clock is epoch based (seconds), so that it
+	is meaningful across processes.
+
+	Run from the command line
+
+		node v3/server/timingserver.js [port]
+
+	or programmatically
+
+		let server = new TimingServer({port:8080});
+		...
+		server.close();
+
+	options
+	- port: default 8080
+	- host: optional
+	- server: existing http server (instead of port)
+	- range: range of shared motion - default [-Infinity, Infinity]
+	- logger: object with log(msg) method, e.g. console - default none
+*/
+
+import {fileURLToPath} from 'url';
+import {WebSocketServer} from 'ws';
+import {calculateVector, checkRange, detectRangeViolation} from '../util/motionutils.js';
+import {MsgType, encode, decode} from '../timingobject/websocketprotocol.js';
+
+const DEFAULT_PORT = 8080;
+
+// server clock in seconds
+const server_clock = {
+	now : function () {
+		return (performance.timeOrigin + performance.now())/1000.0;
+	}
+};
+
+
+class TimingServer {
+
+	constructor(options={}) {
+		let {
+			port=DEFAULT_PORT,
+			host,
+			server,
+			range=[-Infinity, Infinity],
+			logger
+		} = options;
+		this._logger = logger;
+		this._range = [range[0], range[1]];
+		this._vector = {
+			position: 0.0,
+			velocity: 0.0,
+			acceleration: 0.0,
+			timestamp: server_clock.now()
+		};
+		this._vector = checkRange(this._vector, this._range);
+		this._wss = (server) ? new WebSocketServer({server}) : new WebSocketServer({port, host});
+		this._wss.on("connection", this._onConnection.bind(this));
+		this._wss.on("listening", () => {
+			this._log(`listening on port ${this._wss.address().port}`);
+		});
+	}
+
+	get clock() {return server_clock;};
+	get vector() {return {...this._vector};};
+	get range() {return [this._range[0], this._range[1]];};
+	get wss() {return this._wss;};
+
+	_onConnection(ws) {
+		ws.on("message", (data) => {
+			let t1 = server_clock.now();
+			let msg;
+			try {
+				msg = decode(data);
+			} catch (err) {
+				this._log(`dropping illegal message ${err}`);
+				return;
+			}
+			if (msg.type == MsgType.PING) {
+				this._send(ws, {
+					type: MsgType.PONG,
+					t0: msg.t0,
+					t1: t1,
+					t2: server_clock.now()
+				});
+			} else if (msg.type == MsgType.UPDATE) {
+				this._onUpdate(ws, msg);
+			}
+		});
+		// initial state
+		this._send(ws, this._state());
+	}
+
+	_state(id) {
+		let msg = {
+			type: MsgType.STATE,
+			vector: this._vector,
+			range: this._range
+		};
+		if (id != undefined) {
+			msg.id = id;
+		}
+		return msg;
+	}
+
+	/*
+		update shared motion
+		- fill in from current motion, for missing properties
+		- range change may be combined with vector change
+		- update id is echoed only to the client issuing the update
+	*/
+	_onUpdate(ws, msg) {
+		let {
+			position: pos,
+			velocity: vel,
+			acceleration: acc,
+			timestamp: ts
+		} = msg.vector || {};
+		if (ts == undefined) {
+			ts = server_clock.now();
+		}
+		// update range
+		let range_change = false;
+		if (msg.range != undefined) {
+			let [low, high] = msg.range;
+			if (!(low < high)) {
+				this._send(ws, {
+					type: MsgType.ERROR,
+					id: msg.id,
+					message: `illegal range [${low},${high}]`
+				});
+				return;
+			}
+			if (low != this._range[0] || high != this._range[1]) {
+				this._range = [low, high];
+				range_change = true;
+			}
+		}
+		// update vector
+		let vector_change = (pos != undefined || vel != undefined || acc != undefined);
+		let now_vector = calculateVector(this._vector, ts);
+		if (vector_change) {
+			now_vector = checkRange(now_vector, this._range);
+			let vector = {
+				position : (pos != undefined) ? pos : now_vector.position,
+				velocity : (vel != undefined) ? vel : now_vector.velocity,
+				acceleration : (acc != undefined) ? acc : now_vector.acceleration,
+				timestamp : ts
+			};
+			this._vector = checkRange(vector, this._range);
+		} else if (range_change) {
+			// current motion may violate new range
+			if (detectRangeViolation(now_vector, this._range)) {
+				this._vector = checkRange(now_vector, this._range);
+			}
+		} else {
+			// no change - only confirm to client issuing the update
+			this._send(ws, this._state(msg.id));
+			return;
+		}
+		this._broadcast(this._state(), ws);
+		this._send(ws, this._state(msg.id));
+	}
+
+	_log(msg) {
+		if (this._logger) {
+			this._logger.log(`TimingServer: ${msg}`);
+		}
+	}
+
+	_send(ws, msg) {
+		ws.send(encode(msg));
+	}
+
+	/*
+		send to all clients
+		- except given client
+	*/
+	_broadcast(msg, except) {
+		let data = encode(msg);
+		for (let ws of this._wss.clients) {
+			if (ws != except) {
+				ws.send(data);
+			}
+		}
+	}
+
+	close() {
+		for (let ws of this._wss.clients) {
+			ws.terminate();
+		}
+		return new Promise((resolve) => {
+			this._wss.close(() => resolve());
+		});
+	}
+}
+
+export default TimingServer;
+
+
+// command line
+if (process.argv[1] == fileURLToPath(import.meta.url)) {
+	let port = parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+	new TimingServer({port, logger: console});
+}
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset} from '../../core.js';
+import {flush} from '../helpers.js';
+
+/*
+    Mockup Timed Data
+*/
+const data1 = [
+    {id:"a", text: 'A', start: 0, end: 1 },
+    {id:"b", text: 'B', start: 2, end: 3 },
+    {id:"c", text: 'C', start: 4, end: 5 },
+    {id:"d", text: 'D', start: 6, end: 7 },
+    {id:"e", text: 'E', start: 8, end: 9 },
+    {id:"f", text: 'F', start: 10, end: 11 },
+    {id:"g", text: 'G', start: 12, end: 13 },
+];
+
+const data2 = [
+    {id:"h", text: 'H', start: 14, end: 15 },
+    {id:"i", text: 'I', start: 16, end: 17 },
+    {id:"j", text: 'J', start: 18, end: 19 },
+    {id:"k", text: 'K', start: 20, end: 21 },
+    {id:"l", text: 'L', start: 22, end: 23 },
+    {id:"m", text: 'M', start: 24, end: 25 },
+    {id:"n", text: 'N', start: 26, end: 27 },
+    {id:"o", text: 'O', start: 28, end: 29 }
+];
+
+// use repeated addCue - returns update promise
+function update(ds, data) {
+    for (let item of data) {
+        ds.addCue(item.id, new Interval(item.start, item.end), item);
+    }
+    return ds.updateDone;
+}
+
+
+test("cue arg builder repeated addCue", async () => {
+    let ds = new Dataset();
+    let batches = [];
+    ds.on("batch", (items) => batches.push(items.length));
+    await flush();
+
+    // repeated addCue within one task is a single batch
+    let res = await update(ds, data1);
+    assert.equal(res.length, data1.length);
+    assert.equal(ds.size, data1.length);
+    assert.deepEqual(ds.get("c").data, data1[2]);
+    assert.ok(ds.get("c").interval.equals(new Interval(4, 5)));
+
+    // later task is a new batch
+    await flush();
+    res = await update(ds, data2);
+    assert.equal(res.length, data2.length);
+    assert.equal(ds.size, data1.length + data2.length);
+    await flush();
+    // init event, then one event per batch
+    assert.deepEqual(batches, [0, data1.length, data2.length]);
+});
+
+
+test("cue arg builder removeCue and clear", async () => {
+    let ds = new Dataset();
+    await update(ds, data1);
+    // remove and change in one batch
+    let res = await ds.builder
+        .removeCue("a")
+        .addCue("b", new Interval(2, 4), "B")
+        .updateDone;
+    assert.equal(res.length, 2);
+    assert.equal(ds.get("a"), undefined);
+    assert.equal(ds.get("b").data, "B");
+    // cleared cue args are not submitted
+    let builder = ds.makeBuilder({autosubmit: false});
+    builder.addCue("x", new Interval(0, 1)).clear();
+    builder.addCue("y", new Interval(0, 1));
+    builder.submit();
+    res = await builder.updateDone;
+    assert.deepEqual(res.map((item) => item.key), ["y"]);
+    assert.equal(ds.get("x"), undefined);
+});
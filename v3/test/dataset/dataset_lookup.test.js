@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset} from '../../core.js';
+
+const INSIDE = Interval.Match.INSIDE;
+const OVERLAP = Interval.Match.OVERLAP;
+const COVERS = Interval.Match.COVERS;
+
+// compare keys of cues with expected keys - ignoring order
+function assertKeys(cues, expected, msg) {
+    let keys = cues.map((cue) => cue.key);
+    assert.deepEqual(keys.map(String).sort(), expected.map(String).sort(), msg);
+}
+
+
+test("dataset lookup endpoints", () => {
+    let ds = new Dataset();
+    let cues = [];
+    for (let i=0; i<100; i++) {
+        cues.push({key: i, interval: new Interval(i)});
+    }
+    for (let i=0; i<100; i++) {
+        cues.push({key: 1000 + i, interval: new Interval(i)});
+    }
+    ds.update(cues);
+
+    let endpoints = ds.lookup_endpoints(new Interval(4, 18, false, false));
+    let len = endpoints.length;
+    assert.equal(len, (17-4)*2);
+    assert.equal(endpoints[0].endpoint[0], 5);
+    assert.equal(endpoints[len-1].endpoint[0], 17);
+});
+
+
+test("dataset lookup correctness", () => {
+
+    /*
+        all the different intervals related to low = 4 and high = 10
+    */
+    const cues = [
+        // outside left
+        {key:"A1", interval: new Interval(1,2)},
+        // outside right
+        {key:"A2", interval: new Interval(12,14)},
+
+        // outside left touching low
+        {key:"B1", interval: new Interval(1,4, true, false)},
+        {key:"B2", interval: new Interval(1,4, true, true)},
+        // outside right - touching high
+        {key:"B3", interval: new Interval(10,12, false, false)},
+        {key:"B4", interval: new Interval(10,12, true, false)},
+
+        // overlap low
+        {key:"C1", interval: new Interval(1,6, true, false)},
+        // overlap high
+        {key:"C2", interval: new Interval(6,12, true, false)},
+
+        // inside - touching low
+        {key:"D1", interval: new Interval(4,6, false, false)},
+        {key:"D2", interval: new Interval(4,6, true, false)},
+        // inside - touching high
+        {key:"D3", interval: new Interval(6,10, true, false)},
+        {key:"D4", interval: new Interval(6,10, true, true)},
+        // inside touching low and high
+        {key:"D5", interval: new Interval(4,10, false, false)},
+        {key:"D6", interval: new Interval(4,10, true, false)},
+        {key:"D7", interval: new Interval(4,10, false, true)},
+        {key:"D8", interval: new Interval(4,10, true, true)},
+
+        // touching low - right of high
+        {key:"E1", interval: new Interval(4,12, false, false)},
+        {key:"E2", interval: new Interval(4,12, true, false)},
+        // left of low, touching high
+        {key:"E3", interval: new Interval(1,10, true, false)},
+        {key:"E4", interval: new Interval(1,10, true, true)},
+
+        // overlapping
+        {key:"F", interval: new Interval(1,12, false, true)},
+
+        // singulars
+        {key:"G1", interval: new Interval(1)},
+        {key:"G2", interval: new Interval(4)},
+        {key:"G3", interval: new Interval(6)},
+        {key:"G4", interval: new Interval(10)},
+        {key:"G5", interval: new Interval(12)},
+    ];
+
+    let ds = new Dataset();
+    ds.update(cues);
+
+    // [search interval, match, expected keys]
+    const expectations = [
+        [new Interval(4,10, false, false), INSIDE,
+            ["D1", "D3", "D5", "G3"]],
+        [new Interval(4,10, false, false), OVERLAP,
+            ["C1", "C2", "D1", "D2", "D3", "D4", "D5", "G3"]],
+        [new Interval(4,10, false, false), COVERS,
+            ["C1", "C2", "D1", "D2", "D3", "D4", "D5", "D6", "D7", "D8", "E1", "E2", "E3", "E4", "F", "G3"]],
+        [new Interval(4,10, false, true), INSIDE,
+            ["D1", "D3", "D4", "D5", "D7", "G3", "G4"]],
+        [new Interval(4,10, false, true), OVERLAP,
+            ["B4", "C1", "C2", "D1", "D2", "D3", "D4", "D5", "D6", "D7", "E3", "G3", "G4"]],
+        [new Interval(4,10, false, true), COVERS,
+            ["B4", "C1", "C2", "D1", "D2", "D3", "D4", "D5", "D6", "D7", "D8", "E1", "E2", "E3", "E4", "G3", "G4", "F"]],
+        [new Interval(4,10, true, false), INSIDE,
+            ["D1", "D3", "D2", "D5", "D6", "G3", "G2"]],
+        [new Interval(4,10, true, false), OVERLAP,
+            ["B2", "C1", "C2", "D1", "D2", "D3", "D4", "D5", "D6", "D7", "E1", "G3", "G2"]],
+        [new Interval(4,10, true, false), COVERS,
+            ["B2", "C1", "C2", "D1", "D2", "D3", "D4", "D5", "D6", "D7", "D8", "E1", "E2", "E3", "E4", "G3", "G2", "F"]],
+        [new Interval(4,10, true, true), INSIDE,
+            ["D1", "D2", "D3", "D4", "D5", "D6", "D7", "D8", "G2", "G3", "G4"]],
+        [new Interval(4,10, true, true), OVERLAP,
+            ["B2", "B4", "C1", "C2", "D1", "D2", "D3", "D4", "D5", "D6", "D7", "D8", "E1", "E3", "G2", "G3", "G4"]],
+        [new Interval(4,10, true, true), COVERS,
+            ["B2", "B4", "C1", "C2", "D1", "D2", "D3", "D4", "D5", "D6", "D7", "D8", "E1", "E2", "E3", "E4", "G2", "G3", "G4", "F"]],
+    ];
+
+    for (let [itv, match, expected] of expectations) {
+        assertKeys(ds.lookup(itv, match), expected, `${itv.toString()} ${match}`);
+    }
+});
+
+
+test("dataset lookup delete", () => {
+    let ds = new Dataset();
+
+    /*
+        cues [0,1),[1,2),...[99,100) + [4,18]
+    */
+    let cues = [];
+    for (let i=0; i<100; i++) {
+        cues.push({key: i, interval: new Interval(i, i+1)});
+    }
+    cues.push({
+        key: "overlapping",
+        interval: new Interval(4, 18, true, true)
+    });
+
+    // search interval
+    let interval = new Interval(4.5, 17.5, false, false);
+
+    function evaluate(expected, items) {
+        assertKeys(items.map((item) => item.old), expected);
+        ds.integrity();
+        ds.clear();
+    }
+
+    // remove inside
+    ds.update(cues);
+    evaluate([5,6,7,8,9,10,11,12,13,14,15,16],
+        ds.lookup_delete(interval, INSIDE));
+
+    // remove partial
+    ds.update(cues);
+    evaluate([4,5,6,7,8,9,10,11,12,13,14,15,16,17],
+        ds.lookup_delete(interval, OVERLAP));
+
+    // remove overlap
+    ds.update(cues);
+    evaluate([4,5,6,7,8,9,10,11,12,13,14,15,16,17, "overlapping"],
+        ds.lookup_delete(interval, COVERS));
+});
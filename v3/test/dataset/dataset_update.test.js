@@ -0,0 +1,424 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {utils, Interval, Dataset} from '../../core.js';
+import {flush} from '../helpers.js';
+
+const Delta = Dataset.Delta;
+const cue_delta = Dataset.cue_delta;
+const cue_equals = Dataset.cue_equals;
+const equals = utils.object_equals;
+
+function copy_cue(cue) {
+    return {
+        key: cue.key,
+        interval: cue.interval,
+        data: cue.data
+    };
+}
+
+/*
+    check result of update regarding a single cue (key 1)
+    - size: size of dataset after update
+    - interval, data: expected delta values
+    - old: expected old cue
+*/
+function check(ds, res, {size, interval, data, old}) {
+    assert.equal(res.length, 1);
+    assert.equal(ds.size, size);
+    let delta = cue_delta(res[0].old, res[0].new);
+    assert.equal(delta.interval, interval, "interval delta");
+    assert.equal(delta.data, data, "data delta");
+    // reported new cue is equal to cue found in dataset
+    assert.ok(cue_equals(ds.get(1), res[0].new));
+    // reported old cue is equal to initial cue
+    assert.ok(cue_equals(old, res[0].old));
+}
+
+
+/*
+    basic update operations
+*/
+
+test("dataset update insert", () => {
+    let ds = new Dataset();
+    let cue, res;
+
+    cue = {key: 1, interval: new Interval(3, 4), data: {j:"jalla"}};
+    res = ds.update(cue);
+    check(ds, res, {size:1, interval:Delta.INSERT, data:Delta.INSERT});
+    assert.ok(cue_equals(res[0].new, cue));
+
+    // interval only
+    ds.clear();
+    cue = {key: 1, interval: new Interval(3, 4)};
+    res = ds.update(cue);
+    check(ds, res, {size:1, interval:Delta.INSERT, data:Delta.NOOP});
+    assert.ok(cue_equals(res[0].new, cue));
+
+    // data only
+    ds.clear();
+    cue = {key: 1, data: {j:"jalla"}};
+    res = ds.update(cue);
+    check(ds, res, {size:1, interval:Delta.NOOP, data:Delta.INSERT});
+    assert.ok(cue_equals(res[0].new, cue));
+});
+
+
+test("dataset update replace", () => {
+    let ds = new Dataset();
+    let init_cue, cue, res;
+    const reset = () => {
+        ds.clear();
+        let _init_cue = {key: 1, interval: new Interval(3, 4), data: {j:"jalla"}};
+        ds.update(_init_cue);
+        return copy_cue(_init_cue);
+    };
+
+    // replace interval and data
+    init_cue = reset();
+    cue = {key: 1, interval: new Interval(3, 5), data: {j:"palla"}};
+    res = ds.update(cue);
+    check(ds, res, {size:1, interval:Delta.REPLACE, data:Delta.REPLACE, old:init_cue});
+    assert.ok(cue_equals(res[0].new, cue));
+
+    // replace interval - preserve data
+    init_cue = reset();
+    res = ds.update({key: 1, interval: new Interval(3, 5)});
+    check(ds, res, {size:1, interval:Delta.REPLACE, data:Delta.NOOP, old:init_cue});
+    assert.ok(equals(res[0].new.data, init_cue.data));
+
+    // replace interval - delete data
+    init_cue = reset();
+    cue = {key: 1, interval: new Interval(3, 5), data:undefined};
+    res = ds.update(cue);
+    check(ds, res, {size:1, interval:Delta.REPLACE, data:Delta.DELETE, old:init_cue});
+    assert.ok(cue_equals(res[0].new, cue));
+
+    // replace data - preserve interval
+    init_cue = reset();
+    res = ds.update({key: 1, data: {j:"palla"}});
+    check(ds, res, {size:1, interval:Delta.NOOP, data:Delta.REPLACE, old:init_cue});
+    assert.ok(res[0].new.interval.equals(init_cue.interval));
+
+    // replace data - delete interval
+    init_cue = reset();
+    cue = {key: 1, interval: undefined, data: {j:"palla"}};
+    res = ds.update(cue);
+    check(ds, res, {size:1, interval:Delta.DELETE, data:Delta.REPLACE, old:init_cue});
+    assert.ok(cue_equals(res[0].new, cue));
+});
+
+
+test("dataset update delete", () => {
+    let ds = new Dataset();
+    let init_cue, res;
+    const reset = () => {
+        ds.clear();
+        let _init_cue = {key: 1, interval: new Interval(3, 4), data: {j:"jalla"}};
+        ds.update(_init_cue);
+        return copy_cue(_init_cue);
+    };
+
+    // delete cue
+    init_cue = reset();
+    res = ds.update({key: 1});
+    check(ds, res, {size:0, interval:Delta.DELETE, data:Delta.DELETE, old:init_cue});
+    assert.equal(ds.get(1), undefined);
+    assert.equal(res[0].new, undefined);
+
+    // delete data - preserve interval
+    init_cue = reset();
+    res = ds.update({key: 1, data:undefined});
+    check(ds, res, {size:1, interval:Delta.NOOP, data:Delta.DELETE, old:init_cue});
+    assert.ok(res[0].new.interval.equals(init_cue.interval));
+    assert.equal(res[0].new.data, undefined);
+
+    // delete interval - preserve data
+    init_cue = reset();
+    res = ds.update({key: 1, interval: undefined});
+    check(ds, res, {size:1, interval:Delta.DELETE, data:Delta.NOOP, old:init_cue});
+    assert.equal(res[0].new.interval, undefined);
+    assert.ok(equals(res[0].new.data, init_cue.data));
+});
+
+
+test("dataset update delete nonexistent", () => {
+    let ds = new Dataset();
+    const cues = [
+        {key: 1},
+        {key: 1, interval:undefined, data:undefined},
+        {key: 1, interval:undefined},
+        {key: 1, data:undefined}
+    ];
+    for (let cue of cues) {
+        let res = ds.update(cue);
+        check(ds, res, {size:0, interval:Delta.NOOP, data:Delta.NOOP});
+    }
+});
+
+
+test("dataset update noop", () => {
+    let ds = new Dataset();
+    ds.update({key: 1, interval: new Interval(3, 4), data: {j:"jalla"}});
+    let res = ds.update({key: 1, interval: new Interval(3, 4), data: {j:"jalla"}});
+    check(ds, res, {
+        size:1, interval:Delta.NOOP, data:Delta.NOOP,
+        old: {key: 1, interval: new Interval(3, 4), data: {j:"jalla"}}
+    });
+});
+
+
+/*
+    multiple updates regarding the same cue
+*/
+
+test("dataset update multiple", () => {
+    let ds = new Dataset();
+    let init_cue, cues, res;
+    const reset = () => {
+        ds.clear();
+        let _init_cue = {key: 1, interval: new Interval(3, 4), data: {j:"jalla"}};
+        ds.update(_init_cue);
+        return copy_cue(_init_cue);
+    };
+
+    // original data is not preserved when interval is given after delete
+    init_cue = reset();
+    res = ds.update([
+        {key: 1},
+        {key: 1, interval: new Interval(3, 5)}
+    ]);
+    check(ds, res, {size:1, interval:Delta.REPLACE, data:Delta.DELETE, old:init_cue});
+
+    // delete last
+    init_cue = reset();
+    res = ds.update([
+        {key: 1, interval: new Interval(3, 5)},
+        {key: 1}
+    ]);
+    check(ds, res, {size:0, interval:Delta.DELETE, data:Delta.DELETE, old:init_cue});
+
+    // data preserved through multiple interval replacements
+    init_cue = reset();
+    cues = [
+        {key: 1, interval: new Interval(3, 5)},
+        {key: 1, interval: new Interval(3, 6)}
+    ];
+    res = ds.update(cues);
+    check(ds, res, {size:1, interval:Delta.REPLACE, data:Delta.NOOP, old:init_cue});
+    assert.ok(res[0].new.interval.equals(cues[1].interval));
+    assert.ok(equals(res[0].new.data, init_cue.data));
+
+    // interval preserved through multiple data replacements
+    init_cue = reset();
+    cues = [
+        {key: 1, data: {}},
+        {key: 1, data: {j:"palla"}}
+    ];
+    res = ds.update(cues);
+    check(ds, res, {size:1, interval:Delta.NOOP, data:Delta.REPLACE, old:init_cue});
+    assert.ok(res[0].new.interval.equals(init_cue.interval));
+    assert.ok(equals(res[0].new.data, cues[1].data));
+});
+
+
+test("dataset update multiple - no chaining", () => {
+    let ds = new Dataset();
+    let cues, res;
+    const reset = () => {
+        ds.clear();
+        ds.update({key: 1, interval: new Interval(3, 4), data: {j:"jalla"}});
+    };
+
+    // delete first
+    reset();
+    res = ds.update([
+        {key: 1},
+        {key: 1, interval: new Interval(3, 5)}
+    ], {chaining:false});
+    // old cue is the previous cue - i.e. no cue
+    check(ds, res, {size:1, interval:Delta.INSERT, data:Delta.NOOP, old:undefined});
+
+    // delete last
+    reset();
+    cues = [
+        {key: 1, interval: new Interval(3.5, 5)},
+        {key: 1}
+    ];
+    res = ds.update(cues, {chaining:false});
+    assert.equal(res.length, 1);
+    assert.equal(ds.size, 0);
+    let delta = cue_delta(res[0].old, res[0].new);
+    assert.equal(delta.interval, Delta.DELETE);
+    assert.equal(delta.data, Delta.DELETE);
+    // old cue is the previous cue
+    assert.ok(res[0].old.interval.equals(cues[0].interval));
+});
+
+
+/*
+    effects of update are picked up by lookup
+*/
+
+test("dataset update lookup", () => {
+    const ds = new Dataset();
+    const lookup_interval = new Interval(1,4);
+    let cue, cues;
+
+    // data update is reflected by both lookup and get
+    ds.update({key:1, interval: new Interval(2,3), data: {jalla: "jalla"}});
+    cue = {key:1, data: {palla: "palla"}};
+    ds.update(cue);
+    cues = ds.lookup(lookup_interval);
+    assert.ok(equals(cues[0].data, cue.data));
+    assert.ok(cue_equals(cues[0], ds.get(1)));
+
+    // move cue by updating interval - invisible and visible for lookup
+    ds.clear();
+    ds.update({key:1, interval: new Interval(2,3), data: {jalla: "jalla"}});
+    ds.update({key:1, interval: new Interval(5,7)});
+    assert.equal(ds.lookup(lookup_interval).length, 0);
+    cue = {key:1, interval: new Interval(3,5)};
+    ds.update(cue);
+    cues = ds.lookup(lookup_interval);
+    assert.equal(cues.length, 1);
+    assert.ok(cue_equals(cues[0], ds.get(1)));
+    assert.ok(cue.interval.equals(cues[0].interval));
+
+    // stretched cue ends up in a new bucket
+    ds.clear();
+    ds.update({key:1, interval: new Interval(2,3), data: {jalla: "jalla"}});
+    ds.integrity();
+    assert.equal(ds.lookup(new Interval(10,20)).length, 0);
+    ds.update({key:1, interval: new Interval(2,13)});
+    ds.integrity();
+    assert.equal(ds.lookup(new Interval(10,20)).length, 1);
+});
+
+
+test("dataset batch event", async () => {
+    let ds = new Dataset();
+    let cues = [];
+    for (let i=0; i<100; i++) {
+        cues.push({key: i.toString(), interval: new Interval(i, i+1)});
+    }
+    let count = 0;
+    ds.on("batch", (eItems) => {
+        assert.equal(eItems.length, cues.length);
+        count++;
+    });
+    ds.update(cues);
+    await flush();
+    assert.equal(count, 1);
+});
+
+
+test("dataset truncate", () => {
+    let ds = new Dataset();
+    ds.update([
+        {key:"k", interval: new Interval(612, 10000), data: "k"}
+    ]);
+    ds.update([
+        {key:"l", interval: new Interval(614, 10000), data: "l"},
+        {key:"k", interval: new Interval(612, 614), data: "k"},
+    ]);
+    ds.update([
+        {key:"m", interval: new Interval(616, 10000), data: "m"},
+        {key:"l", interval: new Interval(614, 616), data: "l"},
+    ]);
+    ds.integrity();
+    let keys = ds.lookup(new Interval(600, 700)).map((cue) => cue.key);
+    assert.deepEqual(keys.sort(), ["k", "l", "m"]);
+});
+
+
+test("dataset persistence with batching", async () => {
+    let ds = new Dataset();
+    ds._addCue("k", new Interval(612, 10000), "k");
+    ds.addCue("k", new Interval(612, 614));
+    ds.addCue("m", new Interval(614, 10000), "m");
+    await ds.updateDone;
+    // data of k preserved
+    assert.equal(ds.get("k").data, "k");
+    assert.ok(ds.get("k").interval.equals(new Interval(612, 614)));
+    assert.equal(ds.size, 2);
+});
+
+
+test("dataset update done promise", async () => {
+    let ds = new Dataset();
+    ds
+        .addCue("k", new Interval(612, 10000), "k")
+        .addCue("k", new Interval(612, 614), "k")
+        .addCue("l", new Interval(614, 10000), "l")
+        .addCue("m", new Interval(616, 10000), "m")
+        .addCue("l", new Interval(614, 616));
+    let res = await ds.updateDone;
+    assert.equal(res.length, 3);
+    assert.ok(ds.get("l").interval.equals(new Interval(614, 616)));
+
+    ds.addCue("l", new Interval(614, 10000), "l");
+    res = await ds.updateDone;
+    assert.equal(res.length, 1);
+    assert.ok(ds.get("l").interval.equals(new Interval(614, 10000)));
+});
+
+
+test("dataset update to singular and back", () => {
+    let ds = new Dataset({debug:true});
+    ds._addCue("c62-1", new Interval(62.114,100062.114), "data");
+    ds.addCue("c62-1", new Interval(62.114,62.114), "data");
+    ds.addCue("c62-1", new Interval(62.114, 100062.114), "data");
+});
+
+
+test("dataset custom builder", async () => {
+    let ds = new Dataset();
+    let builder = ds.makeBuilder({chaining:false});
+    let done = builder.updateDone;
+    builder
+        .addCue("key_1", new Interval(1,2), "data")
+        .removeCue("key_2")
+        .clear();
+    await done;
+    assert.equal(ds.size, 0);
+});
+
+
+test("dataset array intervals", () => {
+    let ds = new Dataset();
+    ds._addCue("k", [1,2], "k");
+    ds._addCue("j", [1,2, false, true], "k");
+    assert.ok(ds.get("k").interval instanceof Interval);
+    assert.ok(ds.get("j").interval.highInclude);
+});
+
+
+test("dataset null update", async () => {
+    /*
+        verify that updating with the same cues does not generate any events
+    */
+    let ds = new Dataset();
+    let count = 0;
+    const make_cues = () => [
+        {key: 1, interval:[1,2], data: {data:"jalla"}},
+        {key: 2, interval:[2,3], data: {data:"palla"}},
+        {key: 3, interval:[3,4], data: {data:"kalla"}},
+        {key: 4, interval:[4,5], data: {data:"talla"}}
+    ];
+    ds.update(make_cues());
+    ds.on("batch", () => {count++});
+
+    // repeat operation
+    ds.update(make_cues());
+
+    // delete all and repeat all in one operation
+    ds.builder.update([...ds.keys()].map((key) => {
+        return {key:key};
+    }));
+    ds.builder.update(make_cues());
+    await ds.updateDone;
+    await flush();
+    assert.equal(count, 1);
+});
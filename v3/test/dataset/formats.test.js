@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset, formats} from '../../core.js';
+
+
+test("formats detect", () => {
+    assert.deepEqual(formats.listFormats(), ["webvtt", "ttml", "srt"]);
+    assert.equal(formats.detect("WEBVTT\n\n00:01.000 --> 00:02.000\nx\n"), "webvtt");
+    assert.equal(formats.detect(`<?xml version="1.0"?>\n<tt xmlns="http://www.w3.org/ns/ttml"></tt>`), "ttml");
+    assert.equal(formats.detect("1\n00:00:01,000 --> 00:00:02,000\nx\n"), "srt");
+    assert.equal(formats.detect("hello"), undefined);
+    assert.throws(() => formats.parse("hello"));
+    assert.throws(() => formats.getFormat("unknown"));
+});
+
+
+test("formats convert", () => {
+    let ds = new Dataset();
+    formats.load(ds, "1\n00:00:01,000 --> 00:00:02,000\nhello\n");
+    assert.equal(ds.size, 1);
+    let vtt = formats.serialize(ds, "webvtt");
+    assert.equal(vtt, "WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.000\nhello\n");
+    let res = formats.parse(vtt);
+    assert.ok(res.cues[0].interval.equals(new Interval(1, 2)));
+});
+
+
+test("formats register", () => {
+    let adapter = {
+        parse: (text) => ({cues: [{key: text, interval: new Interval(0, 1), data: text}]}),
+        serialize: (collection) => collection.cues().map((cue) => cue.key).join(",")
+    };
+    formats.registerFormat("keys", adapter);
+    let ds = new Dataset();
+    formats.load(ds, "a", "keys");
+    assert.equal(formats.serialize(ds, "keys"), "a");
+    assert.throws(() => formats.registerFormat("broken", {}));
+});
@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset, DatasetHistory, DatasetReplicator} from '../../core.js';
+import {make_cues, flush, summary} from '../helpers.js';
+
+
+test("undo and redo", async () => {
+    let ds = new Dataset();
+    let history = new DatasetHistory(ds);
+    let states = [];
+    history.on("change", (e) => states.push([e.undo, e.redo]));
+    await flush();
+    ds.update(make_cues(3));
+    await flush();
+    let s1 = summary(ds);
+    ds.update([
+        {key: "key-0", interval: new Interval(0, 10)},
+        {key: "key-1", data: "one"},
+        {key: "key-2"},
+        {key: "key-3", interval: new Interval(3, 4)}
+    ]);
+    await flush();
+    let s2 = summary(ds);
+    assert.equal(history.size, 7);
+
+    // undo
+    assert.equal(history.undo().length, 4);
+    assert.deepEqual(summary(ds), s1);
+    history.undo();
+    assert.equal(ds.size, 0);
+    assert.equal(history.canUndo, false);
+    assert.deepEqual(history.undo(), []);
+    await flush();
+    // undo is not recorded
+    assert.equal(history.canRedo, true);
+
+    // redo
+    history.redo();
+    assert.deepEqual(summary(ds), s1);
+    history.redo();
+    assert.deepEqual(summary(ds), s2);
+    assert.equal(history.canRedo, false);
+    await flush();
+    assert.deepEqual(states, [
+        [0, 0], [1, 0], [2, 0], [1, 1], [0, 2], [1, 1], [2, 0]
+    ]);
+    history.close();
+});
+
+
+test("new transaction clears redo", async () => {
+    let ds = new Dataset();
+    let history = new DatasetHistory(ds);
+    ds.update(make_cues(2));
+    await flush();
+    history.undo();
+    assert.equal(history.canRedo, true);
+    ds.update({key: "a", data: 1});
+    await flush();
+    assert.equal(history.canRedo, false);
+    history.undo();
+    assert.equal(ds.size, 0);
+    history.close();
+});
+
+
+test("group builder batches", async () => {
+    let ds = new Dataset();
+    ds.update(make_cues(2));
+    let history = new DatasetHistory(ds);
+    let builder = history.makeBuilder();
+    builder.addCue("a", new Interval(0, 1), "a");
+    await builder.updateDone;
+    builder.addCue("a", new Interval(0, 2), "a2");
+    builder.removeCue("key-0");
+    await builder.updateDone;
+    // separate transaction
+    ds.update({key: "b", data: "b"}, {transaction: history.transaction()});
+    await flush();
+    history.undo();
+    assert.equal(ds.has("b"), false);
+    assert.equal(ds.get("a").data, "a2");
+    // builder batches undone together
+    history.undo();
+    assert.equal(ds.has("a"), false);
+    assert.equal(ds.has("key-0"), true);
+    assert.equal(history.canUndo, false);
+    history.redo();
+    assert.equal(ds.get("a").data, "a2");
+    assert.equal(ds.has("key-0"), false);
+    history.close();
+});
+
+
+test("limit history", async () => {
+    let ds = new Dataset();
+    let history = new DatasetHistory(ds, {max_count: 2});
+    for (let i=0; i<4; i++) {
+        ds.update({key: `k${i}`, data: i});
+        await flush();
+    }
+    history.undo();
+    history.undo();
+    assert.equal(history.canUndo, false);
+    assert.deepEqual([...ds.keys()].sort(), ["k0", "k1"]);
+    history.close();
+
+    let ds2 = new Dataset();
+    let history2 = new DatasetHistory(ds2, {max_size: 5});
+    ds2.update(make_cues(3));
+    await flush();
+    ds2.update(make_cues(4));
+    await flush();
+    assert.equal(history2.size, 4);
+    // older transactions dropped, last kept although too large
+    ds2.update(make_cues(10));
+    await flush();
+    assert.equal(history2.size, 6);
+    assert.equal(history2.undo().length, 6);
+    assert.equal(history2.canUndo, false);
+    history2.close();
+
+    // no history
+    let ds3 = new Dataset();
+    let history3 = new DatasetHistory(ds3, {max_count: 0});
+    ds3.update(make_cues(3));
+    await flush();
+    assert.equal(history3.canUndo, false);
+    assert.equal(history3.size, 0);
+    history3.close();
+});
+
+
+test("undo in same task as update", () => {
+    let ds = new Dataset();
+    let history = new DatasetHistory(ds);
+    ds.update(make_cues(2));
+    ds.update({key: "key-0", data: "zero"});
+    history.undo();
+    assert.deepEqual(ds.get("key-0").data, {value: 0});
+    history.undo();
+    assert.equal(ds.size, 0);
+    // clear is recorded too
+    history.redo();
+    ds.clear();
+    history.undo();
+    assert.equal(ds.size, 2);
+    history.close();
+});
+
+
+test("remote changes are not recorded", () => {
+    let ds = new Dataset();
+    let history = new DatasetHistory(ds);
+    let replicator = new DatasetReplicator(ds, {send() {}, listen() {return () => {};}});
+    replicator.start();
+    ds.update({key: "local", data: 1});
+    let items = replicator.apply([["remote", 100, "bob", "peer", null, 2]], "peer");
+    assert.equal(items[0].info.origin, "peer");
+    assert.equal(ds.get("remote").data, 2);
+    history.undo();
+    assert.equal(ds.has("local"), false);
+    assert.equal(ds.has("remote"), true);
+    assert.equal(history.canUndo, false);
+    replicator.close();
+    history.close();
+});
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    Interval, Dataset, DatasetPersistence, StorageBackend, MemoryBackend
+} from '../../core.js';
+import {make_cues} from '../helpers.js';
+
+
+test("persistence incremental writes and restore", async () => {
+    let backend = new MemoryBackend();
+    let ds = new Dataset();
+    let p = new DatasetPersistence(ds, backend);
+    assert.equal(await p.open(), 0);
+    ds.update(make_cues(10));
+    await p.flush();
+    assert.equal(backend.size, 10);
+    // replace and delete
+    ds.update([
+        {key: "key-1", interval: new Interval(1, 5, true, true)},
+        {key: "key-2", data: {value: "two"}},
+        {key: "key-3"}
+    ]);
+    await p.flush();
+    assert.equal(backend.size, 9);
+    assert.ok(p.meta.ts != undefined);
+    await p.close();
+
+    // reload
+    let ds2 = new Dataset();
+    let p2 = new DatasetPersistence(ds2, backend);
+    assert.equal(await p2.open(), 9);
+    assert.equal(ds2.size, 9);
+    assert.ok(ds2.get("key-1").interval.equals(new Interval(1, 5, true, true)));
+    assert.deepEqual(ds2.get("key-2").data, {value: "two"});
+    assert.equal(ds2.has("key-3"), false);
+    // cue info preserved
+    assert.deepEqual(ds2.get("key-2").info, ds.get("key-2").info);
+    assert.equal(ds2.lookup(new Interval(4, 5)).length, 2);
+    // restore is not written back
+    await p2.flush();
+    assert.equal(backend.size, 9);
+    ds2.clear();
+    await p2.close();
+    assert.equal(backend.size, 0);
+});
+
+
+test("persistence restores with single update", async () => {
+    let backend = new MemoryBackend();
+    await backend.open();
+    let ds = new Dataset();
+    await backend.write(make_cues(1000).map((cue) => {
+        return {type: "put", record: {...cue, interval: [cue.interval.low, cue.interval.high]}};
+    }), {ts: 1});
+    let batches = 0;
+    ds.on("batch", () => {batches += 1;}, {init:false});
+    let p = new DatasetPersistence(ds, backend);
+    await p.open();
+    await p.flush();
+    assert.equal(ds.size, 1000);
+    assert.equal(batches, 1);
+    assert.deepEqual(p.meta, {ts: 1});
+    await p.clear();
+    assert.equal(backend.size, 0);
+    assert.equal(ds.size, 1000);
+    await p.close();
+});
+
+
+test("persistence writes cues present before open", async () => {
+    let backend = new MemoryBackend();
+    let ds = new Dataset();
+    let p = new DatasetPersistence(ds, backend);
+    await p.open();
+    ds.update(make_cues(3));
+    await p.close();
+
+    // dataset with cues before open
+    let ds2 = new Dataset();
+    ds2.update([
+        {key: "key-0", interval: new Interval(0, 10), data: "local"},
+        {key: "local", interval: new Interval(0, 1), data: "local"}
+    ]);
+    let p2 = new DatasetPersistence(ds2, backend);
+    assert.equal(await p2.open(), 3);
+    // stored cue wins
+    assert.deepEqual(ds2.get("key-0").data, {value: 0});
+    assert.equal(ds2.size, 4);
+    await p2.flush();
+    assert.equal(backend.size, 4);
+    await p2.close();
+
+    let ds3 = new Dataset();
+    let p3 = new DatasetPersistence(ds3, backend);
+    assert.equal(await p3.open(), 4);
+    assert.equal(ds3.get("local").data, "local");
+    await p3.close();
+});
+
+
+test("persistence write errors", async () => {
+    class FailingBackend extends MemoryBackend {
+        constructor() {
+            super();
+            this.fail = true;
+        }
+        async write(ops, meta) {
+            if (this.fail) {
+                throw new Error("disk full");
+            }
+            return super.write(ops, meta);
+        }
+    }
+    let ds = new Dataset();
+    let backend = new FailingBackend();
+    let p = new DatasetPersistence(ds, backend);
+    let errors = [];
+    p.on("writeerror", (e) => errors.push(e.error.message));
+    await p.open();
+    ds.update(make_cues(2));
+    await assert.rejects(p.flush(), /disk full/);
+    assert.deepEqual(errors, ["disk full"]);
+    assert.equal(backend.size, 0);
+    // newer change for same key while failing
+    ds.update({key: "key-1", data: "newer"});
+    await assert.rejects(p.flush(), /disk full/);
+    // failed operations are written on retry
+    backend.fail = false;
+    await p.flush();
+    assert.equal(backend.size, 2);
+    let {records} = await backend.getAll();
+    let record = records.find((r) => r.key == "key-1");
+    assert.equal(record.data, "newer");
+    await p.close();
+    // abstract backend
+    await assert.rejects(new StorageBackend().open(), /not implemented/);
+});
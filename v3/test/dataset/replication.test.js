@@ -0,0 +1,185 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    Interval, Dataset, DatasetReplicator, messagePortTransport
+} from '../../core.js';
+import {encodeChange, decodeChange} from '../../dataset/replication.js';
+import {make_cues, summary} from '../helpers.js';
+
+// let messages pass through message ports
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+function make_peers(ds_a, ds_b, options_a={author: "a"}, options_b={author: "b"}) {
+    let channel = new MessageChannel();
+    let a = new DatasetReplicator(ds_a, messagePortTransport(channel.port1), options_a);
+    let b = new DatasetReplicator(ds_b, messagePortTransport(channel.port2), options_b);
+    let close = () => {
+        a.close();
+        b.close();
+        channel.port1.close();
+        channel.port2.close();
+    };
+    return [a, b, close];
+}
+
+
+test("encode and decode changes", () => {
+    let cue = {key: "k", interval: new Interval(0, Infinity), data: 1};
+    let change = encodeChange("k", cue, 10, "a", "o");
+    assert.deepEqual(change, ["k", 10, "a", "o", [0, null, true, true], 1]);
+    // JSON safe
+    let res = decodeChange(JSON.parse(JSON.stringify(change)));
+    assert.equal(res.ts, 10);
+    assert.equal(res.author, "a");
+    assert.equal(res.origin, "o");
+    assert.deepEqual(res.cue, {key: "k", interval: [0, Infinity, true, true], data: 1});
+    // put without interval or data sets both
+    change = encodeChange("k", {key: "k", data: null}, 10, "a", "o");
+    assert.deepEqual(change, ["k", 10, "a", "o", null, null]);
+    assert.deepEqual(decodeChange(change).cue, {key: "k", interval: undefined, data: null});
+    change = encodeChange("k", {key: "k", interval: new Interval(0, 1)}, 10, "a", "o");
+    assert.deepEqual(change, ["k", 10, "a", "o", [0, 1, true, false]]);
+    assert.deepEqual(decodeChange(change).cue, {
+        key: "k", interval: [0, 1, true, false], data: undefined
+    });
+    // delete
+    assert.deepEqual(encodeChange("k", undefined, 11, "a", "o"), ["k", 11, "a", "o"]);
+    assert.deepEqual(decodeChange(["k", 11, "a", "o"]).cue, {key: "k"});
+});
+
+
+test("snapshot transfer and live deltas", async () => {
+    let ds_a = new Dataset();
+    let ds_b = new Dataset();
+    ds_a.update(make_cues(5));
+    ds_b.update([{key: "other", interval: new Interval(10, 11), data: "b"}]);
+    let [a, b, close] = make_peers(ds_a, ds_b);
+    let synced = [];
+    b.on("sync", (e) => synced.push(e.origin), {init:false});
+    a.start();
+    b.start();
+    await settle();
+    assert.deepEqual(synced, [a.id]);
+    assert.equal(ds_a.size, 6);
+    assert.deepEqual(summary(ds_a), summary(ds_b));
+
+    // live deltas in both directions
+    let remote = [];
+    b.on("remotechange", (e) => remote.push(e.items.length), {init:false});
+    ds_a.update([
+        {key: "key-0", interval: new Interval(0, 5)},
+        {key: "key-1"}
+    ]);
+    ds_b.update({key: "new", interval: new Interval(2, 3), data: "x"});
+    await settle();
+    assert.equal(ds_b.has("key-1"), false);
+    assert.equal(ds_b.get("key-0").interval.high, 5);
+    assert.equal(ds_a.get("new").data, "x");
+    assert.deepEqual(summary(ds_a), summary(ds_b));
+    assert.deepEqual(remote, [2]);
+    close();
+});
+
+
+test("last writer wins", () => {
+    let ds = new Dataset();
+    let r = new DatasetReplicator(ds, {send() {}, listen() {return () => {};}}, {author: "a"});
+    r.start();
+    r.apply([["k", 100, "x", "o", [0, 1, true, false], "first"]]);
+    assert.equal(ds.get("k").data, "first");
+    // older change ignored
+    assert.equal(r.apply([["k", 99, "y", "o", [0, 1, true, false], "old"]]).length, 0);
+    assert.equal(ds.get("k").data, "first");
+    // equal ts - tie broken by author
+    r.apply([["k", 100, "w", "o", [0, 1, true, false], "w"]]);
+    assert.equal(ds.get("k").data, "first");
+    r.apply([["k", 100, "z", "o", [0, 1, true, false], "z"]]);
+    assert.equal(ds.get("k").data, "z");
+    // newer change without effect
+    assert.equal(r.apply([["k", 101, "x", "o", [0, 1, true, false], "z"]]).length, 0);
+    // deleted key is not resurrected by older change
+    r.apply([["k", 200, "x", "o"]]);
+    assert.equal(ds.has("k"), false);
+    r.apply([["k", 150, "x", "o", [0, 1, true, false], "late"]]);
+    assert.equal(ds.has("k"), false);
+    r.close();
+});
+
+
+test("equal ts and author - tie broken by origin", () => {
+    let c1 = ["k", 100, "alice", "o1", [0, 1, true, false], "one"];
+    let c2 = ["k", 100, "alice", "o2", [0, 1, true, false], "two"];
+    let results = [[c1, c2], [c2, c1]].map((changes) => {
+        let ds = new Dataset();
+        let r = new DatasetReplicator(ds, {send() {}, listen() {return () => {};}});
+        r.start();
+        for (let change of changes) {
+            r.apply([change]);
+        }
+        r.close();
+        return ds.get("k").data;
+    });
+    assert.deepEqual(results, ["two", "two"]);
+});
+
+
+test("concurrent updates converge", async () => {
+    let ds_a = new Dataset();
+    let ds_b = new Dataset();
+    let [a, b, close] = make_peers(ds_a, ds_b);
+    a.start();
+    b.start();
+    await settle();
+    ds_a.update({key: "k", interval: new Interval(0, 1), data: "a"});
+    ds_b.update({key: "k", interval: new Interval(0, 1), data: "b"});
+    await settle();
+    assert.equal(ds_a.get("k").data, ds_b.get("k").data);
+    // local change after remote change always wins
+    ds_a.update({key: "k", interval: new Interval(0, 1), data: "a2"});
+    await settle();
+    assert.equal(ds_b.get("k").data, "a2");
+    close();
+});
+
+
+test("remove interval and set data to null", async () => {
+    let ds_a = new Dataset();
+    let ds_b = new Dataset();
+    let [a, b, close] = make_peers(ds_a, ds_b);
+    a.start();
+    b.start();
+    await settle();
+    ds_a.update({key: "k", interval: new Interval(0, 1), data: "y"});
+    ds_a.update({key: "j", interval: new Interval(0, 1), data: "y"});
+    await settle();
+    assert.equal(ds_b.get("k").data, "y");
+    // remove interval, keep data
+    ds_a.update({key: "k", interval: undefined});
+    // set data to null, keep interval
+    ds_a.update({key: "j", data: null});
+    await settle();
+    assert.equal(ds_b.get("k").interval, undefined);
+    assert.equal(ds_b.get("k").data, "y");
+    assert.equal(ds_b.get("j").data, null);
+    assert.equal(ds_b.get("j").interval.high, 1);
+    close();
+});
+
+
+test("same author on both peers converges", async () => {
+    let ds_a = new Dataset();
+    let ds_b = new Dataset();
+    let [a, b, close] = make_peers(ds_a, ds_b, {author: "alice"}, {author: "alice"});
+    assert.notEqual(a.id, b.id);
+    a.start();
+    b.start();
+    await settle();
+    ds_a.update({key: "k", interval: new Interval(0, 1), data: "a"});
+    ds_b.update({key: "k", interval: new Interval(0, 1), data: "b"});
+    await settle();
+    assert.equal(ds_a.get("k").data, ds_b.get("k").data);
+    close();
+});
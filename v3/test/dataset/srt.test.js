@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset, srt} from '../../core.js';
+
+const SRT = [
+    "1",
+    "00:00:01,000 --> 00:00:04,500",
+    "Hello",
+    "<i>world</i>",
+    "",
+    "2",
+    "00:00:05,000 --> 00:00:07,250 X1:100 X2:600 Y1:50 Y2:80",
+    "<font color=\"#ff0000\">Red</font>",
+    "",
+    "",
+    "3",
+    "01:00:00.000 --> 01:00:01,000",
+    "An hour later",
+    "",
+    "x",
+    "00:00:09,000 --> 00:00:10,000",
+    "illegal number",
+    ""
+].join("\r\n");
+
+
+test("srt timestamps", () => {
+    assert.equal(srt.parseTimestamp("00:00:01,500"), 1.5);
+    assert.equal(srt.parseTimestamp("01:02:03,004"), 3723.004);
+    assert.equal(srt.parseTimestamp("01:02:03.004"), 3723.004);
+    assert.equal(srt.parseTimestamp("00:01.500"), undefined);
+    assert.equal(srt.formatTimestamp(3723.004), "01:02:03,004");
+    assert.throws(() => srt.formatTimestamp(Infinity), srt.SRTError);
+});
+
+
+test("srt parse", () => {
+    let res = srt.parse(SRT);
+    assert.equal(res.errors.length, 1);
+    assert.deepEqual(res.cues.map((cue) => cue.key), ["1", "2", "3"]);
+    let [first, second, third] = res.cues;
+    assert.ok(first.interval.equals(new Interval(1, 4.5)));
+    assert.deepEqual(first.data, {text: "Hello\n<i>world</i>", settings: {}});
+    assert.deepEqual(second.data.settings, {X1: "100", X2: "600", Y1: "50", Y2: "80"});
+    assert.ok(third.interval.equals(new Interval(3600, 3601)));
+});
+
+
+test("srt round trip", () => {
+    let ds = new Dataset();
+    srt.load(ds, SRT);
+    assert.equal(ds.size, 3);
+    let text = srt.serialize(ds);
+    let res = srt.parse(text);
+    assert.deepEqual(res.errors, []);
+    assert.deepEqual(res.cues.map((cue) => cue.key), ["1", "2", "3"]);
+    for (let cue of res.cues) {
+        let orig = ds.get(cue.key);
+        assert.ok(cue.interval.equals(orig.interval));
+        assert.deepEqual(cue.data, orig.data);
+    }
+    // serialized text is stable
+    let ds2 = new Dataset();
+    srt.load(ds2, text);
+    assert.equal(srt.serialize(ds2), text);
+});
+
+
+test("srt serialize", () => {
+    let ds = new Dataset();
+    ds.update([
+        {key: "b", interval: new Interval(2, 3), data: "second\n\nline"},
+        {key: "a", interval: new Interval(0, 1.25), data: {text: "first"}}
+    ]);
+    assert.equal(srt.serialize(ds), [
+        "1",
+        "00:00:00,000 --> 00:00:01,250",
+        "first",
+        "",
+        "2",
+        "00:00:02,000 --> 00:00:03,000",
+        "second",
+        "line",
+        ""
+    ].join("\n"));
+});
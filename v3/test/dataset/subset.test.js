@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset, Subset} from '../../core.js';
+import {make_cues, flush} from '../helpers.js';
+
+// cue data as strings - "data-i"
+const data = (i) => `data-${i}`;
+
+function keep_odd_keys(key) {
+    let [prefix, number] = key.split("-");
+    return parseInt(number)%2 == 1;
+}
+
+function convert(data) {
+    return `prefix-${data}-postfix`;
+}
+
+// event items as strings - "key old new"
+function items_to_strings(items) {
+    return items.map((item) => `${item.key} ${item.old != undefined} ${item.new != undefined}`);
+}
+
+
+test("subset filter and convert", () => {
+    let ds = new Dataset();
+    let dv = new Subset(ds, {key_filter: keep_odd_keys, data_convert: convert});
+    ds.update(make_cues(20, data));
+    assert.equal(dv.size, 10);
+    assert.equal(dv.has("key-1"), true);
+    assert.equal(dv.has("key-2"), false);
+    assert.equal(dv.get("key-1").data, "prefix-data-1-postfix");
+    assert.equal(dv.get("key-2"), undefined);
+    // source dataset not affected
+    assert.equal(ds.get("key-1").data, "data-1");
+});
+
+
+test("subset interval", () => {
+    let ds = new Dataset();
+    let dv = new Subset(ds, {key_filter: keep_odd_keys});
+    ds.update(make_cues(20, data));
+    dv.interval = new Interval(2, 8);
+    assert.equal(dv.size, 3);
+    assert.deepEqual(dv.lookup().map((cue) => cue.key).sort(), ["key-3", "key-5", "key-7"]);
+    assert.deepEqual(dv.lookup(new Interval(4, 20)).map((cue) => cue.key).sort(), ["key-5", "key-7"]);
+    dv.interval = new Interval(12, 17);
+    assert.deepEqual(dv.lookup().map((cue) => cue.key).sort(), ["key-13", "key-15"]);
+});
+
+
+test("subset events", async () => {
+    let ds = new Dataset();
+    let dv = new Subset(ds, {key_filter: keep_odd_keys});
+    let log = [];
+    dv.on("batch", (items) => log.push(items_to_strings(items)), {init:false});
+    ds.update(make_cues(6, data));
+    await flush();
+    assert.deepEqual(log.pop(), ["key-1 false true", "key-3 false true", "key-5 false true"]);
+
+    // interval change - exit cues outside interval
+    dv.interval = new Interval(2, 4);
+    await flush();
+    assert.deepEqual(log.pop(), ["key-1 true false", "key-5 true false"]);
+
+    // remove cue from source dataset
+    ds.update({key: "key-3"});
+    await flush();
+    assert.deepEqual(log.pop(), ["key-3 true false"]);
+    assert.equal(dv.size, 0);
+
+    // changes outside interval are not forwarded
+    ds.update({key: "key-5", data: "changed"});
+    await flush();
+    assert.equal(log.length, 0);
+});
@@ -0,0 +1,172 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset, ttml} from '../../core.js';
+import {assertClose} from '../helpers.js';
+
+const TTML = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- IMSC1 text profile -->
+<tt xmlns="http://www.w3.org/ns/ttml"
+    xmlns:ttp="http://www.w3.org/ns/ttml#parameter"
+    xmlns:tts="http://www.w3.org/ns/ttml#styling"
+    xmlns:ittp="http://www.w3.org/ns/ttml/profile/imsc1#parameter"
+    xml:lang="en" ttp:frameRate="25" ttp:tickRate="10000000"
+    ittp:aspectRatio="16 9">
+  <head>
+    <styling>
+      <style xml:id="s1" tts:color="white" tts:fontSize="100%"/>
+    </styling>
+    <layout>
+      <region xml:id="bottom" tts:origin="10% 80%" tts:extent="80% 20%"/>
+    </layout>
+  </head>
+  <body style="s1">
+    <div region="bottom">
+      <p xml:id="c1" begin="00:00:01:12" end="00:00:03:00">Hello<br/>
+        <span tts:fontStyle="italic">world</span></p>
+      <p begin="10000000t" dur="2s" tts:color="yellow">Ticks &amp; duration</p>
+      <p xml:id="c3" begin="00:00:05.500" end="6.5s">Clock and offset</p>
+    </div>
+    <div begin="10s">
+      <p xml:id="c4" begin="1s" end="2s">Offset by div</p>
+    </div>
+  </body>
+</tt>
+`;
+
+
+test("ttml timing expressions", () => {
+    let params = ttml.timingParameters({
+        "ttp:frameRate": "30",
+        "ttp:frameRateMultiplier": "1000 1001",
+        "ttp:subFrameRate": "2"
+    });
+    assertClose(params.frameRate, 30000/1001, "frame rate");
+    // effective frame rate times sub frame rate
+    assertClose(params.tickRate, 60000/1001, "tick rate");
+    assertClose(ttml.parseTimeExpression("00:00:01:15.1", params), 1 + 15.5*1001/30000, "frames");
+    let defaults = ttml.timingParameters();
+    assert.equal(ttml.parseTimeExpression("01:02:03", defaults), 3723);
+    assert.equal(ttml.parseTimeExpression("01:02:03.25", defaults), 3723.25);
+    assert.equal(ttml.parseTimeExpression("1.5h", defaults), 5400);
+    assert.equal(ttml.parseTimeExpression("2m", defaults), 120);
+    assert.equal(ttml.parseTimeExpression("250ms", defaults), 0.25);
+    assert.equal(ttml.parseTimeExpression("60f", defaults), 2);
+    assert.equal(ttml.parseTimeExpression("3t", defaults), 3);
+    assert.equal(ttml.parseTimeExpression("1:02:03", defaults), undefined);
+    assert.equal(ttml.formatClockTime(3723.25), "01:02:03.250");
+});
+
+
+test("ttml span timing", () => {
+    let res = ttml.parse(`<tt xmlns="http://www.w3.org/ns/ttml"><body><div>
+      <p xml:id="k" begin="2s"><span begin="0s" end="1s">one</span>
+        <span begin="1s" end="2.5s">two <span begin="0.5s" dur="0.5s">three</span></span></p>
+      <p xml:id="e" begin="10s" end="11s"><span begin="0.5s" end="5s">clipped</span></p>
+    </div></body></tt>`);
+    assert.deepEqual(res.errors, []);
+    let [k, e] = res.cues;
+    // p without end ends with last span
+    assert.ok(k.interval.equals(new Interval(2, 4.5)));
+    assert.deepEqual(k.data.spans, [
+        {text: "one", begin: 2, end: 3},
+        {text: "two three", begin: 3, end: 4.5},
+        {text: "three", begin: 3.5, end: 4}
+    ]);
+    // span clipped by p
+    assert.ok(e.interval.equals(new Interval(10, 11)));
+    assert.deepEqual(e.data.spans, [{text: "clipped", begin: 10.5, end: 11}]);
+    assert.equal(res.cues[0].data.timing.begin, "2s");
+});
+
+
+test("ttml parse", () => {
+    let res = ttml.parse(TTML);
+    assert.deepEqual(res.errors, []);
+    assert.equal(res.attributes["ttp:frameRate"], "25");
+    assert.ok(res.head.startsWith("<head>"));
+    assert.ok(res.head.includes(`<region xml:id="bottom"`));
+    assert.deepEqual(res.cues.map((cue) => cue.key), ["c1", "cue-2", "c3", "c4"]);
+    let [c1, c2, c3, c4] = res.cues;
+    // frames
+    assertClose(c1.interval.low, 1.48, "c1 begin");
+    assertClose(c1.interval.high, 3, "c1 end");
+    assert.equal(c1.data.text, "Hello\nworld");
+    assert.ok(c1.data.content.includes(`<span tts:fontStyle="italic">world</span>`));
+    assert.deepEqual(c1.data.attributes, {style: "s1", region: "bottom"});
+    assert.deepEqual(c1.data.timing, {begin: "00:00:01:12", end: "00:00:03:00"});
+    // ticks and dur
+    assert.ok(c2.interval.equals(new Interval(1, 3)));
+    assert.equal(c2.data.text, "Ticks & duration");
+    assert.equal(c2.data.attributes["tts:color"], "yellow");
+    assert.ok(c3.interval.equals(new Interval(5.5, 6.5)));
+    // offset by div - timing expressions not preserved
+    assert.ok(c4.interval.equals(new Interval(11, 12)));
+    assert.equal(c4.data.timing, undefined);
+    assert.throws(() => ttml.parse("<html></html>"), ttml.TTMLError);
+    assert.throws(() => ttml.parse("<tt><p></tt>"), ttml.TTMLError);
+});
+
+
+test("ttml round trip", () => {
+    let ds = new Dataset();
+    let res = ttml.load(ds, TTML);
+    assert.equal(ds.size, 4);
+    let text = ttml.serialize(ds, {attributes: res.attributes, head: res.head});
+    // timing expressions preserved
+    assert.ok(text.includes(`begin="00:00:01:12" end="00:00:03:00"`));
+    assert.ok(text.includes(`begin="10000000t" dur="2s"`));
+    assert.ok(text.includes(`begin="00:00:11.000" end="00:00:12.000"`));
+    let res2 = ttml.parse(text);
+    assert.deepEqual(res2.errors, []);
+    assert.equal(res2.head, res.head);
+    // original attributes, and default namespace declarations
+    assert.deepEqual(res2.attributes, {"xmlns:ttm": "http://www.w3.org/ns/ttml#metadata", ...res.attributes});
+    // ordered by begin - generated key written as xml:id
+    assert.deepEqual(res2.cues.map((cue) => cue.key), ["cue-2", "c1", "c3", "c4"]);
+    for (let cue of res2.cues) {
+        let orig = ds.get(cue.key);
+        assert.ok(cue.interval.equals(orig.interval));
+        assert.equal(cue.data.text, orig.data.text);
+        assert.equal(cue.data.content, orig.data.content);
+        assert.deepEqual(cue.data.attributes, orig.data.attributes);
+    }
+    // changed interval - clock time
+    ds.update({key: "c1", interval: new Interval(1.5, 3)});
+    let text2 = ttml.serialize(ds, {attributes: res.attributes});
+    assert.ok(text2.includes(`begin="00:00:01.500" end="00:00:03:00"`));
+});
+
+
+test("ttml round trip edited text", () => {
+    let ds = new Dataset();
+    let res = ttml.load(ds, TTML);
+    let c1 = ds.get("c1");
+    ds.update({key: "c1", data: {...c1.data, text: "Goodbye\n<world>"}});
+    let res2 = ttml.parse(ttml.serialize(ds, {attributes: res.attributes}));
+    let [edited] = res2.cues.filter((cue) => cue.key == "c1");
+    assert.equal(edited.data.text, "Goodbye\n<world>");
+    assert.equal(edited.data.content, "Goodbye<br/>&lt;world&gt;");
+    // unchanged text - content with markup preserved
+    let [c3] = res2.cues.filter((cue) => cue.key == "c3");
+    assert.equal(c3.data.content, ds.get("c3").data.content);
+    // content only
+    ds.update({key: "c3", data: {content: "<span>only content</span>"}});
+    res2 = ttml.parse(ttml.serialize(ds, {attributes: res.attributes}));
+    [c3] = res2.cues.filter((cue) => cue.key == "c3");
+    assert.equal(c3.data.text, "only content");
+});
+
+
+test("ttml serialize plain cues", () => {
+    let ds = new Dataset();
+    ds.update([
+        {key: "1", interval: new Interval(0, 1), data: "a < b\nline"},
+        {key: "x", interval: new Interval(2, 3), data: {text: "plain"}}
+    ]);
+    let text = ttml.serialize(ds);
+    assert.ok(text.includes(`<p begin="00:00:00.000" end="00:00:01.000">a &lt; b<br/>line</p>`));
+    assert.ok(text.includes(`<p xml:id="x" begin="00:00:02.000" end="00:00:03.000">plain</p>`));
+    let res = ttml.parse(text);
+    assert.deepEqual(res.cues.map((cue) => cue.data.text), ["a < b\nline", "plain"]);
+});
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Interval, Dataset, Subset, webvtt} from '../../core.js';
+
+const VTT = [
+    "\uFEFFWEBVTT - test track",
+    "Kind: captions",
+    "",
+    "STYLE",
+    "::cue {color: yellow}",
+    "",
+    "REGION",
+    "id:bottom width:40%",
+    "lines:3 scroll:up",
+    "",
+    "NOTE this is a note",
+    "",
+    "intro",
+    "00:01.000 --> 00:04.500 align:start line:0",
+    "Hello",
+    "<i>world</i>",
+    "",
+    "00:00:05.000 --> 00:00:07.250",
+    "No identifier",
+    "",
+    "",
+    "01:00:00.000 --> 01:00:01.000 region:bottom",
+    "An hour later",
+    "",
+    "broken",
+    "00:09.000 --> 00:08.000",
+    "end before start",
+    ""
+].join("\r\n");
+
+
+test("webvtt timestamps", () => {
+    assert.equal(webvtt.parseTimestamp("00:01.500"), 1.5);
+    assert.equal(webvtt.parseTimestamp("01:02:03.004"), 3723.004);
+    assert.equal(webvtt.parseTimestamp("100:00:00.000"), 360000);
+    assert.equal(webvtt.parseTimestamp("1:00.000"), undefined);
+    assert.equal(webvtt.parseTimestamp("00:60.000"), undefined);
+    assert.equal(webvtt.formatTimestamp(3723.004), "01:02:03.004");
+    assert.equal(webvtt.formatTimestamp(0.9996), "00:00:01.000");
+    assert.throws(() => webvtt.formatTimestamp(-1), webvtt.WebVTTError);
+});
+
+
+test("webvtt parse", () => {
+    let res = webvtt.parse(VTT);
+    assert.equal(res.header, "- test track\nKind: captions");
+    assert.deepEqual(res.styles, ["::cue {color: yellow}"]);
+    assert.deepEqual(res.regions, [{id: "bottom", width: "40%", lines: "3", scroll: "up"}]);
+    assert.deepEqual(res.notes, ["this is a note"]);
+    assert.equal(res.errors.length, 1);
+    assert.deepEqual(res.cues.map((cue) => cue.key), ["intro", "cue-2", "cue-3"]);
+    let [intro, second, third] = res.cues;
+    assert.ok(intro.interval.equals(new Interval(1, 4.5)));
+    assert.deepEqual(intro.data, {
+        text: "Hello\n<i>world</i>",
+        settings: {align: "start", line: "0"}
+    });
+    assert.ok(second.interval.equals(new Interval(5, 7.25)));
+    assert.deepEqual(third.data.settings, {region: "bottom"});
+    assert.throws(() => webvtt.parse("NOT WEBVTT\n"), webvtt.WebVTTError);
+    assert.throws(() => webvtt.parse("WEBVTTX\n"), webvtt.WebVTTError);
+});
+
+
+test("webvtt round trip", () => {
+    let ds = new Dataset();
+    let res = webvtt.load(ds, VTT, {key_prefix: "c"});
+    assert.equal(ds.size, 3);
+    assert.ok(ds.has("c2"));
+    let text = webvtt.serialize(ds, {
+        header: res.header,
+        styles: res.styles,
+        regions: res.regions
+    });
+    let res2 = webvtt.parse(text);
+    assert.equal(res2.header, res.header);
+    assert.deepEqual(res2.styles, res.styles);
+    assert.deepEqual(res2.regions, res.regions);
+    assert.deepEqual(res2.errors, []);
+    assert.deepEqual(res2.cues.map((cue) => cue.key), ["intro", "c2", "c3"]);
+    for (let cue of res2.cues) {
+        let orig = ds.get(cue.key);
+        assert.ok(cue.interval.equals(orig.interval));
+        assert.deepEqual(cue.data, orig.data);
+    }
+});
+
+
+test("webvtt header lines", () => {
+    let ds = new Dataset();
+    let text = webvtt.serialize(ds, {header: "- test track\nKind: captions\nLanguage: en"});
+    assert.equal(text, "WEBVTT - test track\nKind: captions\nLanguage: en\n");
+    // no text on signature line
+    let res = webvtt.parse("WEBVTT\nKind: captions\n\n00:01.000 --> 00:02.000\nx\n");
+    assert.equal(res.header, "\nKind: captions");
+    text = webvtt.serialize(ds, {header: res.header});
+    assert.equal(text, "WEBVTT\nKind: captions\n");
+    assert.equal(webvtt.parse(text).header, res.header);
+});
+
+
+test("webvtt cue keys", () => {
+    // generated keys do not collide with cue identifiers
+    let res = webvtt.parse([
+        "WEBVTT",
+        "",
+        "00:01.000 --> 00:02.000",
+        "first",
+        "",
+        "cue-1",
+        "00:03.000 --> 00:04.000",
+        "second",
+        ""
+    ].join("\n"));
+    assert.deepEqual(res.cues.map((cue) => cue.key), ["cue-1-1", "cue-1"]);
+    // duplicate cue identifiers
+    assert.throws(() => webvtt.parse([
+        "WEBVTT",
+        "",
+        "a",
+        "00:01.000 --> 00:02.000",
+        "",
+        "a",
+        "00:03.000 --> 00:04.000",
+        ""
+    ].join("\n")), webvtt.WebVTTError);
+});
+
+
+test("webvtt serialize subset", () => {
+    let ds = new Dataset();
+    ds.update([
+        {key: "b", interval: new Interval(2, 3), data: "second\n\nline --> x"},
+        {key: "a", interval: new Interval(0, 1), data: {text: "first"}},
+        {key: "nointerval", data: "ignored"}
+    ]);
+    let text = webvtt.serialize(ds);
+    assert.equal(text, [
+        "WEBVTT",
+        "",
+        "a",
+        "00:00:00.000 --> 00:00:01.000",
+        "first",
+        "",
+        "b",
+        "00:00:02.000 --> 00:00:03.000",
+        "second",
+        "line --&gt; x",
+        ""
+    ].join("\n"));
+    let subset = new Subset(ds, {key_filter: (key) => key == "b"});
+    let res = webvtt.parse(webvtt.serialize(subset));
+    assert.deepEqual(res.cues.map((cue) => cue.key), ["b"]);
+    // infinite interval
+    ds.update({key: "c", interval: new Interval(4, Infinity), data: "x"});
+    assert.throws(() => webvtt.serialize(ds), webvtt.WebVTTError);
+});
@@ -0,0 +1,38 @@
+/*
+    Helpers shared by node tests
+*/
+
+import assert from 'node:assert/strict';
+import {Interval} from '../core.js';
+
+
+/*
+    n cues with unit intervals [i, i+1]
+    - data given by function of i - default {value: i}
+*/
+export function make_cues(n, data=(i) => ({value: i})) {
+    return [...Array(n).keys()].map((i) => {
+        return {
+            key: `key-${i}`,
+            interval: new Interval(i, i+1),
+            data: data(i)
+        }
+    });
+}
+
+// let pending events be delivered
+export function flush() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// tolerance for floating point comparison
+export function assertClose(a, b, msg, tolerance=1e-9) {
+    assert.ok(Math.abs(a - b) < tolerance, `${msg || ""} ${a} != ${b}`);
+}
+
+// dataset content as sorted list of [key, interval, data]
+export function summary(ds) {
+    return [...ds.values()]
+        .map((cue) => [cue.key, cue.interval.toString(), cue.data])
+        .sort();
+}
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {Interval, Dataset, TimingObject, Sequencer} from '../../core.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+function make_dataset() {
+    let ds = new Dataset();
+    ds.update([
+        {key:"a", interval: new Interval(2, 4), data:"A"},
+        {key:"b", interval: new Interval(3, 4.5), data:"B"},
+        {key:"c", interval: new Interval(7), data:"C"},
+        {key:"d", interval: new Interval(10, 12), data:"D"}
+    ]);
+    return ds;
+}
+
+// active keys of sequencer, sorted
+function active(s) {
+    return [...s.keys()].sort();
+}
+
+
+test("pointmode sequencer - position updates", async () => {
+    let to = new TimingObject();
+    let s = Sequencer(make_dataset(), to);
+    await to.ready;
+    await clock.tick();
+    assert.deepEqual(active(s), []);
+    await to.update({position: 3.5});
+    await clock.tick();
+    assert.deepEqual(active(s), ["a", "b"]);
+    await to.update({position: 4});
+    await clock.tick();
+    assert.deepEqual(active(s), ["b"]);
+    // singular cue
+    await to.update({position: 7});
+    await clock.tick();
+    assert.deepEqual(active(s), ["c"]);
+    assert.equal(s.get("c").data, "C");
+});
+
+
+test("pointmode sequencer - playback", async () => {
+    let to = new TimingObject();
+    let s = Sequencer(make_dataset(), to);
+    await to.ready;
+    let log = [];
+    let t0;
+    const ts = () => Math.round((clock.now() - t0)*1000)/1000;
+    s.on("change", (e) => log.push(`enter ${e.key} ${ts()}`), {init:false});
+    s.on("remove", (e) => log.push(`exit ${e.key} ${ts()}`), {init:false});
+    await clock.tick();
+    t0 = clock.now();
+    await to.update({position: 0, velocity: 1});
+    await clock.tick(11);
+    assert.deepEqual(log, [
+        "enter a 2", "enter b 3", "exit a 4", "exit b 4.5",
+        "enter c 7", "exit c 7", "enter d 10"
+    ]);
+    // backwards
+    log = [];
+    t0 = clock.now();
+    await to.update({velocity: -1});
+    await clock.tick(2);
+    assert.deepEqual(log, ["exit d 1"]);
+});
+
+
+test("pointmode sequencer - dataset updates", async () => {
+    let ds = make_dataset();
+    let to = new TimingObject({position: 3.5});
+    let s = Sequencer(ds, to);
+    await to.ready;
+    await clock.tick();
+    assert.deepEqual(active(s), ["a", "b"]);
+    // remove active cue
+    ds.update({key: "a"});
+    await clock.tick();
+    assert.deepEqual(active(s), ["b"]);
+    // add active cue
+    ds.update({key: "e", interval: new Interval(3, 5)});
+    await clock.tick();
+    assert.deepEqual(active(s), ["b", "e"]);
+    // move active cue out
+    ds.update({key: "b", interval: new Interval(5, 6)});
+    await clock.tick();
+    assert.deepEqual(active(s), ["e"]);
+});
+
+
+test("intervalmode sequencer", async () => {
+    let ds = make_dataset();
+    let toA = new TimingObject({position: 0});
+    let toB = new TimingObject({position: 3});
+    let s = Sequencer(ds, toA, toB);
+    await Promise.all([toA.ready, toB.ready]);
+    await clock.tick();
+    assert.deepEqual(active(s), ["a", "b"]);
+    // move window
+    await toA.update({position: 6});
+    await toB.update({position: 10});
+    await clock.tick();
+    assert.deepEqual(active(s), ["c", "d"]);
+    // moving window
+    await Promise.all([
+        toA.update({velocity: 1}),
+        toB.update({velocity: 1})
+    ]);
+    await clock.tick(2);
+    assert.deepEqual(active(s), ["d"]);
+});
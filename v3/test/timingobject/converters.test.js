@@ -0,0 +1,394 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {
+    TimingObject,
+    SkewConverter,
+    ScaleConverter,
+    TimeshiftConverter,
+    DelayConverter,
+    LoopConverter,
+    RangeConverter,
+    DerivativeConverter,
+    LinearConverter,
+    EditListConverter
+} from '../../core.js';
+import {assertClose} from '../helpers.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("skew converter", async () => {
+    let to = new TimingObject({position: 2});
+    let skewed = new SkewConverter(to, 3);
+    await skewed.ready;
+    assert.equal(skewed.pos, 5);
+    // update through converter
+    await skewed.update({position: 10});
+    assert.equal(to.pos, 7);
+    // change skew
+    skewed.skew = 1;
+    await clock.tick();
+    assert.equal(skewed.pos, 8);
+});
+
+
+test("scale converter", async () => {
+    let to = new TimingObject({position: 2, velocity: 1});
+    let scaled = new ScaleConverter(to, 1000);
+    await scaled.ready;
+    assertClose(scaled.pos, 2000);
+    assertClose(scaled.vel, 1000);
+    await clock.tick(1);
+    assertClose(scaled.pos, 3000);
+    // update through converter
+    await scaled.update({velocity: 0, position: 500});
+    assertClose(to.pos, 0.5);
+});
+
+
+test("timeshift converter", async () => {
+    let to = new TimingObject({velocity: 1});
+    let ahead = new TimeshiftConverter(to, 2);
+    let behind = new TimeshiftConverter(to, -2);
+    await Promise.all([ahead.ready, behind.ready]);
+    assertClose(ahead.pos - to.pos, 2);
+    assertClose(behind.pos - to.pos, -2);
+    // no timeshift when paused
+    await to.update({velocity: 0});
+    await clock.tick();
+    assertClose(ahead.pos, to.pos);
+});
+
+
+test("delay converter", async () => {
+    let to = new TimingObject();
+    let delayed = new DelayConverter(to, 2);
+    await clock.tick(2);
+    await delayed.ready;
+    await to.update({position: 10});
+    await clock.tick(1);
+    assert.equal(delayed.pos, 0);
+    await clock.tick(1);
+    assert.equal(delayed.pos, 10);
+    assert.throws(() => delayed.update({position: 0}));
+    assert.throws(() => new DelayConverter(to, -1));
+});
+
+
+test("loop converter", async () => {
+    let to = new TimingObject({position: 0, velocity: 1});
+    let looped = new LoopConverter(to, [0, 10]);
+    await looped.ready;
+    await clock.tick(12);
+    assertClose(to.pos, 12);
+    assertClose(looped.pos, 2);
+    await clock.tick(10);
+    assertClose(looped.pos, 2);
+    // update through converter - relative position is preserved
+    await looped.update({position: 5, velocity: 0});
+    assertClose(looped.pos, 5);
+    assertClose(to.pos, 25);
+    assert.throws(() => new LoopConverter(to, 10));
+});
+
+
+test("loop converter loop number", async () => {
+    let to = new TimingObject({position: 5, velocity: 1});
+    let looped = new LoopConverter(to, [0, 10]);
+    let events = [];
+    looped.on("loop", (e) => events.push(e));
+    await looped.ready;
+    assert.equal(looped.loop, 0);
+    await clock.tick(6);
+    assert.equal(looped.loop, 1);
+    assertClose(looped.pos, 1);
+    await clock.tick(10);
+    assert.equal(looped.loop, 2);
+    // backwards
+    await to.update({velocity: -1});
+    await clock.tick(3);
+    assert.equal(looped.loop, 1);
+    assertClose(looped.pos, 8);
+    assert.equal(looped.vel, -1);
+    // jump
+    await to.update({position: -35});
+    await clock.tick();
+    assert.equal(looped.loop, -4);
+    assertClose(looped.pos, 5);
+    assert.deepEqual(events, [
+        {loop: 1, direction: 1},
+        {loop: 2, direction: 1},
+        {loop: 1, direction: -1},
+        {loop: -4, direction: -1}
+    ]);
+});
+
+
+test("loop converter pingpong", async () => {
+    let to = new TimingObject({position: 5, velocity: 1});
+    let pingpong = new LoopConverter(to, [0, 10], {mode: "pingpong"});
+    await pingpong.ready;
+    assert.equal(pingpong.mode, "pingpong");
+    assertClose(pingpong.pos, 5);
+    // reflected at range high
+    await clock.tick(7);
+    assert.equal(pingpong.loop, 1);
+    assertClose(pingpong.pos, 8);
+    assert.equal(pingpong.vel, -1);
+    // reflected at range low
+    await clock.tick(10);
+    assert.equal(pingpong.loop, 2);
+    assertClose(pingpong.pos, 2);
+    assert.equal(pingpong.vel, 1);
+    // backwards - reflected at range low
+    await to.update({velocity: -1});
+    await clock.tick(3);
+    assert.equal(pingpong.loop, 1);
+    assertClose(pingpong.pos, 1);
+    assert.equal(pingpong.vel, 1);
+    // update through converter - mirrored loop
+    await pingpong.update({position: 4, velocity: 2});
+    assertClose(pingpong.pos, 4);
+    assertClose(pingpong.vel, 2);
+    assertClose(to.vel, -2);
+    assertClose(to.pos, 16);
+    assert.throws(() => new LoopConverter(to, [0, 10], {mode: "bounce"}));
+});
+
+
+test("range converter", async () => {
+    let to = new TimingObject({position: 3, velocity: 1});
+    let ranged = new RangeConverter(to, [2, 5]);
+    await ranged.ready;
+    assert.deepEqual(ranged.range, [2, 5]);
+    // source inside range
+    assertClose(ranged.pos, 3);
+    assert.equal(ranged.vel, 1);
+    // source beyond range - converter paused at range high
+    await clock.tick(3);
+    assertClose(to.pos, 6);
+    assert.equal(ranged.pos, 5);
+    assert.equal(ranged.vel, 0);
+    // source back inside range
+    await to.update({position: 4});
+    await clock.tick();
+    assertClose(ranged.pos, 4);
+    assert.equal(ranged.vel, 1);
+    // source jumps below range - converter paused at range low
+    await to.update({position: 0, velocity: 0});
+    await clock.tick();
+    assert.equal(ranged.pos, 2);
+    assert.equal(ranged.vel, 0);
+});
+
+
+test("derivative converter", async () => {
+    let to = new TimingObject({position: 2, velocity: 3, acceleration: 1});
+    let derived = new DerivativeConverter(to);
+    await derived.ready;
+    assert.deepEqual(derived.range, [-Infinity, Infinity]);
+    // velocity becomes position, acceleration becomes velocity
+    assertClose(derived.pos, 3);
+    assertClose(derived.vel, 1);
+    assert.equal(derived.acc, 0);
+    await clock.tick(2);
+    assertClose(derived.pos, to.vel);
+    assertClose(derived.pos, 5);
+    // update through converter - maps onto velocity and acceleration
+    let pos = to.pos;
+    await derived.update({position: 10, velocity: 0});
+    assertClose(to.pos, pos);
+    assertClose(to.vel, 10);
+    assert.equal(to.acc, 0);
+    assertClose(derived.pos, 10);
+    assert.equal(derived.vel, 0);
+    // illegal updates
+    assert.throws(() => derived.update({acceleration: 1}));
+    assert.throws(() => derived.update({range: [0, 1]}));
+});
+
+
+test("linear converter", async () => {
+    let to = new TimingObject({position: 2, velocity: 1, range: [0, 10]});
+    let linear = new LinearConverter(to, 2, 5);
+    await linear.ready;
+    assertClose(linear.pos, 9);
+    assertClose(linear.vel, 2);
+    assert.deepEqual(linear.range, [5, 25]);
+    // update through converter
+    await linear.update({position: 15, velocity: 4});
+    assertClose(to.pos, 5);
+    assertClose(to.vel, 2);
+    await linear.update({range: [5, 45]});
+    assert.deepEqual(to.range, [0, 20]);
+    // illegal scale
+    assert.throws(() => new LinearConverter(to, 0));
+    assert.throws(() => {linear.scale = 0;});
+});
+
+
+test("linear converter negative scale", async () => {
+    let to = new TimingObject({position: 2, velocity: 1, range: [0, 10]});
+    let reversed = new LinearConverter(to, -1, 10);
+    await reversed.ready;
+    // reversed timeline
+    assertClose(reversed.pos, 8);
+    assertClose(reversed.vel, -1);
+    assert.deepEqual(reversed.range, [0, 10]);
+    // source reaches range high - converter stops at range low
+    await clock.tick(10);
+    assert.equal(to.pos, 10);
+    assert.equal(reversed.pos, 0);
+    assertClose(reversed.vel, 0);
+    // update through converter
+    await reversed.update({position: 7, velocity: 2});
+    assertClose(to.pos, 3);
+    assertClose(to.vel, -2);
+    // range update through converter
+    await reversed.update({range: [-10, 10]});
+    assert.deepEqual(to.range, [0, 20]);
+    assert.deepEqual(reversed.range, [-10, 10]);
+});
+
+
+test("linear converter change transform", async () => {
+    let to = new TimingObject({position: 2});
+    let linear = new LinearConverter(to);
+    let scales = [];
+    let skews = [];
+    linear.on("scalechange", (scale) => scales.push(scale));
+    linear.on("skewchange", (skew) => skews.push(skew));
+    await linear.ready;
+    await clock.tick();
+    assert.equal(linear.pos, 2);
+    linear.scale = 3;
+    await clock.tick();
+    assert.equal(linear.pos, 6);
+    linear.skew = 1;
+    await clock.tick();
+    assert.equal(linear.pos, 7);
+    linear.setTransform(-1, 0);
+    await clock.tick();
+    assert.equal(linear.pos, -2);
+    assert.deepEqual(scales, [1, 3, -1]);
+    assert.deepEqual(skews, [0, 1, 0]);
+});
+
+
+test("edit list converter", async () => {
+    let to = new TimingObject({position: 0, velocity: 1});
+    let edl = new EditListConverter(to, [
+        {source: [10, 20]},
+        {source: [50, 55]},
+        {source: [0, 5], target: 20}
+    ]);
+    await edl.ready;
+    assert.deepEqual(edl.range, [0, 55]);
+    assert.equal(edl.pos, 10);
+    await clock.tick(5);
+    assertClose(edl.pos, 15);
+    // jump to second edit
+    await clock.tick(6);
+    assertClose(edl.pos, 51);
+    assert.equal(edl.vel, 1);
+    // gap - paused at end of second edit
+    await clock.tick(5);
+    assert.equal(edl.pos, 55);
+    assert.equal(edl.vel, 0);
+    // third edit
+    await clock.tick(5);
+    assertClose(edl.pos, 1);
+    assert.equal(edl.vel, 1);
+    // after last edit - paused at end
+    await clock.tick(5);
+    assert.equal(edl.pos, 5);
+    assert.equal(edl.vel, 0);
+});
+
+
+test("edit list converter backwards", async () => {
+    let to = new TimingObject({position: 12, velocity: -1});
+    let edl = new EditListConverter(to, [
+        {source: [10, 20]},
+        {source: [50, 55]}
+    ]);
+    await edl.ready;
+    assertClose(edl.pos, 52);
+    // jump to end of first edit
+    await clock.tick(3);
+    assertClose(edl.pos, 19);
+    assert.equal(edl.vel, -1);
+    // before first edit - paused at start
+    await clock.tick(10);
+    assert.equal(edl.pos, 10);
+    assert.equal(edl.vel, 0);
+});
+
+
+test("edit list converter update", async () => {
+    let to = new TimingObject({position: 0});
+    let edl = new EditListConverter(to, [
+        {source: [10, 20]},
+        {source: [50, 55]},
+        {source: [10, 20]}
+    ]);
+    await edl.ready;
+    await edl.update({position: 53, velocity: 1});
+    assertClose(to.pos, 13);
+    assertClose(edl.pos, 53);
+    // position in multiple edits - current edit preferred
+    await to.update({position: 16});
+    await clock.tick();
+    await edl.update({position: 12});
+    assertClose(to.pos, 17);
+    await edl.update({position: 11});
+    assertClose(to.pos, 16);
+    // position in no edit, range update
+    assert.throws(() => edl.update({position: 30}));
+    assert.throws(() => edl.update({range: [0, 1]}));
+});
+
+
+test("edit list converter change edits", async () => {
+    let to = new TimingObject({position: 2});
+    let edl = new EditListConverter(to, [{source: [10, 20]}]);
+    let changes = [];
+    let ranges = [];
+    edl.on("editschange", (edits) => changes.push(edits));
+    edl.on("rangechange", (range) => ranges.push(range));
+    await edl.ready;
+    await clock.tick();
+    assert.equal(edl.pos, 12);
+    edl.edits = [{source: [100, 200], target: 1}];
+    await clock.tick();
+    assert.equal(edl.pos, 101);
+    assert.deepEqual(edl.range, [100, 200]);
+    assert.deepEqual(changes, [
+        [{source: [10, 20], target: 0}],
+        [{source: [100, 200], target: 1}]
+    ]);
+    assert.deepEqual(ranges, [[10, 20], [100, 200]]);
+    // illegal edits
+    assert.throws(() => {edl.edits = [];});
+    assert.throws(() => {edl.edits = [{source: [5, 1]}];});
+    assert.throws(() => {edl.edits = [{source: [0, 5]}, {source: [0, 5], target: 2}];});
+});
+
+
+test("edit list converter constructor", async () => {
+    let to = new TimingObject({position: 2});
+    await to.ready;
+    // illegal edits - no subscription on timingsrc
+    assert.throws(() => new EditListConverter(to, [{source: [5, 1]}]));
+    assert.equal(to.__hasSubscribers("timingsrc"), false);
+    // caller options
+    let edl = new EditListConverter(to, [{source: [10, 20]}], {timeupdate: 50, timeout: false});
+    await edl.ready;
+    assert.equal(edl.__options.timeupdate, 50);
+    assert.equal(edl.__options.timeout, true);
+    assert.equal(edl.pos, 12);
+});
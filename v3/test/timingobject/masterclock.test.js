@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import MasterClock, {ClockPolicy} from '../../timingobject/masterclock.js';
+import {assertClose} from '../helpers.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+// skew of master clock relative to local clock
+function skew(mc) {
+    return mc.now() - clock.now();
+}
+
+
+test("master clock jump", async () => {
+    let mc = new MasterClock({skew: 1});
+    assert.equal(mc.policy, ClockPolicy.JUMP);
+    assertClose(skew(mc), 1);
+    let changes = 0;
+    mc.on("change", () => changes++);
+    mc.adjust({skew: 5});
+    assertClose(skew(mc), 5);
+    mc.adjust({skew: -3});
+    assertClose(skew(mc), -3);
+    clock.advance(10);
+    assertClose(skew(mc), -3);
+    assert.equal(mc.query().velocity, 1);
+    await clock.tick();
+    assert.equal(changes, 2);
+});
+
+
+test("master clock slew", () => {
+    // initial adjustment always jumps
+    let mc = new MasterClock({skew: 1, policy: "slew", slew_rate: 0.1, slew_limit: 1});
+    assertClose(skew(mc), 1);
+    // forwards - absorbed over 5 seconds
+    mc.adjust({skew: 1.5});
+    assertClose(skew(mc), 1);
+    assertClose(mc.query().velocity, 1.1);
+    clock.advance(2);
+    assertClose(skew(mc), 1.2);
+    clock.advance(3);
+    assertClose(skew(mc), 1.5);
+    assertClose(mc.query().velocity, 1);
+    clock.advance(10);
+    assertClose(skew(mc), 1.5);
+    // backwards
+    mc.adjust({skew: 1.2});
+    clock.advance(1);
+    assertClose(skew(mc), 1.4);
+    assertClose(mc.query().velocity, 0.9);
+    // new adjustment during slew - slew from current position
+    mc.adjust({skew: 2});
+    clock.advance(3);
+    assertClose(skew(mc), 1.7);
+    clock.advance(3);
+    assertClose(skew(mc), 2);
+    // beyond slew limit - jump
+    mc.adjust({skew: 4});
+    assertClose(skew(mc), 4);
+    // per adjustment policy
+    mc.adjust({skew: 4.5, policy: "jump"});
+    assertClose(skew(mc), 4.5);
+});
+
+
+test("master clock slew with rate", () => {
+    let mc = new MasterClock({skew: 0, rate: 2, policy: "slew"});
+    mc.adjust({skew: 0.5});
+    // slew is relative to rate, and rate is not affected by slew
+    assertClose(mc.query().velocity, 2.1);
+    mc.adjust({rate: 1});
+    assertClose(mc.query().velocity, 1);
+});
+
+
+test("master clock monotonic", () => {
+    let mc = new MasterClock({skew: 10, policy: "monotonic", slew_rate: 0.1});
+    // backwards beyond slew limit is still slewed
+    mc.adjust({skew: 7});
+    let last = mc.now();
+    for (let i=0; i<80; i++) {
+        clock.advance(0.5);
+        let now = mc.now();
+        assert.ok(now >= last, `clock went backwards ${now} < ${last}`);
+        last = now;
+        // backwards adjustments during slew
+        if (i == 10) {
+            mc.adjust({skew: 6.5});
+        }
+    }
+    // converged after (10 - 6.5)/0.1 seconds
+    assertClose(skew(mc), 6.5);
+    assertClose(mc.query().velocity, 1);
+    // forwards - jump
+    mc.adjust({skew: 8});
+    assert.ok(mc.now() >= last);
+    assertClose(skew(mc), 8);
+});
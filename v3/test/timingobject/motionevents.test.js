@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {TimingObject} from '../../core.js';
+import {calculateVelocityDelta} from '../../util/motionutils.js';
+import {assertClose} from '../helpers.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("calculate velocity delta", () => {
+    let vector = {position: 0, velocity: 2, acceleration: -1, timestamp: 0};
+    assert.deepEqual(calculateVelocityDelta(vector, [0, 1, 3]), [1, 1]);
+    assert.deepEqual(calculateVelocityDelta(vector, [0, 3]), [2, 0]);
+    // current velocity is not reached again
+    assert.deepEqual(calculateVelocityDelta(vector, [2, 3]), [undefined, undefined]);
+    // no acceleration
+    vector.acceleration = 0;
+    assert.deepEqual(calculateVelocityDelta(vector, [0, 1]), [undefined, undefined]);
+});
+
+
+test("start, stop and reverse on vector change", async () => {
+    let to = new TimingObject();
+    let log = [];
+    to.on("start", (e) => log.push(["start", e.direction]));
+    to.on("stop", (e) => log.push(["stop", e.vector.velocity]));
+    to.on("reverse", (e) => log.push(["reverse", e.direction]));
+    await to.ready;
+    await clock.tick();
+    await to.update({velocity: 1});
+    await clock.tick(1);
+    await to.update({velocity: 2});
+    await clock.tick(1);
+    await to.update({velocity: -1});
+    await clock.tick(1);
+    await to.update({velocity: 0});
+    await clock.tick(1);
+    assert.deepEqual(log, [
+        ["start", 1], ["reverse", -1], ["stop", 0]
+    ]);
+});
+
+
+test("stop at range end", async () => {
+    let to = new TimingObject({range: [0, 2]});
+    let log = [];
+    to.on("stop", (e) => log.push(e.vector.position));
+    await to.ready;
+    await to.update({velocity: 1});
+    await clock.tick(3);
+    assert.deepEqual(log, [2]);
+});
+
+
+test("predicted reverse and velocitycross", async () => {
+    let to = new TimingObject({
+        position: 0, velocity: 2, acceleration: -1,
+        velocity_thresholds: [1, -1]
+    });
+    let start = clock.now();
+    let log = [];
+    to.on("reverse", (e) => {
+        log.push(["reverse", e.direction, clock.now() - start, e.vector.velocity]);
+    });
+    to.on("velocitycross", (e) => {
+        log.push(["velocitycross", e.direction, clock.now() - start, e.threshold]);
+    });
+    await to.ready;
+    await clock.tick(3.5);
+    assert.deepEqual(log.map(([name, direction]) => [name, direction]), [
+        ["velocitycross", -1], ["reverse", -1], ["velocitycross", -1]
+    ]);
+    assertClose(log[0][2], 1, "time of first crossing");
+    assert.equal(log[0][3], 1);
+    assertClose(log[1][2], 2, "time of reverse");
+    assert.equal(log[1][3], 0);
+    assertClose(log[2][2], 3, "time of second crossing");
+    assert.equal(log[2][3], -1);
+    // no acceleration - no more predictions
+    await to.update({acceleration: 0});
+    await clock.tick(10);
+    assert.equal(log.length, 3);
+});
+
+
+test("velocitycross on vector change", async () => {
+    let to = new TimingObject({velocity_thresholds: [2, 1]});
+    assert.deepEqual(to.velocity_thresholds, [1, 2]);
+    let log = [];
+    to.on("velocitycross", (e) => log.push([e.threshold, e.direction]));
+    await to.ready;
+    await to.update({velocity: 3});
+    await clock.tick(1);
+    await to.update({velocity: 1});
+    await clock.tick(1);
+    assert.deepEqual(log, [[1, 1], [2, 1], [2, -1], [1, -1]]);
+    assert.throws(() => {to.velocity_thresholds = [NaN];});
+});
+
+
+test("motion timeout only with subscribers", async () => {
+    let to = new TimingObject({
+        position: 0, velocity: 2, acceleration: -1,
+        velocity_thresholds: [1]
+    });
+    await to.ready;
+    assert.equal(to.__motion_timeout.isSet(), false);
+    // start and stop are not predicted
+    let sub = to.on("stop", () => {});
+    assert.equal(to.__motion_timeout.isSet(), false);
+    to.off(sub);
+    let log = [];
+    sub = to.on("velocitycross", (e) => log.push(e.threshold));
+    assert.equal(to.__motion_timeout.isSet(), true);
+    await clock.tick(1.5);
+    assert.deepEqual(log, [1]);
+    to.off(sub);
+    assert.equal(to.__motion_timeout.isSet(), false);
+    await to.update({acceleration: 0});
+});
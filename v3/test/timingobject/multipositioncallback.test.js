@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {TimingObject, MultiPositionCallback} from '../../core.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("multi position callback", async () => {
+    let to = new TimingObject();
+    let mpc = new MultiPositionCallback(to);
+    let log = [];
+    let callback = (e) => log.push([e.position, e.direction, Math.round(clock.now()*1000)/1000]);
+    let start = clock.now();
+    mpc.add(2, callback);
+    mpc.add(5, callback);
+    mpc.add(-1, callback);
+    await to.ready;
+    await clock.tick();
+    await to.update({velocity: 1});
+    await clock.tick(6);
+    await to.update({velocity: -1});
+    await clock.tick(10);
+    let round = (t) => Math.round((t - start)*1000)/1000;
+    assert.deepEqual(log.map(([p, d, t]) => [p, d]), [
+        [2, 1], [5, 1], [5, -1], [2, -1], [-1, -1]
+    ]);
+    assert.deepEqual(log.map(([p, d, t]) => round(t)), [2, 5, 7, 10, 13]);
+    mpc.close();
+});
+
+
+test("multi position callback direction and repeat", async () => {
+    let to = new TimingObject({velocity: 1});
+    let mpc = new MultiPositionCallback(to);
+    let log = [];
+    mpc.add(1, () => log.push("forward"), {direction: "forward"});
+    mpc.add(1, () => log.push("backward"), {direction: "backward"});
+    mpc.add(1, () => log.push("once"), {repeat: false});
+    let id = mpc.add(1, () => log.push("removed"));
+    mpc.remove(id);
+    assert.equal(mpc.size, 3);
+    await to.ready;
+    await clock.tick(2);
+    await to.update({velocity: -1});
+    await clock.tick(2);
+    await to.update({velocity: 1});
+    await clock.tick(2);
+    assert.deepEqual(log, ["forward", "once", "backward", "forward"]);
+    assert.equal(mpc.size, 2);
+    assert.throws(() => mpc.add(1, () => {}, {direction: "sideways"}));
+    mpc.close();
+});
+
+
+test("multi position callback jumps and turning motion", async () => {
+    let to = new TimingObject({position: 0});
+    let mpc = new MultiPositionCallback(to);
+    let log = [];
+    mpc.add(3, (e) => log.push(e.direction));
+    await to.ready;
+    await clock.tick();
+    // jump over position - no callback
+    await to.update({position: 4});
+    await clock.tick(1);
+    // start moving away from position - no callback
+    await to.update({position: 3, velocity: 1});
+    await clock.tick(1);
+    assert.deepEqual(log, []);
+    // decelerating motion turns around and passes position
+    await to.update({position: 2, velocity: 2, acceleration: -1});
+    await clock.tick(5);
+    assert.deepEqual(log, [1, -1]);
+    mpc.close();
+});
@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {
+    TimingObject,
+    SkewConverter,
+    ScaleConverter,
+    TimeshiftConverter,
+    DelayConverter,
+    LoopConverter,
+    RangeConverter,
+    EditListConverter
+} from '../../core.js';
+import {assertClose} from '../helpers.js';
+
+const clock = new VirtualClock(100);
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("snapshot timing object", async () => {
+    let to = new TimingObject({position: 2, velocity: 1, range: [0, 100]});
+    await to.ready;
+    await clock.tick(3);
+    let state = JSON.parse(JSON.stringify(to));
+    assert.equal(state.type, "TimingObject");
+    assert.deepEqual(state.range, [0, 100]);
+    assert.deepEqual(state.vector, {
+        position: 2, velocity: 1, acceleration: 0, timestamp: 100
+    });
+    // infinite range
+    let state2 = JSON.parse(JSON.stringify(new TimingObject()));
+    assert.deepEqual(state2.range, [null, null]);
+});
+
+
+test("restore timing object", async () => {
+    let to = new TimingObject({position: 2, velocity: 1, range: [0, 100]});
+    await to.ready;
+    let json = JSON.stringify(to);
+    await clock.tick(5);
+    // restored timing object resumes, rather than restarting
+    let restored = TimingObject.restore(json);
+    await restored.ready;
+    assert.deepEqual(restored.range, [0, 100]);
+    assertClose(restored.pos, to.pos);
+    assert.equal(restored.vel, 1);
+    await clock.tick(1);
+    assertClose(restored.pos, to.pos);
+    // restore from infinite range
+    let restored2 = TimingObject.restore(JSON.stringify(new TimingObject()));
+    assert.deepEqual(restored2.range, [-Infinity, Infinity]);
+});
+
+
+test("restore range end reached while saved", async () => {
+    let to = new TimingObject({position: 0, velocity: 1, range: [0, 10]});
+    await to.ready;
+    let json = JSON.stringify(to);
+    await clock.tick(20);
+    let restored = TimingObject.restore(json);
+    await restored.ready;
+    assert.equal(restored.pos, 10);
+    assert.equal(restored.vel, 0);
+});
+
+
+test("snapshot converter chain", async () => {
+    let to = new TimingObject({position: 1});
+    let chain = new LoopConverter(new ScaleConverter(new SkewConverter(to, 2), 10), [0, 25]);
+    await chain.ready;
+    let state = JSON.parse(JSON.stringify(chain));
+    assert.equal(state.type, "LoopConverter");
+    assert.deepEqual(state.range, [0, 25]);
+    assert.equal(state.timingsrc.type, "ScaleConverter");
+    assert.equal(state.timingsrc.scale, 10);
+    assert.equal(state.timingsrc.timingsrc.type, "SkewConverter");
+    assert.equal(state.timingsrc.timingsrc.skew, 2);
+    assert.equal(state.timingsrc.timingsrc.timingsrc.type, "TimingObject");
+    assert.equal(state.timingsrc.timingsrc.timingsrc.vector.position, 1);
+});
+
+
+test("restore converter chain", async () => {
+    let to = new TimingObject({position: 1, velocity: 1});
+    let converters = [
+        (src) => new SkewConverter(src, 2),
+        (src) => new ScaleConverter(src, 10),
+        (src) => new TimeshiftConverter(src, 1),
+        (src) => new LoopConverter(src, [0, 25]),
+        (src) => new RangeConverter(src, [5, 20]),
+    ];
+    let chain = converters.reduce((src, make) => make(src), to);
+    await chain.ready;
+    let json = JSON.stringify(chain);
+    await clock.tick(0.5);
+
+    let restored = TimingObject.restore(json);
+    assert.ok(restored instanceof RangeConverter);
+    assert.ok(restored.timingsrc instanceof LoopConverter);
+    assert.ok(restored.timingsrc.timingsrc instanceof TimeshiftConverter);
+    assert.equal(restored.timingsrc.timingsrc.offset, 1);
+    assert.equal(restored.timingsrc.timingsrc.timingsrc.scale, 10);
+    assert.equal(restored.timingsrc.timingsrc.timingsrc.timingsrc.skew, 2);
+    await restored.ready;
+    assertClose(restored.pos, chain.pos);
+    assert.deepEqual(restored.range, [5, 20]);
+});
+
+
+test("restore delay converter", async () => {
+    let to = new TimingObject({position: 0, velocity: 1});
+    let delayed = new DelayConverter(to, 2);
+    await clock.tick(2);
+    await delayed.ready;
+    let json = JSON.stringify(delayed);
+    // delay is preserved - restored converter is immediately ready
+    // since the source vector is older than the delay
+    let restored = TimingObject.restore(json);
+    assert.ok(restored instanceof DelayConverter);
+    assert.equal(restored.delay, 2);
+    await restored.ready;
+    assertClose(restored.pos, delayed.pos);
+});
+
+
+test("restore edit list converter", async () => {
+    let to = new TimingObject({position: 12, velocity: 1});
+    let edl = new EditListConverter(to, [{source: [10, 20]}, {source: [0, 5], target: 20}]);
+    await edl.ready;
+    let restored = TimingObject.restore(JSON.stringify(edl));
+    assert.deepEqual(restored.edits, edl.edits);
+    await restored.ready;
+    assertClose(restored.pos, edl.pos);
+});
+
+
+test("restore with provider", async () => {
+    let provider = new TimingObject({position: 42});
+    // provider is a timing object here - any timing provider will do
+    let to = new TimingObject({position: 1});
+    let skewed = new SkewConverter(to, 2);
+    let restored = TimingObject.restore(JSON.stringify(skewed), {provider});
+    await restored.ready;
+    assert.equal(restored.pos, 44);
+});
+
+
+test("restore errors", () => {
+    let state = {type: "UnknownConverter", timingsrc: new TimingObject().toJSON()};
+    assert.throws(() => TimingObject.restore(state), /unknown timing object type/);
+});
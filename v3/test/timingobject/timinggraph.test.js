@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {
+    TimingObject, SkewConverter, ScaleConverter, LoopConverter,
+    inspect, graphToString, TimingTrace
+} from '../../core.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("inspect timing graph", async () => {
+    let to = new TimingObject({position: 1, velocity: 1});
+    let loop = new LoopConverter(to, [0, 10]);
+    let scale = new ScaleConverter(loop, 2);
+    let skew = new SkewConverter(scale, 3);
+    await skew.ready;
+    let nodes = inspect(skew);
+    assert.deepEqual(nodes.map((n) => n.type), [
+        "SkewConverter", "ScaleConverter", "LoopConverter",
+        "TimingObject", "InternalProvider"
+    ]);
+    assert.deepEqual(nodes.map((n) => n.depth), [0, 1, 2, 3, 4]);
+    assert.deepEqual(nodes[0].params, {skew: 3});
+    assert.deepEqual(nodes[1].params, {scale: 2});
+    assert.deepEqual(nodes[3].params, {});
+    assert.ok(nodes[4].provider);
+    assert.equal(nodes[0].position, skew.pos);
+    assert.deepEqual(nodes[2].range, [0, 10]);
+    let lines = graphToString(skew).split("\n");
+    assert.equal(lines.length, 5);
+    assert.ok(lines[0].startsWith("0: SkewConverter (skew=3)"));
+});
+
+
+test("inspect timing object not ready", () => {
+    let provider = {
+        skew: 0, vector: undefined, range: [-Infinity, Infinity],
+        readyState: "connecting",
+        on() {}, update() {}
+    };
+    let to = new TimingObject({provider});
+    let nodes = inspect(to);
+    assert.equal(nodes.length, 2);
+    assert.equal(nodes[0].ready, false);
+    assert.equal(nodes[1].ready, false);
+    assert.equal(nodes[1].readyState, "connecting");
+    assert.ok(graphToString(to).includes("not ready"));
+});
+
+
+test("trace timingsrc events", async () => {
+    let to = new TimingObject();
+    let skew = new SkewConverter(to, 1);
+    await skew.ready;
+    let trace = new TimingTrace(skew);
+    await skew.update({velocity: 1});
+    let entries = trace.entries;
+    assert.deepEqual(entries.map((e) => [e.depth, e.type]), [
+        [1, "TimingObject"], [0, "SkewConverter"]
+    ]);
+    // same tunnel through the graph
+    assert.ok(entries[0].tunnel != undefined);
+    assert.equal(entries[0].tunnel, entries[1].tunnel);
+    assert.equal(entries[0].live, true);
+    assert.equal(entries[1].vector.velocity, 1);
+    assert.ok(trace.toString().includes(`tunnel:${entries[0].tunnel}`));
+    // closed
+    trace.close();
+    await skew.update({velocity: 2});
+    assert.equal(trace.entries.length, 2);
+});
+
+
+test("trace size", async () => {
+    let to = new TimingObject();
+    await to.ready;
+    let trace = new TimingTrace(to, {size: 2});
+    for (let i=1; i<=4; i++) {
+        await to.update({position: i});
+    }
+    assert.deepEqual(trace.entries.map((e) => e.vector.position), [3, 4]);
+    trace.clear();
+    assert.equal(trace.entries.length, 0);
+    trace.close();
+});
+
+
+test("inspect and trace without snapshots or queries", async () => {
+    let to = new TimingObject({position: 1, velocity: 1});
+    let skew = new SkewConverter(new ScaleConverter(to, 2), 1);
+    await skew.ready;
+    for (let node of [to, skew, skew.timingsrc]) {
+        node.toJSON = () => {throw new Error("toJSON");};
+        node.query = () => {throw new Error("query");};
+    }
+    let nodes = inspect(skew);
+    assert.deepEqual(nodes[0].params, {skew: 1});
+    let {position, velocity, timestamp} = nodes[0].vector;
+    assert.equal(nodes[0].position, position + velocity*(clock.now() - timestamp));
+    let trace = new TimingTrace(skew);
+    await to.update({velocity: 0});
+    await clock.tick();
+    assert.deepEqual(trace.entries.map((e) => e.type), [
+        "TimingObject", "ScaleConverter", "SkewConverter"
+    ]);
+    trace.close();
+});
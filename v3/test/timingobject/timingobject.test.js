@@ -0,0 +1,264 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {TimingObject, SkewConverter, Ticker} from '../../core.js';
+import {sharedTicker} from '../../util/ticker.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("timingobject initial state", async () => {
+    let to = new TimingObject();
+    await to.ready;
+    assert.equal(to.isReady(), true);
+    assert.deepEqual(to.query(), {
+        position: 0, velocity: 0, acceleration: 0, timestamp: clock.now()
+    });
+    assert.deepEqual(to.range, [-Infinity, Infinity]);
+});
+
+
+test("timingobject initial vector", async () => {
+    let to = new TimingObject({position:4, velocity:1});
+    await to.ready;
+    assert.equal(to.pos, 4);
+    await clock.tick(2);
+    assert.equal(to.pos, 6);
+    assert.equal(to.vel, 1);
+});
+
+
+test("timingobject update", async () => {
+    let to = new TimingObject();
+    await to.ready;
+    let log = [];
+    to.on("change", (eArg, eInfo) => log.push(eInfo.init));
+    // let init event be delivered
+    await clock.tick();
+    await to.update({position: 2, velocity: 1, acceleration: 0});
+    assert.deepEqual(to.query(), {
+        position: 2, velocity: 1, acceleration: 0, timestamp: clock.now()
+    });
+    // partial update - position moves on
+    await clock.tick(1);
+    await to.update({velocity: 2});
+    assert.equal(to.pos, 3);
+    assert.equal(to.vel, 2);
+    // acceleration
+    await to.update({velocity: 0, acceleration: 2});
+    await clock.tick(1);
+    assert.equal(to.pos, 4);
+    assert.equal(to.vel, 2);
+    assert.deepEqual(log, [true, false, false, false]);
+});
+
+
+test("timingobject update promise", async () => {
+    let to = new TimingObject();
+    await to.ready;
+    let res = await to.update({position: 10});
+    assert.equal(res.position, 10);
+    // concurrent updates resolve with their own results
+    let [a, b] = await Promise.all([
+        to.update({position: 1}),
+        to.update({position: 2})
+    ]);
+    assert.equal(a.position, 1);
+    assert.equal(b.position, 2);
+});
+
+
+// converter dropping updates from timingsrc on request
+class DropConverter extends SkewConverter {
+    onUpdateStart(arg) {
+        if (this.drop) {
+            return;
+        }
+        return super.onUpdateStart(arg);
+    }
+}
+
+
+test("timingobject update dropped by converter", async () => {
+    let to = new TimingObject();
+    let conv = new DropConverter(to, 2);
+    await conv.ready;
+    conv.drop = true;
+    let res = await conv.update({position: 10});
+    // source is updated, converter keeps its state
+    assert.equal(to.pos, 8);
+    assert.equal(res.position, 2);
+    assert.deepEqual(res.range, [-Infinity, Infinity]);
+    assert.equal(conv.__update_events.size, 0);
+});
+
+
+test("timingobject update not echoed by provider", async () => {
+    let handlers = {};
+    let provider = {
+        skew: 0,
+        vector: {position: 0, velocity: 0, acceleration: 0, timestamp: clock.now()},
+        range: [-Infinity, Infinity],
+        on(name, callback) {handlers[name] = callback;},
+        // update without effect is not echoed
+        update() {}
+    };
+    let to = new TimingObject({provider, update_timeout: 1});
+    handlers.vectorchange();
+    await to.ready;
+    let done = false;
+    let promise = to.update({position: 0}).then((res) => {
+        done = true;
+        return res;
+    });
+    await clock.tick(0.5);
+    assert.equal(done, false);
+    await clock.tick(1);
+    let res = await promise;
+    assert.equal(res.position, 0);
+    assert.equal(to.__update_events.size, 0);
+    // provider error still rejects
+    provider.update = () => Promise.reject(new Error("provider error"));
+    await assert.rejects(to.update({position: 1}), /provider error/);
+});
+
+
+test("timingobject range", async () => {
+    let to = new TimingObject({range: [0, 10]});
+    await to.ready;
+    let log = [];
+    to.on("rangechange", (range) => log.push(range), {init:false});
+    // position outside range is clamped
+    await to.update({position: 12});
+    assert.equal(to.pos, 10);
+    // stops at range end
+    await to.update({position: 0, velocity: -1});
+    assert.equal(to.pos, 0);
+    assert.equal(to.vel, 0);
+    // moves to range end, and stops
+    await to.update({velocity: 2});
+    await clock.tick(10);
+    assert.equal(to.pos, 10);
+    assert.equal(to.vel, 0);
+    // range update
+    await to.update({range: [0, 20]});
+    assert.deepEqual(to.range, [0, 20]);
+    assert.deepEqual(log, [[0, 20]]);
+});
+
+
+test("timingobject timeupdate", async () => {
+    let to = new TimingObject();
+    await to.ready;
+    let count = 0;
+    to.on("timeupdate", () => count++, {init:false});
+    await clock.tick(1);
+    // not moving - no timeupdate events
+    assert.equal(count, 0);
+    await to.update({velocity: 1});
+    await clock.tick(1);
+    assert.ok(count >= 4);
+});
+
+
+// count timeupdate events, excluding events caused by change
+function countTimeupdates(to) {
+    let counter = {count: 0};
+    to.on("timeupdate", () => counter.count++, {init:false});
+    return counter;
+}
+
+
+test("timingobject timeupdate options", async () => {
+    let to = new TimingObject({velocity: 1, timeupdate: false});
+    let skewed = new SkewConverter(to, 1);
+    let fast = new TimingObject({velocity: 1, timeupdate: 50});
+    await Promise.all([to.ready, skewed.ready, fast.ready]);
+    assert.equal(to.timeupdate, false);
+    // converters have the same default
+    assert.equal(skewed.timeupdate, 200);
+    let counters = [to, skewed, fast].map(countTimeupdates);
+    await clock.tick(1.01);
+    assert.deepEqual(counters.map((c) => c.count), [0, 5, 20]);
+    // change at runtime
+    skewed.timeupdate = 100;
+    fast.timeupdate = false;
+    await clock.tick(1.01);
+    assert.deepEqual(counters.map((c) => c.count), [0, 15, 20]);
+    assert.throws(() => {to.timeupdate = "often";});
+});
+
+
+test("timingobject timeupdate shared ticker", async () => {
+    let ticker = new Ticker({period: 100});
+    let a = new TimingObject({velocity: 1, timeupdate: ticker});
+    let b = new TimingObject({timeupdate: ticker});
+    let c = new TimingObject({velocity: 1, timeupdate: 300});
+    let d = new TimingObject({velocity: 1, timeupdate: 300});
+    await Promise.all([a.ready, b.ready, c.ready, d.ready]);
+    // no timeupdate subscribers - no ticking
+    assert.equal(ticker.size, 0);
+    assert.equal(sharedTicker(300).size, 0);
+    let subs = [a, b, c, d].map((to) => to.on("timeupdate", () => {}));
+    // only moving timing objects subscribe
+    assert.equal(ticker.size, 1);
+    await b.update({velocity: 1});
+    assert.equal(ticker.size, 2);
+    await a.update({velocity: 0});
+    assert.equal(ticker.size, 1);
+    // timing objects with same period share ticker
+    assert.equal(sharedTicker(300).size, 2);
+    await c.update({velocity: 0});
+    await d.update({velocity: 0});
+    assert.equal(sharedTicker(300).size, 0);
+    await b.update({velocity: 0});
+    assert.equal(ticker.size, 0);
+    // unsubscribe while moving
+    await a.update({velocity: 1});
+    assert.equal(ticker.size, 1);
+    a.off(subs[0]);
+    assert.equal(ticker.size, 0);
+    await a.update({velocity: 0});
+});
+
+
+test("shared ticker per local clock", () => {
+    let ticker = sharedTicker(250);
+    let other = new VirtualClock();
+    localclock.set(other);
+    try {
+        let other_ticker = sharedTicker(250);
+        assert.notEqual(other_ticker, ticker);
+        let count = 0;
+        let callback = () => count++;
+        other_ticker.add(callback);
+        other.advance(1.01);
+        assert.equal(count, 4);
+        // timer is cleared on its own clock
+        localclock.set(clock);
+        other_ticker.remove(callback);
+        assert.equal(other.size, 0);
+    } finally {
+        localclock.set(clock);
+    }
+    assert.equal(sharedTicker(250), ticker);
+});
+
+
+test("timingobject timeupdate adaptive", async () => {
+    let to = new TimingObject({velocity: 10, timeupdate: {resolution: 1}});
+    await to.ready;
+    let counter = countTimeupdates(to);
+    // timeupdate every 100 ms
+    await clock.tick(1.01);
+    assert.equal(counter.count, 10);
+    // slower - every 500 ms
+    await to.update({velocity: 2});
+    counter.count = 0;
+    await clock.tick(1.01);
+    assert.equal(counter.count, 2);
+    await to.update({velocity: 0});
+});
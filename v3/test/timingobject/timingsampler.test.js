@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {TimingObject, TimingSampler} from '../../core.js';
+import {assertClose} from '../helpers.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+/*
+    frame source driven by local clock - frame every 20 ms
+*/
+const framesource = {
+    requestAnimationFrame(callback) {
+        return localclock.setTimeout(() => callback(localclock.now()*1000), 20);
+    },
+    cancelAnimationFrame(id) {
+        localclock.clearTimeout(id);
+    }
+};
+
+
+test("sampler period and frequency", async () => {
+    let to = new TimingObject({velocity: 1});
+    let a = new TimingSampler(to, {period: 100});
+    let b = new TimingSampler(to, {frequency: 4});
+    await to.ready;
+    await clock.tick();
+    let counts = [0, 0];
+    a.on("change", () => counts[0]++, {init:false});
+    b.on("change", () => counts[1]++, {init:false});
+    await clock.tick(1.01);
+    assert.deepEqual(counts, [10, 4]);
+    // no samples when paused
+    await to.update({velocity: 0});
+    await clock.tick();
+    counts = [0, 0];
+    await clock.tick(1);
+    assert.deepEqual(counts, [0, 0]);
+    a.clear();
+    b.clear();
+});
+
+
+test("sampler animation frames", async () => {
+    let t0 = clock.now();
+    let to = new TimingObject({velocity: 1});
+    let sampler = new TimingSampler(to, {framesource});
+    await to.ready;
+    await clock.tick();
+    let samples = [];
+    sampler.on("sample", (sample) => samples.push(sample), {init:false});
+    await clock.tick(0.101);
+    assert.equal(samples.length, 5);
+    for (let sample of samples.slice(1)) {
+        // vector calculated for presentation time - one frame after timestamp
+        assertClose(sample.presentation - sample.timestamp, 20);
+        assertClose(sample.position, sample.presentation/1000 - t0);
+        assert.equal(sample.vector.position, sample.position);
+        assert.equal(sample.vector.velocity, 1);
+    }
+    // frames stop when paused
+    await to.update({velocity: 0});
+    await clock.tick();
+    samples = [];
+    await clock.tick(0.1);
+    assert.equal(samples.length, 0);
+    sampler.clear();
+    // framesource without animation frames
+    assert.throws(() => new TimingSampler(to, {framesource: {}}));
+});
+
+
+test("sampler animation frames fallback", async () => {
+    // no requestAnimationFrame in node - sampling by 16 ms period
+    let to = new TimingObject({velocity: 1});
+    let sampler = new TimingSampler(to, {animationframe: true});
+    let samples = [];
+    sampler.on("sample", (sample) => samples.push(sample), {init:false});
+    await to.ready;
+    await clock.tick();
+    samples = [];
+    await clock.tick(0.161);
+    assert.equal(samples.length, 10);
+    sampler.clear();
+    await to.update({velocity: 0});
+});
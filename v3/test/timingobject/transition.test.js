@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {calculateTransition} from '../../util/motionutils.js';
+import {TimingObject, ScaleConverter} from '../../core.js';
+import {assertClose} from '../helpers.js';
+
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("calculate velocity transition", () => {
+    let vector = {position: 0, velocity: 1, acceleration: 0, timestamp: 10};
+    // linear is a single step
+    let vectors = calculateTransition(vector, {velocity: 0}, {duration: 2, curve: "linear"});
+    assert.deepEqual(vectors, [
+        {velocity: 1, acceleration: -0.5, timestamp: 10},
+        {velocity: 0, acceleration: 0, timestamp: 12}
+    ]);
+    vectors = calculateTransition(vector, {velocity: 3}, {duration: 2, steps: 4});
+    assert.equal(vectors.length, 5);
+    assert.deepEqual(vectors.map((v) => v.timestamp), [10, 10.5, 11, 11.5, 12]);
+    // ease-in-out - velocity halfway at half time
+    assertClose(vectors[2].velocity, 2);
+    // acceleration is consistent with velocity of next step
+    for (let i=0; i<4; i++) {
+        assertClose(vectors[i].velocity + 0.5*vectors[i].acceleration, vectors[i+1].velocity);
+    }
+});
+
+
+test("calculate position transition", () => {
+    let vector = {position: 0, velocity: 0, acceleration: 0, timestamp: 0};
+    let vectors = calculateTransition(vector, {position: 10}, {duration: 2, steps: 4});
+    assert.equal(vectors.length, 5);
+    // position and velocity continuous between steps
+    for (let i=0; i<4; i++) {
+        let [a, b] = [vectors[i], vectors[i+1]];
+        let dt = b.timestamp - a.timestamp;
+        assertClose(a.position + a.velocity*dt + 0.5*a.acceleration*dt*dt, b.position);
+        assertClose(a.velocity + a.acceleration*dt, b.velocity);
+    }
+    assertClose(vectors[2].position, 5);
+    assert.deepEqual(vectors[4], {position: 10, velocity: 0, acceleration: 0, timestamp: 2});
+});
+
+
+test("calculate position transition odd steps", () => {
+    let vector = {position: 0, velocity: 0, acceleration: 0, timestamp: 0};
+    let smoothstep = (u) => u*u*(3 - 2*u);
+    for (let curve of ["ease-in-out", smoothstep]) {
+        for (let steps of [3, 5, 7]) {
+            let vectors = calculateTransition(vector, {position: 10}, {duration: 2, curve, steps});
+            let h = 2/steps;
+            // position monotonic, velocity never negative
+            for (let i=0; i<steps; i++) {
+                let [a, b] = [vectors[i], vectors[i+1]];
+                assert.ok(a.position <= b.position, `${steps} steps: position ${a.position} > ${b.position}`);
+                assert.ok(a.velocity >= 0, `${steps} steps: velocity ${a.velocity}`);
+                assert.ok(a.velocity + a.acceleration*h >= -1e-6);
+            }
+            // velocity increases, then decreases
+            let velocities = vectors.map((v) => v.velocity);
+            let peak = velocities.indexOf(Math.max(...velocities));
+            for (let i=0; i<peak; i++) {
+                assert.ok(velocities[i] <= velocities[i+1], `${steps} steps: ${velocities}`);
+            }
+            for (let i=peak; i<steps; i++) {
+                assert.ok(velocities[i] >= velocities[i+1], `${steps} steps: ${velocities}`);
+            }
+            // last step ends near zero velocity
+            let last = vectors[steps-1];
+            assert.ok(Math.abs(last.velocity + last.acceleration*h) < 1e-3);
+        }
+    }
+});
+
+
+test("calculate transition errors", () => {
+    let vector = {position: 0, velocity: 0, acceleration: 0, timestamp: 0};
+    assert.throws(() => calculateTransition(vector, {}, {duration: 1}));
+    assert.throws(() => calculateTransition(vector, {velocity: 1}, {duration: 0}));
+    assert.throws(() => calculateTransition(vector, {velocity: 1}));
+    assert.throws(() => calculateTransition(vector, {velocity: 1}, {duration: 1, curve: "bounce"}));
+    assert.throws(() => calculateTransition(vector, {velocity: 1}, {duration: 1, steps: 0}));
+});
+
+
+test("velocity transition", async () => {
+    let to = new TimingObject({velocity: 1});
+    await to.ready;
+    let done = to.transition({velocity: 0}, {duration: 2, curve: "linear"});
+    await clock.tick(1);
+    assertClose(to.vel, 0.5);
+    assertClose(to.pos, 0.75);
+    await clock.tick(1);
+    assert.equal(await done, true);
+    assert.equal(to.vel, 0);
+    assert.equal(to.acc, 0);
+    assertClose(to.pos, 1);
+});
+
+
+test("position transition", async () => {
+    let to = new TimingObject({position: 2});
+    await to.ready;
+    let done = to.transition({position: 12}, {duration: 2});
+    await clock.tick(1);
+    assertClose(to.pos, 7);
+    assert.ok(to.vel > 0);
+    await clock.tick(1);
+    assert.equal(await done, true);
+    assert.deepEqual([to.pos, to.vel, to.acc], [12, 0, 0]);
+});
+
+
+test("position transition while moving", async () => {
+    let to = new TimingObject({position: 0, velocity: 1});
+    await to.ready;
+    // seek smoothly, keep velocity
+    let done = to.transition({position: 20}, {duration: 2});
+    await clock.tick(2);
+    assert.equal(await done, true);
+    assert.deepEqual([to.pos, to.vel], [20, 1]);
+});
+
+
+test("transition cancelled", async () => {
+    let to = new TimingObject();
+    await to.ready;
+    let done = to.transition({velocity: 10}, {duration: 2});
+    await clock.tick(1);
+    await to.update({velocity: 1, acceleration: 0});
+    assert.equal(await done, false);
+    await clock.tick(2);
+    assert.equal(to.vel, 1);
+    // new transition cancels ongoing transition
+    let first = to.transition({velocity: 10}, {duration: 2});
+    let second = to.transition({velocity: 0}, {duration: 2});
+    assert.equal(await first, false);
+    await clock.tick(2);
+    assert.equal(await second, true);
+    assert.equal(to.vel, 0);
+});
+
+
+test("transition on converter", async () => {
+    let to = new TimingObject();
+    let scaled = new ScaleConverter(to, 10);
+    await scaled.ready;
+    let done = scaled.transition({position: 100}, {duration: 1});
+    await clock.tick(1);
+    assert.equal(await done, true);
+    assertClose(scaled.pos, 100);
+    assertClose(to.pos, 10);
+});
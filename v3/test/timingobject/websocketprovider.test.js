@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import WebSocket from 'ws';
+import TimingServer from '../../server/timingserver.js';
+import WebSocketProvider from '../../timingobject/websocketprovider.js';
+import {TimingObject} from '../../core.js';
+
+// wait for condition to become true
+async function waitFor(condition, timeout=2000) {
+    let t0 = Date.now();
+    while (!condition()) {
+        if (Date.now() - t0 > timeout) {
+            throw new Error("waitFor timeout");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+let server, url;
+let log = [];
+
+test.before(async () => {
+    // port 0 - any free port
+    let logger = {log: (msg) => log.push(msg)};
+    server = new TimingServer({port: 0, host: "127.0.0.1", logger});
+    await new Promise((resolve) => server.wss.on("listening", resolve));
+    url = `ws://127.0.0.1:${server.wss.address().port}`;
+});
+
+test.after(() => server.close());
+
+function make_timingobject() {
+    let provider = new WebSocketProvider(url, {WebSocket});
+    let to = new TimingObject({provider});
+    return [provider, to];
+}
+
+
+test("websocket provider shared motion", async () => {
+    let [p1, to1] = make_timingobject();
+    let [p2, to2] = make_timingobject();
+    await Promise.all([to1.ready, to2.ready]);
+    assert.equal(p1.readyState, "open");
+
+    let res = await to1.update({position: 10, velocity: 0});
+    assert.equal(res.position, 10);
+    await waitFor(() => to2.pos == 10);
+
+    await to2.update({range: [0, 100]});
+    await waitFor(() => to1.range[1] == 100);
+    assert.deepEqual(to1.range, [0, 100]);
+
+    p1.close();
+    p2.close();
+});
+
+
+test("websocket provider illegal range", async () => {
+    let [provider, to] = make_timingobject();
+    await to.ready;
+    await assert.rejects(to.update({range: [10, 0]}));
+    provider.close();
+});
+
+
+test("websocket provider update range and vector", async () => {
+    let [provider, to] = make_timingobject();
+    await to.ready;
+    let res = await to.update({position: 5, velocity: 0, range: [0, 50]});
+    assert.deepEqual(res.range, [0, 50]);
+    assert.equal(res.position, 5);
+    assert.equal(res.velocity, 0);
+    assert.deepEqual(to.range, [0, 50]);
+    provider.close();
+});
+
+
+test("websocket provider remote update interleaving with local update", async () => {
+    let [p1, to1] = make_timingobject();
+    let [p2, to2] = make_timingobject();
+    await Promise.all([to1.ready, to2.ready]);
+    // remote update reaches to1 before the echo of its own update
+    let remote = to2.update({position: 1, velocity: 0});
+    let local = to1.update({position: 2, velocity: 0});
+    let [res2, res1] = await Promise.all([remote, local]);
+    assert.equal(res2.position, 1);
+    assert.equal(res1.position, 2);
+    await waitFor(() => to2.pos == 2);
+    assert.equal(to1.pos, 2);
+    p1.close();
+    p2.close();
+});
+
+
+test("timing server logger", async () => {
+    assert.ok(log[0].startsWith("TimingServer: listening on port"));
+    let ws = new WebSocket(url);
+    await new Promise((resolve) => ws.on("open", resolve));
+    ws.send("not json");
+    await waitFor(() => log.length > 1);
+    assert.ok(log[1].startsWith("TimingServer: dropping illegal message"));
+    ws.close();
+});
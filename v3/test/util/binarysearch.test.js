@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import Interval from '../../util/interval.js';
+import BinarySearch from '../../util/binarysearch.js';
+
+
+function make_presorted_ints(size) {
+    return [...Array(size).keys()];
+}
+
+
+test("binarysearch update sorts and removes duplicates", () => {
+    let b = new BinarySearch();
+    b.update([], [7, 1, 3, 1, 4, 6, 2, 5, 4]);
+    assert.deepEqual(b.array, [1, 2, 3, 4, 5, 6, 7]);
+    b.update([3, 5], []);
+    assert.deepEqual(b.array, [1, 2, 4, 6, 7]);
+    assert.equal(b.indexOf(4), 2);
+    assert.equal(b.has(3), false);
+});
+
+
+test("binarysearch lt, le, gt, ge", () => {
+    let b = new BinarySearch();
+    b.update([], make_presorted_ints(8).slice(1));
+    // x -> [lt, le, gt, ge]
+    const expected = [
+        [0.5, [-1, -1, 0, 0]],
+        [1, [-1, 0, 1, 0]],
+        [1.5, [0, 0, 1, 1]],
+        [7, [5, 6, -1, 6]],
+        [7.5, [6, 6, -1, -1]]
+    ];
+    for (let [x, indexes] of expected) {
+        let res = [b.ltIndexOf(x), b.leIndexOf(x), b.gtIndexOf(x), b.geIndexOf(x)];
+        assert.deepEqual(res, indexes, `x: ${x}`);
+    }
+});
+
+
+test("binarysearch lookup", () => {
+    let b = new BinarySearch();
+    b.update([], make_presorted_ints(8).slice(1));
+    assert.deepEqual(b.lookup(new Interval(4, 7, true, true)), [4, 5, 6, 7]);
+    assert.deepEqual(b.lookup(new Interval(4, 7, true, false)), [4, 5, 6]);
+    assert.deepEqual(b.lookup(new Interval(4, 7, false, true)), [5, 6, 7]);
+    assert.deepEqual(b.lookup(new Interval(4, 7, false, false)), [5, 6]);
+    // singular
+    assert.deepEqual(b.lookup(new Interval(4)), [4]);
+    assert.deepEqual(b.lookup(new Interval(28)), []);
+    assert.throws(() => b.lookup([4, 7]));
+});
+
+
+test("binarysearch remove", () => {
+    let b = new BinarySearch();
+    b.update([], make_presorted_ints(8).slice(1));
+    assert.deepEqual(b.remove(new Interval(4, 7)), [4, 5, 6]);
+    assert.deepEqual(b.array, [1, 2, 3, 7]);
+});
+
+
+test("binarysearch remove in slice", () => {
+    let b = new BinarySearch();
+    b.update([], make_presorted_ints(20));
+    b.removeInSlice([4, 5, 8, 10]);
+    let expected = make_presorted_ints(20).filter((x) => ![4, 5, 8, 10].includes(x));
+    assert.deepEqual(b.array, expected);
+});
+
+
+test("binarysearch large batches", () => {
+    const DATASIZE = 50000;
+    let b = new BinarySearch();
+    b.update([], make_presorted_ints(DATASIZE));
+    // remove odd numbers
+    let odd = make_presorted_ints(DATASIZE).filter((x) => x % 2);
+    b.update(odd, []);
+    assert.equal(b.length, DATASIZE/2);
+    assert.equal(b.getMinimum(), 0);
+    assert.equal(b.getMaximum(), DATASIZE - 2);
+    // insert floats
+    b.update([], [0.5, 10.5, 100.5]);
+    assert.equal(b.indexOf(10.5), 7);
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import endpoint from '../../util/endpoint.js';
+
+// endpoint properties
+const left = false;
+const right = true;
+const open = false;
+const closed = true;
+
+/*
+    endpoints with value 4, in order
+    right-open, left-closed, point, right-closed, left-open
+*/
+const right_open = [4, right, open, false];
+const left_closed = [4, left, closed, false];
+const point = 4;
+const right_closed = [4, right, closed, false];
+const left_open = [4, left, open, false];
+const all = [right_open, left_closed, point, right_closed, left_open];
+
+function test_permutations(func, expectations) {
+    for (let i=0; i<all.length; i++) {
+        for (let j=0; j<all.length; j++) {
+            let e1 = all[i];
+            let e2 = all[j];
+            let msg = `${endpoint.toString(e1)} ${endpoint.toString(e2)}`;
+            assert.equal(func(e1, e2), expectations[i][j], msg);
+        }
+    }
+}
+
+test("endpoint leftof", () => {
+    test_permutations(endpoint.leftof, [
+        // (right-open, e)
+        [false, true, true, true, true],
+        // (left-closed, e)
+        [false, false, true, true, true],
+        // (point, e)
+        [false, false, false, true, true],
+        // (right-closed, e)
+        [false, false, false, false, true],
+        // (left-open, e)
+        [false, false, false, false, false]
+    ]);
+});
+
+test("endpoint rightof", () => {
+    test_permutations(endpoint.rightof, [
+        // (right-open, e)
+        [false, false, false, false, false],
+        // (left-closed, e)
+        [true, false, false, false, false],
+        // (point, e)
+        [true, true, false, false, false],
+        // (right-closed, e)
+        [true, true, true, false, false],
+        // (left-open, e)
+        [true, true, true, true, false]
+    ]);
+});
+
+test("endpoint equals", () => {
+    test_permutations(endpoint.equals, [
+        // (right-open, e)
+        [true, false, false, false, false],
+        // (left-closed, e)
+        [false, true, false, false, false],
+        // (point, e)
+        [false, false, true, false, false],
+        // (right-closed, e)
+        [false, false, false, true, false],
+        // (left-open, e)
+        [false, false, false, false, true]
+    ]);
+});
+
+test("endpoint compare", () => {
+    test_permutations(endpoint.cmp, [
+        // (right-open, e)
+        [0, -1, -1, -1, -1],
+        // (left-closed, e)
+        [1, 0, -1, -1, -1],
+        // (point, e)
+        [1, 1, 0, -1, -1],
+        // (right-closed, e)
+        [1, 1, 1, 0, -1],
+        // (left-open, e)
+        [1, 1, 1, 1, 0]
+    ]);
+});
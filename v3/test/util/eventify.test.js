@@ -0,0 +1,281 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {getEventListeners} from 'node:events';
+
+import eventify from '../../util/eventify.js';
+import {flush} from '../helpers.js';
+
+// Class that defines events
+class EventSource {
+
+    constructor() {
+        eventify.eventifyInstance(this);
+        this.eventifyDefine("change", {init:true});
+        this.eventifyDefine("other", {init:false});
+        this._value = "init";
+    }
+
+    eventifyInitEventArgs(name) {
+        if (name == "change") {
+            return [this._value];
+        }
+    }
+};
+eventify.eventifyPrototype(EventSource.prototype);
+
+
+test("eventify init events", async () => {
+    let es = new EventSource();
+    let log = [];
+    es.on("change", (eArg, eInfo) => log.push(["change", eArg, eInfo.init]));
+    es.on("change", (eArg, eInfo) => log.push(["no init", eArg, eInfo.init]), {init:false});
+    es.on("other", (eArg, eInfo) => log.push(["other", eArg, eInfo.init]));
+    await flush();
+    assert.deepEqual(log, [["change", "init", true]]);
+});
+
+
+test("eventify trigger and off", async () => {
+    let es = new EventSource();
+    let log = [];
+    let sub = es.on("other", (eArg) => log.push(eArg));
+    es.eventifyTrigger("other", 1);
+    // triggering is async
+    assert.deepEqual(log, []);
+    await flush();
+    assert.deepEqual(log, [1]);
+    es.off(sub);
+    es.eventifyTrigger("other", 2);
+    await flush();
+    assert.deepEqual(log, [1]);
+});
+
+
+test("eventify callback context", async () => {
+    let es = new EventSource();
+    let ctx = {name: "ctx"};
+    let self;
+    es.on("other", function () {self = this}, {ctx});
+    es.eventifyTrigger("other");
+    await flush();
+    assert.equal(self, ctx);
+});
+
+
+test("eventify trigger alike preserves order", async () => {
+    let es = new EventSource();
+    let log = [];
+    es.on("other", (eArg) => log.push(eArg));
+    es.eventifyTriggerAlike("other", [1, 2, 3]);
+    es.eventifyTrigger("other", 4);
+    await flush();
+    assert.deepEqual(log, [1, 2, 3, 4]);
+});
+
+
+test("eventify undefined event", () => {
+    let es = new EventSource();
+    assert.throws(() => es.on("nonexistent", () => {}));
+    assert.throws(() => es.eventifyDefine("change"));
+});
+
+
+test("eventify makePromise", async () => {
+    let ev = new eventify.EventBoolean();
+    let resolved = false;
+    let p = eventify.makePromise(ev).then(() => {resolved = true});
+    await flush();
+    assert.equal(resolved, false);
+    ev.value = true;
+    await p;
+    assert.equal(resolved, true);
+});
+
+
+test("eventify error event", async () => {
+    let es = new EventSource();
+    // error event is defined by the publisher
+    assert.throws(() => es.on("error", () => {}), /Event undefined error/);
+    es.eventifyDefine("error", {init:false});
+    assert.throws(() => es.eventifyDefine("error"), /Event already defined error/);
+    let log = [];
+    let errors = [];
+    let error = new Error("failing subscriber");
+    let sub = es.on("other", () => {throw error;});
+    es.on("other", (eArg) => log.push(eArg));
+    es.on("error", (eArg) => errors.push(eArg));
+    es.eventifyTrigger("other", 1);
+    await flush();
+    // other subscribers are still notified
+    assert.deepEqual(log, [1]);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].error, error);
+    assert.equal(errors[0].name, "other");
+    assert.equal(errors[0].sub, sub);
+    assert.equal(errors[0].src, es);
+});
+
+
+test("eventify global error handler", async () => {
+    let es = new EventSource();
+    let errors = [];
+    eventify.setErrorHandler((eArg) => errors.push(eArg.name));
+    try {
+        es.on("other", () => {throw new Error("failing subscriber");});
+        es.on("change", () => {throw new Error("failing init");});
+        es.eventifyTrigger("other");
+        await flush();
+        assert.deepEqual(errors, ["change", "other"]);
+    } finally {
+        eventify.setErrorHandler();
+    }
+    assert.throws(() => eventify.setErrorHandler("not a function"));
+});
+
+
+test("eventify strict mode", async () => {
+    let es = new EventSource();
+    let error = new Error("failing subscriber");
+    let log = [];
+    es.on("other", () => {throw error;}, {init:false});
+    es.on("other", (eArg) => log.push(eArg), {init:false});
+    es.on("change", (eArg) => log.push(eArg), {init:false});
+    // rethrow surfaces as unhandled rejection - catch it here
+    // instead of the test runner
+    let rejections = [];
+    let listeners = process.listeners("unhandledRejection");
+    process.removeAllListeners("unhandledRejection");
+    process.on("unhandledRejection", (reason) => rejections.push(reason));
+    eventify.setErrorOptions({strict:true});
+    try {
+        es.eventifyTrigger("other", 1);
+        es.eventifyTrigger("change", 2);
+        await flush();
+    } finally {
+        eventify.setErrorOptions({strict:false});
+        process.removeAllListeners("unhandledRejection");
+        for (let listener of listeners) {
+            process.on("unhandledRejection", listener);
+        }
+    }
+    // all events delivered before rethrow
+    assert.deepEqual(log, [1, 2]);
+    assert.deepEqual(rejections, [error]);
+    assert.deepEqual(eventify.setErrorOptions(), {rethrow:false, strict:false});
+});
+
+
+test("eventify on with abort signal", async () => {
+    let es = new EventSource();
+    let log = [];
+    let controller = new AbortController();
+    es.on("other", (eArg) => log.push(eArg), {signal: controller.signal});
+    es.eventifyTrigger("other", 1);
+    await flush();
+    controller.abort();
+    es.eventifyTrigger("other", 2);
+    await flush();
+    assert.deepEqual(log, [1]);
+    assert.equal(es.eventifySubscriptions("other").length, 0);
+    // already aborted
+    es.on("other", (eArg) => log.push(eArg), {signal: controller.signal});
+    assert.equal(es.eventifySubscriptions("other").length, 0);
+});
+
+
+test("eventify abort listeners removed on unsubscribe", async () => {
+    let es = new EventSource();
+    let controller = new AbortController();
+    let signal = controller.signal;
+    let sub = es.on("other", () => {}, {signal});
+    assert.equal(getEventListeners(signal, "abort").length, 1);
+    es.off(sub);
+    assert.equal(getEventListeners(signal, "abort").length, 0);
+    // async iterator
+    let iter = es.events("other", {signal});
+    await iter.return();
+    assert.equal(getEventListeners(signal, "abort").length, 0);
+    // observable
+    let subscription = es.observable("other", {signal}).subscribe(() => {});
+    subscription.unsubscribe();
+    assert.equal(getEventListeners(signal, "abort").length, 0);
+});
+
+
+test("eventify subscription change", () => {
+    class Source extends EventSource {
+        constructor() {
+            super();
+            this.changes = [];
+        }
+        eventifySubscriptionChange(name) {
+            this.changes.push([name, this.eventifySubscriptions(name).length]);
+        }
+    }
+    let es = new Source();
+    let sub = es.on("other", () => {});
+    es.off(sub);
+    es.off(sub);
+    assert.deepEqual(es.changes, [["other", 1], ["other", 0]]);
+});
+
+
+test("eventify async iterator", async () => {
+    let es = new EventSource();
+    let iter = es.events("change");
+    await flush();
+    es.eventifyTrigger("change", "a");
+    es.eventifyTrigger("change", "b");
+    let log = [];
+    for await (let eArg of iter) {
+        log.push(eArg);
+        if (eArg == "b") {
+            break;
+        }
+    }
+    // init event first
+    assert.deepEqual(log, ["init", "a", "b"]);
+    assert.equal(es.eventifySubscriptions("change").length, 0);
+});
+
+
+test("eventify async iterator with abort signal", async () => {
+    let es = new EventSource();
+    let controller = new AbortController();
+    let log = [];
+    let done = (async () => {
+        for await (let eArg of es.events("other", {signal: controller.signal})) {
+            log.push(eArg);
+        }
+    })();
+    es.eventifyTrigger("other", 1);
+    await flush();
+    controller.abort();
+    await done;
+    assert.deepEqual(log, [1]);
+});
+
+
+test("eventify observable", async () => {
+    let es = new EventSource();
+    let obs = es.observable("change");
+    assert.equal(obs["@@observable"](), obs);
+    let log = [];
+    let subscription = obs.subscribe({next: (eArg) => log.push(eArg)});
+    await flush();
+    es.eventifyTrigger("change", "a");
+    await flush();
+    subscription.unsubscribe();
+    assert.equal(subscription.closed, true);
+    es.eventifyTrigger("change", "b");
+    await flush();
+    assert.deepEqual(log, ["init", "a"]);
+    // function observer, completed by abort signal
+    let controller = new AbortController();
+    let completed = false;
+    es.observable("other", {signal: controller.signal})
+        .subscribe((eArg) => log.push(eArg), undefined, () => {completed = true;});
+    controller.abort();
+    assert.equal(completed, true);
+    assert.equal(es.eventifySubscriptions("other").length, 0);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import Interval from '../../util/interval.js';
+
+const Relation = Interval.Relation;
+
+// endpoint properties
+const left = false;
+const right = true;
+const open = false;
+const closed = true;
+
+
+test("interval covers endpoint", () => {
+
+    // endpoints with value 4
+    const right_open = [4, right, open, false];
+    const left_closed = [4, left, closed, false];
+    const point = 4;
+    const right_closed = [4, right, closed, false];
+    const left_open = [4, left, open, false];
+    const all = [right_open, left_closed, point, right_closed, left_open];
+
+    function test_endpoints(itv, expectations) {
+        for (let i=0; i<all.length; i++) {
+            assert.equal(itv.covers_endpoint(all[i]), expectations[i], itv.toString());
+        }
+    }
+
+    // left outside
+    test_endpoints(new Interval(3, 3.5), [false, false, false, false, false]);
+    // high endpoint match
+    test_endpoints(new Interval(3, 4, true, true), [true, true, true, true, false]);
+    test_endpoints(new Interval(3, 4, true, false), [true, false, false, false, false]);
+    // singleton match
+    test_endpoints(new Interval(4, 4), [false, true, true, true, false]);
+    // both sides
+    test_endpoints(new Interval(3, 5), [true, true, true, true, true]);
+    // low endpoint match
+    test_endpoints(new Interval(4, 5, true, false), [false, true, true, true, true]);
+    test_endpoints(new Interval(4, 5, false, false), [false, false, false, false, true]);
+    // right outside
+    test_endpoints(new Interval(4.5, 5), [false, false, false, false, false]);
+});
+
+
+test("interval compare", () => {
+    // [2,4)
+    const A = new Interval(2,4);
+
+    // outside right
+    assert.equal(A.compare(new Interval(0,2)), Relation.OUTSIDE_RIGHT);
+    // overlap right
+    assert.equal(A.compare(new Interval(0,2,true,true)), Relation.OVERLAP_RIGHT);
+    assert.equal(A.compare(new Interval(0,3)), Relation.OVERLAP_RIGHT);
+    // outside left
+    assert.equal(A.compare(new Interval(4,5)), Relation.OUTSIDE_LEFT);
+    // overlap left
+    assert.equal(A.compare(new Interval(3,5)), Relation.OVERLAP_LEFT);
+    // equals
+    assert.equal(A.compare(new Interval(2,4)), Relation.EQUALS);
+    // covers
+    assert.equal(A.compare(new Interval(2,4,false,false)), Relation.COVERS);
+    assert.equal(A.compare(new Interval(2,3,true,true)), Relation.COVERS);
+    assert.equal(A.compare(new Interval(3,3.5)), Relation.COVERS);
+    // covered
+    assert.equal(A.compare(new Interval(2,4,true,true)), Relation.COVERED);
+    assert.equal(A.compare(new Interval(1,4)), Relation.COVERED);
+    assert.equal(A.compare(new Interval(2,5)), Relation.COVERED);
+});
+
+
+test("interval sort", () => {
+    let a = [
+        new Interval(4,5),
+        new Interval(2,3),
+        new Interval(1,6)
+    ];
+    a.sort(Interval.cmpLow);
+    assert.deepEqual(a.map(String), ["[1,6)", "[2,3)", "[4,5)"]);
+});
+
+
+test("interval union", () => {
+    let res = Interval.unionAll([
+        new Interval(1,6),
+        new Interval(4,5),
+        new Interval(2,3),
+        new Interval(6,8)
+    ]);
+    assert.deepEqual(res.map(String), ["[1,8)"]);
+});
+
+
+test("interval intersect", () => {
+    let res = Interval.intersectAll([
+        new Interval(1,4,true,true),
+        new Interval(4,5),
+    ]);
+    assert.deepEqual(res.map(String), ["[4]"]);
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import localclock, {VirtualClock} from '../../util/localclock.js';
+import {TimingObject, DelayConverter, Dataset, Sequencer} from '../../core.js';
+
+/*
+    virtual clock must be installed before
+    any timing objects are created
+*/
+const clock = new VirtualClock();
+localclock.set(clock);
+test.after(() => localclock.set());
+
+
+test("virtual clock timers", () => {
+    let log = [];
+    let t0 = clock.now();
+    clock.setTimeout(() => log.push("b"), 2000);
+    clock.setTimeout(() => log.push("a"), 1000);
+    let tid = clock.setTimeout(() => log.push("x"), 1500);
+    clock.clearTimeout(tid);
+    clock.advance(1.5);
+    assert.deepEqual(log, ["a"]);
+    clock.advance(1);
+    assert.deepEqual(log, ["a", "b"]);
+    assert.equal(clock.now(), t0 + 2.5);
+    assert.equal(clock.size, 0);
+});
+
+
+test("virtual clock intervals", () => {
+    let count = 0;
+    let tid = clock.setInterval(() => count++, 100);
+    // allow for rounding errors in due times
+    clock.advance(1.05);
+    assert.equal(count, 10);
+    clock.clearInterval(tid);
+    clock.advance(1);
+    assert.equal(count, 10);
+});
+
+
+test("range end with virtual clock", async () => {
+    let to = new TimingObject({range:[0, 10]});
+    await to.ready;
+    let t0 = clock.now();
+    await to.update({position:0, velocity:1});
+    await clock.tick(20);
+    assert.equal(to.vector.position, 10);
+    assert.equal(to.vector.velocity, 0);
+    assert.equal(to.vector.timestamp, t0 + 10);
+});
+
+
+test("delay converter with virtual clock", async () => {
+    let to = new TimingObject();
+    let delayed = new DelayConverter(to, 2);
+    // initial vector of source is delayed too
+    await to.ready;
+    await clock.tick(2);
+    await delayed.ready;
+    let ts;
+    delayed.on("change", () => {ts = clock.now()}, {init:false});
+    let t0 = clock.now();
+    await to.update({position:0, velocity:1});
+    await clock.tick(1);
+    assert.equal(ts, undefined);
+    await clock.tick(1);
+    assert.equal(ts, t0 + 2);
+});
+
+
+test("sequencer with virtual clock", async () => {
+    let to = new TimingObject();
+    let ds = new Dataset();
+    ds.update([
+        {key:"a", interval:[2, 4], data:"A"},
+        {key:"b", interval:[3, 4.5], data:"B"}
+    ]);
+    let s = Sequencer(ds, to);
+    await to.ready;
+    let log = [];
+    let t0 = clock.now();
+    // time relative to t0, rounded to ms
+    const ts = () => Math.round((clock.now() - t0)*1000)/1000;
+    s.on("change", (e) => log.push(`enter ${e.key} ${ts()}`));
+    s.on("remove", (e) => log.push(`exit ${e.key} ${ts()}`));
+    await to.update({position:0, velocity:1});
+    await clock.tick(6);
+    assert.deepEqual(log, [
+        "enter a 2", "enter b 3", "exit a 4", "exit b 4.5"
+    ]);
+});
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as xml from '../../util/xml.js';
+
+
+test("xml parse and serialize", () => {
+    let root = xml.parse(`<?xml version="1.0"?><a x="1 &amp; 2"><b/>text<![CDATA[<raw>]]></a>`);
+    assert.equal(root.name, "a");
+    assert.deepEqual(root.attributes, {x: "1 & 2"});
+    assert.deepEqual(root.children, [{name: "b", attributes: {}, children: []}, "text", "<raw>"]);
+    assert.equal(xml.serialize(root), `<a x="1 &amp; 2"><b/>text&lt;raw&gt;</a>`);
+    assert.throws(() => xml.parse("<a></b>"), xml.XMLError);
+    assert.throws(() => xml.parse("<a/><b/>"), /multiple root elements/);
+});
+
+
+test("xml ignores content outside root element", () => {
+    let root = xml.parse(`<![CDATA[before]]><a>x</a><![CDATA[after]]>`);
+    assert.deepEqual(root.children, ["x"]);
+});
+
+
+test("xml doctype with internal subset", () => {
+    let root = xml.parse(`<?xml version="1.0"?>
+<!DOCTYPE tt [
+  <!ELEMENT tt (body)>
+  <!ATTLIST tt x CDATA "a>b">
+  <!-- comment with > and ' -->
+  <!ENTITY e '[>]'>
+]>
+<tt><body/></tt>`);
+    assert.equal(root.name, "tt");
+    assert.equal(root.children[0].name, "body");
+    assert.throws(() => xml.parse(`<!DOCTYPE tt [ <!ELEMENT tt ANY> <tt/>`), /unterminated declaration/);
+});
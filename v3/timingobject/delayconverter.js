@@ -123,7 +123,16 @@ class DelayConverter extends TimingObject {
             this.eventifyTrigger("delaychange", delay);
         }
     }
+
+    // snapshot parameters
+    __snapshotParams() {
+        return {type: "DelayConverter", delay: this._delay};
+    };
 }
 
+TimingObject.registerType("DelayConverter", function (timingsrc, state) {
+    return new DelayConverter(timingsrc, state.delay);
+});
+
 export default DelayConverter;
 
@@ -0,0 +1,89 @@
+/*
+	Copyright 2015 Norut Northern Research Institute
+	Author : Ingar Mæhlum Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+	DERIVATIVE CONVERTER
+
+	This Converter implements the derivative of its source timing object.
+
+	The velocity of timingsrc becomes the position of the Converter,
+	and the acceleration of timingsrc becomes the velocity of the Converter.
+
+	This means that the derivative Converter allows sequencing on velocity of
+	a timing object, by attaching a sequencer to the derivative Converter.
+
+	Updates are mapped back onto the timingsrc
+	- position of update becomes velocity of timingsrc
+	- velocity of update becomes acceleration of timingsrc
+	- acceleration and range may not be updated
+
+	- range is infinite
+*/
+
+import TimingObject from './timingobject.js';
+
+
+class DerivativeConverter extends TimingObject {
+
+	constructor (timingsrc, options) {
+		super(timingsrc, options);
+	};
+
+	// overrides
+	onUpdateStart(arg) {
+		if (arg.range != undefined) {
+			arg.range = [-Infinity, Infinity];
+		}
+		if (arg.position != undefined) {
+			arg.position = arg.velocity;
+			arg.velocity = arg.acceleration;
+			arg.acceleration = 0;
+		}
+		return arg;
+	};
+
+	// overrides
+	update(arg) {
+		if (arg.range != undefined) {
+			throw new Error("range update illegal on derivative of timingobject");
+		}
+		if (arg.acceleration != undefined) {
+			throw new Error("acceleration update illegal on derivative of timingobject");
+		}
+		let {position, velocity, ...rest} = arg;
+		return super.update({
+			...rest,
+			velocity: position,
+			acceleration: velocity
+		});
+	};
+
+	// snapshot parameters
+	__snapshotParams() {
+		return {type: "DerivativeConverter"};
+	};
+};
+
+TimingObject.registerType("DerivativeConverter", function (timingsrc, state) {
+	return new DerivativeConverter(timingsrc);
+});
+
+export default DerivativeConverter;
@@ -0,0 +1,261 @@
+/*
+	Copyright 2015 Norut Northern Research Institute
+	Author : Ingar Mæhlum Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+	EDIT LIST CONVERTER
+
+	Non-linear mapping of the timeline of the timingsrc, driven
+	by an edit list (like an edit decision list, or a playlist of clips).
+
+	The timeline of the timingsrc is the target timeline. Each edit maps
+	a segment of the target timeline to a segment of the source timeline,
+	which is the timeline of the converter.
+
+		edits = [
+			{source: [10, 20]},
+			{source: [50, 55]},
+			{source: [0, 5], target: 20}
+		]
+
+	- source: [in, out] segment of source timeline
+	- target: position where the edit starts in the target timeline,
+	  default is where the previous edit ends (0 for the first edit)
+
+	With the above edits, target positions [0, 10] map to source
+	positions [10, 20], [10, 15] map to [50, 55] and [20, 25] map to [0, 5].
+
+	Edits are ordered and may not overlap in the target timeline.
+	Gaps are allowed. Within a gap, and before the first and after the last
+	edit, the converter is paused at the end of the preceding edit
+	(or the start of the first edit).
+
+	The converter jumps at edit boundaries. Jumps are driven by timeouts,
+	calculated from the timingsrc and the edit it is currently in.
+
+	Updates are mapped back onto the timingsrc. Update position must be
+	within an edit, preferring the current edit if the position occurs
+	in multiple edits.
+
+	- range is the smallest range covering all source segments
+	- range may not be updated
+	- edits may be changed at runtime
+*/
+
+import {calculateVector, calculateDirection} from '../util/motionutils.js';
+import TimingObject from './timingobject.js';
+
+
+/*
+	normalise edit list
+	- {source:[in, out], target:[in, out]}
+*/
+function normaliseEdits(edits) {
+	if (!Array.isArray(edits) || edits.length == 0) {
+		throw new Error(`edits must be non-empty array, ${edits}`);
+	}
+	let end = 0;
+	return edits.map((edit, index) => {
+		let {source, target=end} = edit;
+		if (!Array.isArray(source) || source.length != 2) {
+			throw new Error(`edit ${index}: source must be array [in, out], ${source}`);
+		}
+		let [low, high] = source;
+		if (!isFinite(low) || !isFinite(high) || !(low < high)) {
+			throw new Error(`edit ${index}: illegal source [${low}, ${high}]`);
+		}
+		if (!isFinite(target) || target < end) {
+			throw new Error(`edit ${index}: illegal target ${target}, edits must be ordered and not overlap`);
+		}
+		end = target + (high - low);
+		return {source: [low, high], target: [target, end]};
+	});
+}
+
+/*
+	smallest range covering all source segments
+*/
+function coverRange(edits) {
+	let low = Math.min(...edits.map((edit) => edit.source[0]));
+	let high = Math.max(...edits.map((edit) => edit.source[1]));
+	return [low, high];
+}
+
+/*
+	position is before boundary
+	- boundary belongs to the cell after it,
+	  unless moving backwards
+*/
+function before(position, boundary, direction) {
+	return (direction < 0) ? position <= boundary : position < boundary;
+}
+
+/*
+	find cell of target timeline containing position
+	- cell is either an edit, or the gap before or after an edit
+	- edit cells: {low, high, edit}
+	- gap cells: {low, high, hold} - hold is paused source position
+*/
+function lookup(edits, position, direction) {
+	let low = -Infinity;
+	let hold = edits[0].source[0];
+	for (let edit of edits) {
+		let [target_in, target_out] = edit.target;
+		if (before(position, target_in, direction)) {
+			return {low, high: target_in, hold};
+		}
+		if (before(position, target_out, direction)) {
+			return {low: target_in, high: target_out, edit};
+		}
+		low = target_out;
+		hold = edit.source[1];
+	}
+	return {low, high: Infinity, hold};
+}
+
+/*
+	transform vector of timingsrc into vector of converter
+	- same timestamp
+*/
+function transform(vector, edits) {
+	let {position, velocity, acceleration, timestamp} = vector;
+	let cell = lookup(edits, position, calculateDirection(vector));
+	if (cell.edit == undefined) {
+		return {position: cell.hold, velocity: 0, acceleration: 0, timestamp};
+	}
+	position += cell.edit.source[0] - cell.edit.target[0];
+	return {position, velocity, acceleration, timestamp};
+}
+
+
+/*
+	EDIT LIST CONVERTER
+*/
+
+class EditListConverter extends TimingObject {
+
+	constructor(timingsrc, edits, options={}) {
+		// validate edits before subscribing to timingsrc
+		edits = normaliseEdits(edits);
+		// timeout required for jumps at edit boundaries
+		super(timingsrc, {...options, timeout:true});
+		this.__edits = edits;
+		this.__edits_range = coverRange(edits);
+		this.eventifyDefine("editschange", {init:true});
+	};
+
+	// extend
+	eventifyInitEventArgs(name) {
+		if (name == "editschange") {
+			return [this.edits];
+		} else {
+			return super.eventifyInitEventArgs(name)
+		}
+	}
+
+	get edits() {
+		// copy
+		return this.__edits.map((edit) => {
+			return {source: [...edit.source], target: edit.target[0]};
+		});
+	};
+
+	set edits(edits) {
+		// set edits and emulate new event from timingsrc
+		// - new range is applied by onUpdateStart
+		this.__edits = normaliseEdits(edits);
+		this.__edits_range = coverRange(this.__edits);
+		if (this.isReady()) {
+			this.__handleEvent({
+				...this.__get_timingsrc().vector,
+				range: this.__get_timingsrc().range
+			});
+		}
+		this.eventifyTrigger("editschange", this.edits);
+	};
+
+	update(arg) {
+		if (arg.range != undefined) {
+			throw new Error("range update illegal on edit list converter, range is given by edits");
+		}
+		if (arg.position != undefined) {
+			// inverse transformation of position, from source
+			// coordinates to target coordinates
+			// prefer current edit
+			let now_vector = calculateVector(this.__get_timingsrc().vector, this.clock.now());
+			let current = lookup(this.__edits, now_vector.position, calculateDirection(now_vector)).edit;
+			let edits = (current) ? [current, ...this.__edits] : this.__edits;
+			let edit = edits.find((edit) => {
+				return edit.source[0] <= arg.position && arg.position <= edit.source[1];
+			});
+			if (edit == undefined) {
+				throw new Error(`position ${arg.position} not covered by edits`);
+			}
+			arg.position += edit.target[0] - edit.source[0];
+		}
+		return super.update(arg);
+	};
+
+	// overrides
+	onUpdateStart(arg) {
+		if (arg.range != undefined) {
+			// ignore range change from timingsrc
+			// instead, insist that range is given by edits
+			arg.range = this.__edits_range;
+		}
+		if (arg.position != undefined) {
+			// vector change
+			// transform at present time, since the edit depends on it
+			let {position, velocity, acceleration, timestamp} = arg;
+			let vector = {position, velocity, acceleration, timestamp};
+			vector = transform(calculateVector(vector, this.clock.now()), this.__edits);
+			Object.assign(arg, vector);
+		}
+		return arg;
+	};
+
+	/*
+		overrides
+		timeout when the timingsrc leaves the current edit (or gap),
+		delivering the converter vector at that time
+		- boundary position is exact, so direction decides the next edit
+	*/
+	__calculateTimeoutVector() {
+		let vector = this.__get_timingsrc().vector;
+		let now_vector = calculateVector(vector, this.clock.now());
+		let cell = lookup(this.__edits, now_vector.position, calculateDirection(now_vector));
+		let timeout_vector = super.__calculateTimeoutVector(vector, [cell.low, cell.high]);
+		if (timeout_vector == undefined) {
+			return;
+		}
+		return transform(timeout_vector, this.__edits);
+	};
+
+	// snapshot parameters
+	__snapshotParams() {
+		return {type: "EditListConverter", edits: this.edits};
+	};
+}
+
+TimingObject.registerType("EditListConverter", function (timingsrc, state) {
+	return new EditListConverter(timingsrc, state.edits);
+});
+
+export default EditListConverter;
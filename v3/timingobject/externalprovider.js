@@ -45,6 +45,35 @@ function checkTimingProvider(obj){
 	- wraps a timing provider external
 	- handles some complexity that arises due to the very simple API of providers
 	- implements a clock for the provider
+	- tunnels update ids through the provider
+
+	Update tunnel
+
+	Timing objects attach a tunnel id to updates, and wait for the id to
+	come back with the resulting change. Providers supporting this echo
+	the tunnel id given in update(vector) as event argument {tunnel}
+	of the resulting vectorchange (or rangechange) event.
+	Providers may declare this up front by property tunnelSupport = true,
+	else support is detected when the first tunnel id is echoed.
+	For providers not supporting this, updates are assumed to take effect
+	in order, so the next event is attributed to the oldest pending update.
+
+	Event state
+
+	Providers may give the new vector and range as event arguments
+	{vector, range}. These are preferred over the vector and range
+	properties of the provider, which may have changed again before
+	the event is delivered.
+
+	Clock
+
+	The clock is normalised to the local clock, based on the first skew measurement.
+	Later skew changes adjust the clock according to clock policy (see MasterClock).
+
+	options (given to timing object)
+	- clock_policy: "jump", "slew" or "monotonic" - default "jump"
+	- slew_rate: see MasterClock
+	- slew_limit: see MasterClock
 */
 
 class ExternalProvider {
@@ -55,24 +84,41 @@ class ExternalProvider {
 
 		this._provider = provider;
 		this._callback = callback;
+		this._options = options;
 		this._range;
 		this._vector;
 		this._ready = false
 
+		// pending tunnel ids - in order
+		this._tunnels = [];
+		// true if provider declares tunnel support, or has echoed a tunnel id
+		this._tunnel_support = (provider.tunnelSupport == true);
+
 		/*
-			provider clock (may fluctuate based on live skew estimates)
+			first skew measurement
 		*/
-		this._provider_clock;
+		this._skew0;
 		/*
 			local clock
 			provider clock normalised to values of performance now
 			normalisation based on first skew measurement, so
+			clock_local = clock_provider - skew0
 		*/
 		this._clock;
 
 		// register event handlers
 		this._provider.on("vectorchange", this._onVectorChange.bind(this));
 		this._provider.on("skewchange", this._onSkewChange.bind(this));
+		/*
+			rangechange is optional in the provider api
+			providers without rangechange event will only
+			have range changes picked up with vector changes
+		*/
+		try {
+			this._provider.on("rangechange", this._onRangeChange.bind(this));
+		} catch (err) {
+			// provider does not support rangechange
+		}
 
 		// check if provider is ready
 		if (this._provider.skew != undefined) {
@@ -89,19 +135,14 @@ class ExternalProvider {
 
 
 	/*
-		- local timestamp of vector is set for each new vector, using the skew available at that time
-		- the vector then remains unchanged
+		- local timestamp of vector is a function of the provider timestamp
+		  and the first skew measurement
 		- skew changes affect local clock, thereby affecting the result of query operations
-
-		- one could imagine reevaluating the vector as well when the skew changes,
-			but then this should be done without triggering change events
-
-		- ideally the vector timestamp should be a function of the provider clock
 	*/
 
 	get vector() {
-		// local_ts = provider_ts - skew
-		let local_ts = this._vector.timestamp - this._provider.skew;
+		// local_ts = provider_ts - skew0
+		let local_ts = this._vector.timestamp - this._skew0;
 		return {
 			position : this._vector.position,
 			velocity : this._vector.velocity,
@@ -117,21 +158,39 @@ class ExternalProvider {
 
 	_onSkewChange(init=false) {
 		if (!this._clock) {
-			this._provider_clock = new MasterClock({skew: this._provider.skew});
-			this._clock = new MasterClock({skew:0});
+			this._skew0 = this._provider.skew;
+			this._clock = new MasterClock({
+				skew: 0,
+				policy: this._options.clock_policy,
+				slew_rate: this._options.slew_rate,
+				slew_limit: this._options.slew_limit
+			});
 		} else {
-			this._provider_clock.adjust({skew: this._provider.skew});
-			// provider clock adjusted with new skew - correct local clock similarly
-			// current_skew = clock_provider - clock_local
-			let current_skew = this._provider_clock.now() - this._clock.now();
-			// skew delta = new_skew - current_skew
-			let skew_delta = this._provider.skew - current_skew;
-			this._clock.adjust({skew: skew_delta});
+			// adjust local clock according to clock policy
+			// clock_local = clock_provider - skew0
+			this._clock.adjust({skew: this._provider.skew - this._skew0});
 		}
 		// no upcalls on skew change
 	};
 
-	_onVectorChange() {
+	/*
+		tunnel id of the update causing this event, if any
+	*/
+	_getTunnel(eArg) {
+		if (eArg != undefined && eArg.tunnel != undefined) {
+			this._tunnel_support = true;
+			let idx = this._tunnels.indexOf(eArg.tunnel);
+			if (idx > -1) {
+				this._tunnels.splice(idx, 1);
+			}
+			return eArg.tunnel;
+		}
+		if (!this._tunnel_support) {
+			return this._tunnels.shift();
+		}
+	}
+
+	_onVectorChange(eArg) {
 		if (this._clock) {			
 			// is ready (onSkewChange has fired earlier)
 			if (!this._ready && this._provider.vector != undefined) {
@@ -139,24 +198,48 @@ class ExternalProvider {
 				this._ready = true;
 			}
 			if (this._ready) {
-				if (!this._range) {
-					this._range = this._provider.range;
-				}
-				this._vector = this._provider.vector;
-				let eArg = {
+				let {
+					range = this._provider.range,
+					vector = this._provider.vector
+				} = eArg || {};
+				this._range = range;
+				this._vector = vector;
+				let _eArg = {
 					range: this.range,
 					...this.vector
 				}
-				this._callback(eArg);
+				let tunnel = this._getTunnel(eArg);
+				if (tunnel != undefined) {
+					_eArg.tunnel = tunnel;
+				}
+				this._callback(_eArg);
+			}
+		}
+	};
+
+	/*
+		range change only - no vector change
+	*/
+	_onRangeChange(eArg) {
+		if (this._ready) {
+			let tunnel = this._getTunnel(eArg);
+			let {range = this._provider.range} = eArg || {};
+			let [low, high] = range;
+			if (low != this._range[0] || high != this._range[1] || tunnel != undefined) {
+				this._range = [low, high];
+				let _eArg = {range: this.range};
+				if (tunnel != undefined) {
+					_eArg.tunnel = tunnel;
+				}
+				this._callback(_eArg);
 			}
 		}
 	};
 
 	// update
 	/*
-		TODO - support setting range on provider
-		TODO - suppport tunnel
-		TODO - support onRangeChange from provider
+		returns result of provider update
+		- provider may return a promise, rejected on error
 	*/
 	update(arg) {
 		let vector = {
@@ -166,11 +249,26 @@ class ExternalProvider {
 			timestamp: arg.timestamp
 		};
 		// calc back to provider ts
-		// local_ts = provider_ts - skew
-		vector.timestamp = vector.timestamp + this._provider.skew;
-		let res = this._provider.update(vector);
-		// return success
-		return true;
+		// local_ts = provider_ts - skew0
+		vector.timestamp = vector.timestamp + this._skew0;
+		// range is forwarded with the vector
+		if (arg.range != undefined) {
+			vector.range = [arg.range[0], arg.range[1]];
+		}
+		if (arg.tunnel != undefined) {
+			vector.tunnel = arg.tunnel;
+			this._tunnels.push(arg.tunnel);
+		}
+		try {
+			return this._provider.update(vector);
+		} catch (err) {
+			// failed update will not produce any event
+			let idx = this._tunnels.indexOf(arg.tunnel);
+			if (idx > -1) {
+				this._tunnels.splice(idx, 1);
+			}
+			throw err;
+		}
 	};
 }
 
@@ -0,0 +1,183 @@
+/*
+	Copyright 2015 Norut Northern Research Institute
+	Author : Ingar Mæhlum Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+	LINEAR CONVERTER
+
+	Affine transformation of the timeline of the timingsrc.
+
+		position' = scale*position + skew
+
+	Velocity and acceleration are scaled by the same factor.
+	This is equivalent to a ScaleConverter followed by a SkewConverter,
+	but with a single timing object.
+
+	Negative scale reverses the timeline, i.e. the converter moves
+	backwards when the timingsrc moves forwards. Range endpoints are
+	swapped accordingly.
+
+	Updates and ranges are inverted before they are forwarded to the timingsrc.
+
+	Scale must be non-zero, for the transformation to be invertible.
+*/
+
+
+import TimingObject from './timingobject.js';
+
+
+function checkScale(scale) {
+	if (typeof scale != "number" || !isFinite(scale) || scale == 0) {
+		throw new Error(`illegal scale ${scale}, must be non-zero number`);
+	}
+}
+
+function checkSkew(skew) {
+	if (typeof skew != "number" || !isFinite(skew)) {
+		throw new Error(`illegal skew ${skew}, must be number`);
+	}
+}
+
+/*
+	transform range - endpoints swapped for negative scale
+	- adding 0 turns negative zero into zero
+*/
+function transformRange(range, transform, scale) {
+	let low = transform(range[0]) + 0;
+	let high = transform(range[1]) + 0;
+	return (scale < 0) ? [high, low] : [low, high];
+}
+
+
+class LinearConverter extends TimingObject {
+
+	constructor (timingsrc, scale=1, skew=0, options) {
+		checkScale(scale);
+		checkSkew(skew);
+		super(timingsrc, options);
+		this._scale = scale;
+		this._skew = skew;
+		this.eventifyDefine("scalechange", {init:true});
+		this.eventifyDefine("skewchange", {init:true});
+	}
+
+	// extend
+	eventifyInitEventArgs(name) {
+		if (name == "scalechange") {
+			return [this._scale];
+		} else if (name == "skewchange") {
+			return [this._skew];
+		} else {
+			return super.eventifyInitEventArgs(name)
+		}
+	}
+
+	// overrides
+	onUpdateStart(arg) {
+		if (arg.range != undefined) {
+			arg.range = transformRange(arg.range, (pos) => {
+				return this._scale*pos + this._skew;
+			}, this._scale);
+		}
+		if (arg.position != undefined) {
+			arg.position = this._scale*arg.position + this._skew;
+		}
+		if (arg.velocity != undefined) {
+			arg.velocity *= this._scale;
+		}
+		if (arg.acceleration != undefined) {
+			arg.acceleration *= this._scale;
+		}
+		return arg;
+	};
+
+	// overrides
+	update(arg) {
+		if (arg.range != undefined) {
+			arg.range = transformRange(arg.range, (pos) => {
+				return (pos - this._skew)/this._scale;
+			}, this._scale);
+		}
+		if (arg.position != undefined) {
+			arg.position = (arg.position - this._skew)/this._scale;
+		}
+		if (arg.velocity != undefined) {
+			arg.velocity /= this._scale;
+		}
+		if (arg.acceleration != undefined) {
+			arg.acceleration /= this._scale;
+		}
+		return super.update(arg);
+	};
+
+	get scale() {return this._scale;};
+	get skew() {return this._skew;};
+
+	set scale(scale) {
+		this.setTransform(scale, this._skew);
+	}
+
+	set skew(skew) {
+		this.setTransform(this._scale, skew);
+	}
+
+	/*
+		change scale and skew together
+		- single update, events for the parameters that changed
+	*/
+	setTransform(scale, skew) {
+		checkScale(scale);
+		checkSkew(skew);
+		let scale_change = (scale != this._scale);
+		let skew_change = (skew != this._skew);
+		if (scale_change || skew_change) {
+			// set transform and emulate new event from timingsrc
+			this._scale = scale;
+			this._skew = skew;
+			if (this.isReady()) {
+				this.__handleEvent({
+					...this.__get_timingsrc().vector,
+					range: this.__get_timingsrc().range
+				});
+			}
+			if (scale_change) {
+				this.eventifyTrigger("scalechange", scale);
+			}
+			if (skew_change) {
+				this.eventifyTrigger("skewchange", skew);
+			}
+		}
+	}
+
+	// snapshot parameters
+	__snapshotParams() {
+		return {
+			type: "LinearConverter",
+			scale: this._scale,
+			skew: this._skew
+		};
+	};
+};
+
+TimingObject.registerType("LinearConverter", function (timingsrc, state) {
+	return new LinearConverter(timingsrc, state.scale, state.skew);
+});
+
+export default LinearConverter;
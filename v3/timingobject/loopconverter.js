@@ -23,12 +23,26 @@
 	LOOP CONVERTER
 
 	This is a modulo type transformation where the converter will be looping within
-	a given range. Potentially one could create an associated timing object keeping track of the
-	loop number.
+	a given range.
+
+	The converter keeps track of the loop number, i.e. the number of range
+	lengths between range low and the position of the timingsrc. Loop 0 is the
+	loop where the position of the timingsrc is within the range.
+
+	- loop : current loop number
+	- event "loop" : {loop, direction} each time the loop number changes,
+	  direction is 1 if looping forwards, -1 if looping backwards
+
+	options
+	- mode: "loop" (default) or "pingpong"
+
+	In pingpong mode the converter reflects at range endpoints instead of
+	wrapping, i.e. it runs back and forth within the range. Odd loops are
+	mirrored, with position, velocity and acceleration reversed.
 */
 
 
-import {calculateVector} from '../util/motionutils.js';
+import {calculateVector, calculateDirection, encodeRange, decodeRange} from '../util/motionutils.js';
 import TimingObject from './timingobject.js';
 
 
@@ -37,10 +51,36 @@ function mod(n, m) {
 	return ((n % m) + m) % m;
 };
 
-function transform(x, range) {
+/*
+	wrap position into range
+	- returns [loop, position]
+	- moving backwards, range low is wrapped to range high
+	  of the previous loop
+*/
+function wrap(x, range, direction) {
 	let skew = range[0];
 	let length = range[1] - range[0];
-	return skew + mod(x-skew, length);
+	let loop = Math.floor((x-skew)/length);
+	let position = skew + mod(x-skew, length);
+	if (position == range[0] && direction < 0) {
+		return [loop - 1, range[1]];
+	}
+	return [loop, position];
+}
+
+/*
+	mirror vector within range
+	- subtracting from 0 avoids negative zero
+*/
+function mirror(vector, range) {
+	vector.position = range[0] + range[1] - vector.position;
+	vector.velocity = 0 - vector.velocity;
+	vector.acceleration = 0 - vector.acceleration;
+	return vector;
+}
+
+function isOdd(n) {
+	return mod(n, 2) == 1;
 }
 
 
@@ -50,15 +90,47 @@ function transform(x, range) {
 
 class LoopConverter extends TimingObject {
 
-	constructor(timingsrc, range) {
+	constructor(timingsrc, range, options={}) {
 		super(timingsrc, {timeout:true});
 
 		if (!Array.isArray(range) || range.length != 2) {
 			throw new Error(`range must be array [low, high], ${range}`);
 		}
+		let {mode="loop"} = options;
+		if (mode != "loop" && mode != "pingpong") {
+			throw new Error(`mode must be "loop" or "pingpong", ${mode}`);
+		}
 		this.__range = range;
+		this.__mode = mode;
+		// loop number - and loop number of last loop event
+		this.__loop;
+		this.__loop_event;
+		this.eventifyDefine("loop", {init:false});
 	};
 
+	get loop() {return this.__loop;};
+	get mode() {return this.__mode;};
+
+	/*
+		vector is mirrored in odd loops of pingpong mode
+	*/
+	__isMirrored() {
+		return this.__mode == "pingpong" && isOdd(this.__loop);
+	}
+
+	/*
+		transform vector from timingsrc coordinates to
+		looper coordinates, and set loop number
+	*/
+	__transform(vector) {
+		let direction = calculateDirection(vector);
+		[this.__loop, vector.position] = wrap(vector.position, this.__range, direction);
+		if (this.__isMirrored()) {
+			mirror(vector, this.__range);
+		}
+		return vector;
+	}
+
 	update(arg) {
 		// range change - only a local operation
 		if (arg.range != undefined) {
@@ -69,15 +141,17 @@ class LoopConverter extends TimingObject {
 			}
 			if (low != this.__range[0] || high != this.__range[1]) {
 				this.__range = [low, high];
-				let vector = this.__get_timingsrc().query();
-				vector.position = transform(vector.position, this.__range);
-				this.__vector = vector;
+				this.__old_vector = this.__vector;
+				this.__vector = this.__transform(this.__get_timingsrc().query());
 				// trigger vector change
 				let _arg = {range: this.__range, ...this.__vector, live:true};
 				this.__dispatchEvents(_arg, true, true);
+				this.onUpdateDone(_arg);
 			}
 			delete arg.range;
 		}
+		// mirrored vector - position diff, velocity and acceleration are reversed
+		let sign = (this.__isMirrored()) ? -1 : 1;
 		// vector change
 		if (arg.position != undefined) {
 			// inverse transformation of position, from looper
@@ -87,14 +161,30 @@ class LoopConverter extends TimingObject {
 			let now_vector = calculateVector(this.vector, now);
 			let diff = now_vector.position - arg.position;
 			let now_vector_src = calculateVector(this.__get_timingsrc().vector, now);
-			arg.position = now_vector_src.position - diff;
+			arg.position = now_vector_src.position - sign*diff;
+		}
+		if (arg.velocity != undefined) {
+			arg.velocity *= sign;
+		}
+		if (arg.acceleration != undefined) {
+			arg.acceleration *= sign;
 		}
 		return super.update(arg);
 	};
 
 	// overrides
 	onRangeViolation(now_vector) {
-		now_vector.position = transform(now_vector.position, this.__range);
+		// loop relative to current loop
+		if (this.__isMirrored()) {
+			mirror(now_vector, this.__range);
+		}
+		let direction = calculateDirection(now_vector);
+		let [loop, position] = wrap(now_vector.position, this.__range, direction);
+		this.__loop += loop;
+		now_vector.position = position;
+		if (this.__isMirrored()) {
+			mirror(now_vector, this.__range);
+		}
 		return now_vector;
 	};
 
@@ -107,7 +197,9 @@ class LoopConverter extends TimingObject {
         }
         if (arg.position != undefined) {
         	// vector change
-        	arg.position = transform(arg.position, this.__range);
+        	let {position, velocity, acceleration, timestamp} = arg;
+        	let vector = this.__transform({position, velocity, acceleration, timestamp});
+        	Object.assign(arg, vector);
 			/* 
 			vector change must also apply to timestamp
 			this is handlet in onRangeViolation 
@@ -116,6 +208,32 @@ class LoopConverter extends TimingObject {
 		return arg;
 	};
 
+	// overrides
+	onUpdateDone(arg) {
+		// loop event if loop number changed
+		if (this.__loop != this.__loop_event) {
+			if (this.__loop_event != undefined) {
+				let direction = (this.__loop > this.__loop_event) ? 1 : -1;
+				this.eventifyTrigger("loop", {loop: this.__loop, direction});
+			}
+			this.__loop_event = this.__loop;
+		}
+	};
+
+	// snapshot parameters
+	__snapshotParams() {
+		return {
+			type: "LoopConverter",
+			range: encodeRange(this.__range),
+			mode: this.__mode
+		};
+	};
+
 }
+
+TimingObject.registerType("LoopConverter", function (timingsrc, state) {
+	return new LoopConverter(timingsrc, decodeRange(state.range), {mode: state.mode});
+});
+
 export default LoopConverter;
 
@@ -25,7 +25,7 @@
 
 	MasterClock is the reference clock used by TimingObjects.
 
-	It is implemented using performance.now,
+	It is implemented using the local clock (performance.now - see localclock),
 	but is skewed and rate-adjusted relative to this local clock.
 
 	This allows it to be used as a master clock in a distributed system,
@@ -34,46 +34,50 @@
 	The master clock may need to be adjusted in time, for instance as a response to
 	varying estimation of clock skew or drift. The master clock supports an adjust primitive for this purpose.
 
-	What policy is used for adjusting the master clock may depend on the circumstances
-	and is out of scope for the implementation of the MasterClock.
-	This policy is implemented by the timing object. This policy may or may not
-	provide monotonicity.
+	What policy is used for adjusting the master clock may depend on the circumstances.
+	The master clock supports the following policies
+
+	- jump: the clock is set to the new value immediately (default)
+	- slew: the clock runs slightly faster or slower (slew_rate) until the adjustment
+	  is absorbed. Adjustments larger than slew_limit (seconds) are applied as jumps.
+	- monotonic: the clock never goes backwards. Forward adjustments are applied as jumps,
+	  backward adjustments are applied by slewing, regardless of slew_limit.
+
+	Policy is given as option to the constructor, and may be overridden
+	per adjustment, i.e. adjust({skew, policy}). Initial adjustment always jumps.
 
 	A change event is emitted every time the masterclock is adjusted.
 
 	Vector values define
 	- position : absolute value of the clock in seconds
 	- velocity : how many seconds added per second (1.0 exactly - or very close)
-	- timestamp : timstamp from local system clock (performance) in seconds. Defines point in time where position and velocity are valid.
+	- timestamp : timstamp from local clock (performance) in seconds. Defines point in time where position and velocity are valid.
 
 	If initial vector is not provided, default value is
 	{position: now, velocity: 1.0, timestamp: now};
 	implying that master clock is equal to local clock.
+
+	options
+	- skew, rate: initial adjustment
+	- policy: adjustment policy - default "jump"
+	- slew_rate: rate change during slew - default 0.1 (must be < rate for monotonic)
+	- slew_limit: max adjustment (seconds) absorbed by slew - default 1.0
 */
 
 import eventify from '../util/eventify.js';
+import localclock from '../util/localclock.js';
 
+export const ClockPolicy = Object.freeze({
+	JUMP: "jump",
+	SLEW: "slew",
+	MONOTONIC: "monotonic"
+});
 
-// Need a polyfill for performance,now as Safari on ios doesn't have it...
-(function(){
-    if ("performance" in window === false) {
-        window.performance = {};
-        window.performance.offset = new Date().getTime();
-    }
-    if ("now" in window.performance === false){
-      window.performance.now = function now(){
-        return new Date().getTime() - window.performance.offset;
-      };
-    }
-	})();
-
-// local clock in seconds
-const local_clock = {
-	now : function () {return performance.now()/1000.0;}
-};
+const DEFAULT_SLEW_RATE = 0.1;
+const DEFAULT_SLEW_LIMIT = 1.0;
 
 function calculateVector(vector, tsSec) {
-	if (tsSec === undefined) tsSec = local_clock.now();
+	if (tsSec === undefined) tsSec = localclock.now();
 	var deltaSec = tsSec - vector.timestamp;
 	return {
 		position : vector.position + vector.velocity*deltaSec,
@@ -85,44 +89,101 @@ function calculateVector(vector, tsSec) {
 class MasterClock {
 
 	constructor (options) {
-		var now = local_clock.now();
+		var now = localclock.now();
 		options = options || {};
+		this._policy = options.policy || ClockPolicy.JUMP;
+		this._slew_rate = (options.slew_rate !== undefined) ? options.slew_rate : DEFAULT_SLEW_RATE;
+		this._slew_limit = (options.slew_limit !== undefined) ? options.slew_limit : DEFAULT_SLEW_LIMIT;
 		this._vector  = {position: now, velocity: 1.0, timestamp: now};
+		/*
+			slew in progress
+			clock follows _vector until _slew_end, then _target
+		*/
+		this._target = undefined;
+		this._slew_end = undefined;
 		// event support
 		eventify.eventifyInstance(this);
 		this.eventifyDefine("change", {init:false}); // define change event (no init-event)
 		// adjust
-		this.adjust(options);
+		this.adjust({...options, policy: ClockPolicy.JUMP});
 	};
 
+	get policy() {return this._policy;};
+
 	/*
 		ADJUST
 		- could also accept timestamp for velocity if needed?
 		- given skew is relative to local clock
 		- given rate is relative to local clock
+		- optional policy overrides policy of clock
 	*/
 	adjust(options) {
 		options = options || {};
-		var now = local_clock.now();
+		var now = localclock.now();
 		var nowVector = this.query(now);
 		if (options.skew === undefined && options.rate === undefined) {
 			return;
 		}
-		this._vector = {
+		// rate is not affected by slew in progress
+		var rate = (this._target !== undefined) ? this._target.velocity : nowVector.velocity;
+		var target = {
 			position : (options.skew !== undefined) ? now + options.skew : nowVector.position,
-			velocity : (options.rate !== undefined) ? options.rate : nowVector.velocity,
+			velocity : (options.rate !== undefined) ? options.rate : rate,
 			timestamp : nowVector.timestamp
 		}
+		// clear slew in progress
+		this._target = undefined;
+		this._slew_end = undefined;
+		var delta = target.position - nowVector.position;
+		var policy = options.policy || this._policy;
+		var slew = false;
+		if (delta != 0.0 && this._slew_rate > 0.0) {
+			if (policy == ClockPolicy.SLEW) {
+				slew = Math.abs(delta) <= this._slew_limit;
+			} else if (policy == ClockPolicy.MONOTONIC) {
+				slew = delta < 0.0;
+			}
+		}
+		if (slew) {
+			/*
+				run at rate +/- slew_rate from current position,
+				until target is reached
+			*/
+			var slew_rate = (delta > 0.0) ? this._slew_rate : -this._slew_rate;
+			this._vector = {
+				position : nowVector.position,
+				velocity : target.velocity + slew_rate,
+				timestamp : nowVector.timestamp
+			};
+			this._target = target;
+			this._slew_end = now + Math.abs(delta)/this._slew_rate;
+		} else {
+			this._vector = target;
+		}
 		this.eventifyTrigger("change");
 	};
 
+	/*
+		current vector of the clock - with respect to slew
+	*/
+	_currentVector(now) {
+		if (this._slew_end !== undefined && now >= this._slew_end) {
+			// slew completed
+			this._vector = this._target;
+			this._target = undefined;
+			this._slew_end = undefined;
+		}
+		return this._vector;
+	};
+
 	/*
 		NOW
 		- calculates the value of the clock right now
 		- shorthand for query
 	*/
 	now() {
-		return calculateVector(this._vector, local_clock.now()).position;
+		var now = localclock.now();
+		return calculateVector(this._currentVector(now), now).position;
 	};
 
 	/*
@@ -131,7 +192,8 @@ class MasterClock {
 		- result vector includes position and velocity
 	*/
 	query(now) {
-		return calculateVector(this._vector, now);
+		if (now === undefined) now = localclock.now();
+		return calculateVector(this._currentVector(now), now);
 	};
 
 }
@@ -0,0 +1,218 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+import Timeout from '../util/timeout.js';
+import BinarySearch from '../util/binarysearch.js';
+import * as motionutils from '../util/motionutils.js';
+
+
+/*
+    direction filter - direction of motion when passing position
+*/
+export const Direction = Object.freeze({
+    FORWARD: "forward",
+    BACKWARD: "backward",
+    BOTH: "both"
+});
+
+function matchDirection(filter, direction) {
+    if (filter == Direction.FORWARD) {
+        return direction > 0;
+    } else if (filter == Direction.BACKWARD) {
+        return direction < 0;
+    }
+    return true;
+}
+
+
+/*
+
+    Multi position callback
+
+    - callbacks whenever the timing object passes registered positions,
+      i.e. lightweight cue points
+
+    - each position has its own callback, direction filter and repeat
+
+    - positions are passed by continuous motion, jumping over a position,
+      or starting to move away from a position, does not count as passing
+
+    - callback({id, position, direction}), direction is 1 if the position was
+      passed moving forwards, -1 if moving backwards
+
+    - a single timeout, to the nearest position in the direction
+      of motion, is renewed on every change of the timing object
+
+    add(position, callback, options) returns id, used by remove(id)
+
+    options : {
+        direction - "forward", "backward" or "both" - default "both"
+        repeat - true if callback fires on every pass, false if
+                 callback is removed after first pass - default true
+    }
+
+*/
+
+class MultiPositionCallback {
+
+    constructor (timingObject) {
+        this._to = timingObject;
+        // id -> {id, position, callback, direction, repeat}
+        this._cues = new Map();
+        this._id = 0;
+        // sorted unique positions
+        this._positions = new BinarySearch();
+        this._timeout = new Timeout(this._to, this._handleTimeout.bind(this));
+
+        // timing object change event
+        this._sub = this._to.on("change", this._onChange.bind(this));
+    }
+
+    get size() {return this._cues.size;};
+
+    add(position, callback, options={}) {
+        let {direction=Direction.BOTH, repeat=true} = options;
+        if (!Object.values(Direction).includes(direction)) {
+            throw new Error(`illegal direction ${direction}`);
+        }
+        if (typeof position != "number" || !isFinite(position)) {
+            throw new Error(`illegal position ${position}`);
+        }
+        let id = ++this._id;
+        this._cues.set(id, {id, position, callback, direction, repeat});
+        if (!this._positions.has(position)) {
+            this._positions.update([], [position]);
+        }
+        this._renew();
+        return id;
+    }
+
+    remove(id) {
+        let cue = this._cues.get(id);
+        if (cue == undefined) {
+            return false;
+        }
+        this._cues.delete(id);
+        this._removePosition(cue.position);
+        this._renew();
+        return true;
+    }
+
+    clear() {
+        this._cues.clear();
+        this._positions.clear();
+        this._timeout.clear();
+    }
+
+    /*
+        terminate - disconnect from timing object
+    */
+    close() {
+        this.clear();
+        this._to.off(this._sub);
+    }
+
+    _removePosition(position) {
+        for (let cue of this._cues.values()) {
+            if (cue.position == position) {
+                return;
+            }
+        }
+        this._positions.update([position], []);
+    }
+
+    _onChange() {
+        this._renew();
+    }
+
+    /*
+        renew timeout from vector
+        - default vector is current vector of timing object
+    */
+    _renew(vector) {
+        this._timeout.clear();
+        if (!this._to.isReady() || this._cues.size == 0) {
+            return;
+        }
+        vector = vector || this._to.query();
+        let res = this._calculateTimeout(vector);
+        if (res != undefined) {
+            this._timeout.setTimeout(res[0], res);
+        }
+    }
+
+    /*
+        nearest positions before and after, in direction of motion
+        - position at vector is excluded ahead, but included behind,
+          since motion may turn around and pass it later
+    */
+    _calculateTimeout(vector) {
+        let pos = vector.position;
+        let direction = motionutils.calculateDirection(vector);
+        let positions = this._positions;
+        let before_idx, after_idx;
+        if (direction < 0) {
+            before_idx = positions.ltIndexOf(pos);
+            after_idx = positions.geIndexOf(pos);
+        } else {
+            before_idx = positions.leIndexOf(pos);
+            after_idx = positions.gtIndexOf(pos);
+        }
+        let before = (before_idx > -1) ? positions.get(before_idx) : -Infinity;
+        let after = (after_idx > -1) ? positions.get(after_idx) : Infinity;
+        let [delta, target] = motionutils.calculateDelta(vector, [before, after]);
+        if (delta == undefined) {
+            return;
+        }
+        // check range violation
+        let [low, high] = this._to.range;
+        if (target < low || high < target) {
+            return;
+        }
+        return [vector.timestamp + delta, target];
+    }
+
+    _handleTimeout(now, arg) {
+        let [ts, pos] = arg;
+        // vector when passing position - exact position
+        let vector = motionutils.calculateVector(this._to.vector, ts);
+        vector.position = pos;
+        let direction = motionutils.calculateDirection(vector);
+        // fire callbacks
+        let cues = [...this._cues.values()].filter((cue) => {
+            return cue.position == pos && matchDirection(cue.direction, direction);
+        });
+        for (let cue of cues) {
+            if (!cue.repeat) {
+                this._cues.delete(cue.id);
+                this._removePosition(cue.position);
+            }
+        }
+        // renew from exact position, before callbacks may add or remove
+        this._renew(vector);
+        for (let cue of cues) {
+            cue.callback({id: cue.id, position: pos, direction});
+        }
+    }
+}
+
+
+export default MultiPositionCallback;
@@ -30,7 +30,7 @@
 */
 
 
-import {RangeState, correctRangeState, checkRange} from '../util/motionutils.js';
+import {RangeState, correctRangeState, checkRange, encodeRange, decodeRange} from '../util/motionutils.js';
 import TimingObject from './timingobject.js';
 
 
@@ -202,7 +202,16 @@ class RangeConverter extends TimingObject {
 		}
 		return vector;
 	};
+
+	// snapshot parameters
+	__snapshotParams() {
+		return {type: "RangeConverter", range: encodeRange(this.__range)};
+	};
 }
 
+TimingObject.registerType("RangeConverter", function (timingsrc, state) {
+	return new RangeConverter(timingsrc, decodeRange(state.range));
+});
+
 export default RangeConverter;
 
@@ -88,6 +88,16 @@ class ScaleConverter extends TimingObject {
             this.eventifyTrigger("scalechange", factor);
         }
     }
+
+    // snapshot parameters
+    __snapshotParams() {
+        return {type: "ScaleConverter", scale: this._factor};
+    };
 }
+
+TimingObject.registerType("ScaleConverter", function (timingsrc, state) {
+    return new ScaleConverter(timingsrc, state.scale);
+});
+
 export default ScaleConverter;
 
@@ -84,6 +84,15 @@ class SkewConverter extends TimingObject {
             this.eventifyTrigger("skewchange", skew);
         }
 	}
+
+	// snapshot parameters
+	__snapshotParams() {
+		return {type: "SkewConverter", skew: this._skew};
+	};
 };
 
+TimingObject.registerType("SkewConverter", function (timingsrc, state) {
+	return new SkewConverter(timingsrc, state.skew);
+});
+
 export default SkewConverter;
@@ -90,6 +90,15 @@ class TimeshiftConverter extends TimingObject {
         }
     }
 
+    // snapshot parameters
+    __snapshotParams() {
+        return {type: "TimeshiftConverter", offset: this._offset};
+    };
+
 }
 
+TimingObject.registerType("TimeshiftConverter", function (timingsrc, state) {
+    return new TimeshiftConverter(timingsrc, state.offset);
+});
+
 export default TimeshiftConverter;
@@ -0,0 +1,290 @@
+/*
+	Copyright 2020
+	Author : Ingar Mæhlum Arntzen
+
+	This file is part of the Timingsrc module.
+
+	Timingsrc is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Lesser General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Timingsrc is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Lesser General Public License for more details.
+
+	You should have received a copy of the GNU Lesser General Public License
+	along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+	TIMING GRAPH
+
+	Debug support for chains of timing objects, e.g.
+	SkewConverter -> ScaleConverter -> LoopConverter -> TimingObject -> provider
+
+	- inspect(to) : describe the timingsrc graph from given timing
+	  object to the provider
+	- graphToString(to) : same, as text
+	- TimingTrace : record timingsrc events of all timing objects in
+	  the graph
+
+	inspect returns a list of nodes, starting with the given timing
+	object (depth 0), ending with the provider.
+
+	timing object node
+	- {depth, type, params, ready, vector, range, position}
+	- params : converter parameters, as in snapshots (toJSON)
+	- position : position calculated from vector, now - not
+	  restricted by range, as inspection has no side effects
+
+	provider node
+	- {depth, type, provider:true, ready, vector, range, skew, readyState}
+	- type is "InternalProvider" for timing objects without external provider
+	- skew and readyState only for external providers
+*/
+
+import localclock from '../util/localclock.js';
+import {calculateVector} from '../util/motionutils.js';
+import TimingObject from './timingobject.js';
+import InternalProvider from './internalprovider.js';
+
+
+/*
+	list of timing objects from given timing object to root
+*/
+function chain(to) {
+	let list = [];
+	while (to instanceof TimingObject) {
+		list.push(to);
+		to = to.__get_timingsrc();
+	}
+	return list;
+}
+
+/*
+	type and parameters of timing object
+	- from snapshot parameters, without snapshot of timingsrc
+*/
+function describe(to) {
+	try {
+		let {type, ...params} = to.__snapshotParams();
+		return {type, params};
+	} catch (err) {
+		// not ready
+		return {type: to.constructor.name, params: {}};
+	}
+}
+
+function copyRange(range) {
+	return (range != undefined) ? [range[0], range[1]] : undefined;
+}
+
+function inspectTimingObject(to, depth) {
+	let ready = to.isReady();
+	return {
+		depth,
+		...describe(to),
+		ready,
+		vector: (ready) ? to.vector : undefined,
+		range: to.range,
+		position: (ready) ? calculateVector(to.vector, to.clock.now()).position : undefined
+	};
+}
+
+function inspectProvider(src, depth) {
+	if (src instanceof InternalProvider) {
+		return {
+			depth,
+			type: "InternalProvider",
+			provider: true,
+			ready: true,
+			vector: {...src.vector},
+			range: copyRange(src.range)
+		};
+	}
+	// external provider
+	let provider = src.provider;
+	let ready = src.isReady();
+	return {
+		depth,
+		type: provider.constructor.name,
+		provider: true,
+		ready,
+		vector: (ready) ? src.vector : undefined,
+		range: copyRange(src.range),
+		skew: provider.skew,
+		readyState: provider.readyState
+	};
+}
+
+
+/*
+	describe timingsrc graph from given timing object to provider
+*/
+export function inspect(to) {
+	let list = chain(to);
+	let nodes = list.map(inspectTimingObject);
+	let provider = list[list.length-1].__get_timingsrc();
+	if (provider != undefined) {
+		nodes.push(inspectProvider(provider, nodes.length));
+	}
+	return nodes;
+}
+
+
+function fmt(x) {
+	if (x == undefined) {
+		return "-";
+	}
+	return (Number.isInteger(x)) ? `${x}` : x.toFixed(3);
+}
+
+function vectorToString(vector) {
+	if (vector == undefined) {
+		return "-";
+	}
+	let {position:p, velocity:v, acceleration:a} = vector;
+	return `p:${fmt(p)} v:${fmt(v)} a:${fmt(a)}`;
+}
+
+function rangeToString(range) {
+	return (range == undefined) ? "-" : `[${range[0]},${range[1]}]`;
+}
+
+export function nodeToString(node) {
+	let params = Object.entries(node.params || {})
+		.map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+		.join(" ");
+	let parts = [`${node.depth}: ${node.type}`];
+	if (params.length > 0) {
+		parts.push(`(${params})`);
+	}
+	if (!node.ready) {
+		parts.push("not ready");
+	} else {
+		parts.push(vectorToString(node.vector));
+		parts.push(rangeToString(node.range));
+		if (node.position != undefined) {
+			parts.push(`pos:${fmt(node.position)}`);
+		}
+	}
+	if (node.skew != undefined) {
+		parts.push(`skew:${fmt(node.skew)}`);
+	}
+	if (node.readyState != undefined) {
+		parts.push(node.readyState);
+	}
+	return parts.join(" ");
+}
+
+/*
+	describe timingsrc graph as text, one line per node
+*/
+export function graphToString(to) {
+	return inspect(to).map(nodeToString).join("\n");
+}
+
+
+/*
+	TIMING TRACE
+
+	Records timingsrc events of all timing objects in the graph,
+	from given timing object to the root timing object.
+
+		let trace = new TimingTrace(to);
+		...
+		console.log(trace.toString());
+		trace.close();
+
+	entry
+	- {timestamp, depth, type, live, tunnel, range_change, vector_change, vector, range}
+	- timestamp : local clock (seconds)
+	- tunnel : id of update causing the event, if any
+	- vector : only for vector change
+	- range : only for range change
+
+	Events are recorded as they are processed, before they are
+	delivered to subscribers. The graph is captured when the trace
+	is created, later changes of timingsrc are not followed.
+
+	options
+	- size: max number of entries - default 1000
+*/
+
+const DEFAULT_SIZE = 1000;
+
+export class TimingTrace {
+
+	constructor(to, options={}) {
+		this._size = options.size || DEFAULT_SIZE;
+		this._entries = [];
+		this._nodes = chain(to);
+		this._types = this._nodes.map((node) => describe(node).type);
+		this._tracers = this._nodes.map((node, depth) => {
+			let tracer = this._onEvent.bind(this, depth);
+			node.__tracers.add(tracer);
+			return tracer;
+		});
+	}
+
+	get entries() {return [...this._entries];};
+
+	_onEvent(depth, to, arg, range_change, vector_change) {
+		let {
+			range, position, velocity, acceleration, timestamp,
+			live, tunnel
+		} = arg;
+		let entry = {
+			timestamp: localclock.now(),
+			depth,
+			type: this._types[depth],
+			live,
+			tunnel,
+			range_change,
+			vector_change
+		};
+		if (vector_change) {
+			entry.vector = {position, velocity, acceleration, timestamp};
+		}
+		if (range_change) {
+			entry.range = copyRange(range);
+		}
+		this._entries.push(entry);
+		if (this._entries.length > this._size) {
+			this._entries.shift();
+		}
+	}
+
+	clear() {
+		this._entries = [];
+	}
+
+	toString() {
+		return this._entries.map((e) => {
+			let parts = [`${fmt(e.timestamp)} ${e.depth}: ${e.type}`];
+			parts.push(`live:${e.live}`);
+			if (e.tunnel != undefined) {
+				parts.push(`tunnel:${e.tunnel}`);
+			}
+			if (e.vector_change) {
+				parts.push(vectorToString(e.vector));
+			}
+			if (e.range_change) {
+				parts.push(rangeToString(e.range));
+			}
+			return parts.join(" ");
+		}).join("\n");
+	}
+
+	close() {
+		this._nodes.forEach((node, i) => {
+			node.__tracers.delete(this._tracers[i]);
+		});
+		this._nodes = [];
+		this._types = [];
+		this._tracers = [];
+	}
+}
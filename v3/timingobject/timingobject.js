@@ -21,16 +21,48 @@
 
 import eventify from '../util/eventify.js';
 import Timeout from '../util/timeout.js';
+import {Ticker, AdaptiveTicker, sharedTicker} from '../util/ticker.js';
+import localclock from '../util/localclock.js';
 import * as motionutils from '../util/motionutils.js';
 import InternalProvider from './internalprovider.js';
 import ExternalProvider from './externalprovider.js';
 
 const MAX_NONCE = 10000;
 
+// default timeout for update promises (seconds)
+const UPDATE_TIMEOUT = 10;
+
+// default period for timeupdate events (ms)
+const TIMEUPDATE_PERIOD = 200;
+
+// motion events predicted by timeout
+const PREDICTED_MOTION_EVENTS = ["reverse", "velocitycross"];
+
 function getRandomInt() {
  	return Math.floor(Math.random() * MAX_NONCE);
 };
 
+/*
+	restore functions for snapshots - type -> function(timingsrc, state)
+	converters register their own types
+*/
+const restoreFunctions = new Map();
+
+/*
+	velocity thresholds - sorted copy of finite numbers
+*/
+function checkThresholds(thresholds) {
+	if (!Array.isArray(thresholds)) {
+		throw new Error(`illegal velocity thresholds ${thresholds}`);
+	}
+	for (let threshold of thresholds) {
+		if (typeof threshold != "number" || !isFinite(threshold)) {
+			throw new Error(`illegal velocity threshold ${threshold}`);
+		}
+	}
+	return [...thresholds].sort((a, b) => a - b);
+}
+
 function isTimingProvider(obj){
 	let required = ["on", "skew", "vector", "range", "update"];
 	for (let prop of required) {
@@ -107,6 +139,11 @@ class TimingObject {
 			options.timeout = true;
 		}
 
+		// default update timeout option
+		if (options.update_timeout == undefined) {
+			options.update_timeout = UPDATE_TIMEOUT;
+		}
+
 		// cached vectors and range
 		this.__old_vector;
 		this.__vector;
@@ -115,25 +152,49 @@ class TimingObject {
 		// range restriction timeout
 		this.__timeout = new Timeout(this, this.__handleTimeout.bind(this));
 
-		// timeoutid for timeupdate event
-		this.__tid = undefined;
+		// motion events - predicted velocity crossings by timeout
+		this.__velocity_thresholds = checkThresholds(options.velocity_thresholds || []);
+		this.__motion_timeout = new Timeout(this, this.__handleMotionTimeout.bind(this));
+
+		// ticker for timeupdate event - subscribed while moving,
+		// and timeupdate has subscribers
+		this.__ticker;
+		this.__ticking = false;
+		this.__onTick = () => this.eventifyTrigger("timeupdate");
+		if (options.timeupdate == undefined) {
+			options.timeupdate = TIMEUPDATE_PERIOD;
+		}
+		this.__set_timeupdate(options.timeupdate);
 
 		// timingsrc
 		this.__timingsrc;
 		this.__sub;
 
-		// update promises
+		// pending update promises - tunnel -> {resolve, reject, tid}
 		this.__update_events = new Map();
 
+		// ongoing transition - {vectors, resolve, reject}
+		this.__transition;
+		this.__transition_timeout = new Timeout(this, this.__onTransitionTimeout.bind(this));
+		// true while transition is applying a step
+		this.__transition_step = false;
+
 		// readiness
 		this.__ready = new eventify.EventBoolean();
 
+		// debug tracers - see timinggraph.js
+		this.__tracers = new Set();
+
 		// exported events
 		eventify.eventifyInstance(this);
 		this.eventifyDefine("timingsrc", {init:true});
 		this.eventifyDefine("change", {init:true});
 		this.eventifyDefine("rangechange", {init:true});
 		this.eventifyDefine("timeupdate", {init:true});
+		this.eventifyDefine("start", {init:false});
+		this.eventifyDefine("stop", {init:false});
+		this.eventifyDefine("reverse", {init:false});
+		this.eventifyDefine("velocitycross", {init:false});
 
 		// initialise timingsrc
 		this.__set_timingsrc(timingsrc, options);
@@ -171,6 +232,26 @@ class TimingObject {
 	};
 
 
+	/*
+		timeupdate ticker and motion timeout are only
+		active while there are subscribers
+	*/
+	eventifySubscriptionChange(name) {
+		if (!this.__ready.value) {
+			return;
+		}
+		if (name == "timeupdate") {
+			this.__renew_timeupdate();
+		} else if (PREDICTED_MOTION_EVENTS.includes(name)) {
+			this.__renewMotionTimeout();
+		}
+	};
+
+	__hasSubscribers(name) {
+		return this.eventifySubscriptions(name).length > 0;
+	};
+
+
 	/***************************************************************
 
 		ACCESSORS
@@ -261,7 +342,20 @@ class TimingObject {
 		}
 	};
 
-	// external update
+	/*
+		external update
+
+		returns promise
+		- resolved with the state produced by this update,
+		  when it takes effect on this timing object
+		- resolved with the current state {range, vector, live},
+		  if the update is dropped (e.g. by a converter), or does
+		  not take effect within update_timeout (e.g. a provider
+		  not echoing an update without effect)
+		- rejected on provider error only
+
+		fire-and-forget callers should catch provider errors
+	*/
 	update(arg) {
 		// check if noop
 		let ok = (arg.range != undefined);
@@ -271,17 +365,59 @@ class TimingObject {
 		if (!ok) {
 			return Promise.resolve(arg);
 		}
-		arg.tunnel = getRandomInt();
+		// external update cancels ongoing transition
+		if (!this.__transition_step) {
+			this.__cancelTransition();
+		}
+		// tunnel - unique among pending updates
+		let tunnel = getRandomInt();
+		while (this.__update_events.has(tunnel)) {
+			tunnel = getRandomInt();
+		}
+		arg.tunnel = tunnel;
 		if (arg.timestamp == undefined) {
 			arg.timestamp = this.clock.now();
 		}
-		let event = new eventify.EventVariable();
-		this.__update_events.set(arg.tunnel, event);
-		let promise = eventify.makePromise(event, val => (val != undefined));
-		this.__update(arg);
+		let promise = new Promise((resolve, reject) => {
+			let tid = localclock.setTimeout(() => {
+				this.__settleUpdate(tunnel);
+			}, this.__options.update_timeout*1000);
+			this.__update_events.set(tunnel, {resolve, reject, tid});
+		});
+		try {
+			let res = this.__update(arg);
+			if (res instanceof Promise) {
+				res.catch((err) => this.__rejectUpdate(tunnel, err));
+			}
+		} catch (err) {
+			this.__rejectUpdate(tunnel, err);
+		}
 		return promise;
 	}
 
+	__resolveUpdate(tunnel, arg) {
+		let handle = this.__update_events.get(tunnel);
+		if (handle) {
+			this.__update_events.delete(tunnel);
+			localclock.clearTimeout(handle.tid);
+			handle.resolve(arg);
+		}
+	}
+
+	// update without effect - resolve with current state
+	__settleUpdate(tunnel) {
+		this.__resolveUpdate(tunnel, {range: this.range, ...this.vector, live: true});
+	}
+
+	__rejectUpdate(tunnel, err) {
+		let handle = this.__update_events.get(tunnel);
+		if (handle) {
+			this.__update_events.delete(tunnel);
+			localclock.clearTimeout(handle.tid);
+			handle.reject(err);
+		}
+	}
+
 
 	/***************************************************************
 
@@ -318,6 +454,10 @@ class TimingObject {
 		if (_arg != undefined) {
 			return this.__process(_arg);
 		}
+		// dropped - release update promise
+		if (rest.tunnel != undefined) {
+			this.__settleUpdate(rest.tunnel);
+		}
 	};
 
 	/*
@@ -421,21 +561,14 @@ class TimingObject {
 		if (this.__options.timeout) {
 			this.__renewTimeout();
 		}
-		// release update promises
+		// release update promise
 		if (_arg.tunnel != undefined) {
-			let event = this.__update_events.get(_arg.tunnel);
-			if (event) {
-				this.__update_events.delete(_arg.tunnel);
+			let tunnel = _arg.tunnel;
+			if (this.__update_events.has(tunnel)) {
 				delete _arg.tunnel;
-				event.value = _arg;
+				this.__resolveUpdate(tunnel, _arg);
 			}
 		}
-		// TODO
-		// since externalprovider does not support tunnel yet
-		// free all remaining promises
-		for (let event of this.__update_events.values()) {
-			event.value = {};
-		}
 		this.onUpdateDone(_arg);
 		return _arg;
 	};
@@ -453,6 +586,10 @@ class TimingObject {
 			acceleration,
 			timestamp
 		} = arg;
+		// debug trace - synchronous, before update promise is released
+		for (let tracer of this.__tracers) {
+			tracer(this, arg, range_change, vector_change);
+		}
 		// trigger timingsrc events
 		this.eventifyTrigger("timingsrc", arg);
 		// trigger public change events
@@ -463,21 +600,195 @@ class TimingObject {
 		if (range_change) {
 			this.eventifyTrigger("rangechange", range);
 		}
+		// trigger motion events
+		if (vector_change) {
+			this.__dispatchMotionEvents();
+			this.__renewMotionTimeout();
+		}
 		// trigger timeupdate events
-		this.eventifyTrigger("timeupdate");
-		let moving = motionutils.isMoving(this.__vector);
-		if (moving && this.__tid === undefined) {
-			let self = this;
-			this.__tid = setInterval(function () {
-				self.eventifyTrigger("timeupdate");
-			}, 200);
-		} else if (!moving && this.__tid !== undefined) {
-			clearTimeout(this.__tid);
-			this.__tid = undefined;
+		if (this.__hasSubscribers("timeupdate")) {
+			this.eventifyTrigger("timeupdate");
+		}
+		this.__renew_timeupdate();
+	};
+
+
+	/***************************************************************
+
+		TIMEUPDATE
+
+	***************************************************************/
+
+	/*
+		periodic timeupdate events while moving
+
+		timeupdate option
+		- false : no periodic timeupdate events
+		- number : period in ms, using a ticker shared with all
+		  timing objects with the same period
+		- Ticker : given ticker, e.g. driven by animation frames
+		- {resolution, min_period, max_period} : adaptive, velocity sensitive
+		  period, timeupdate each time position changes by resolution
+
+		default is 200 ms. The ticker is only used while the
+		timing object is moving, and timeupdate has subscribers.
+	*/
+	get timeupdate() {return this.__options.timeupdate;};
+
+	set timeupdate(timeupdate) {
+		this.__set_timeupdate(timeupdate);
+		this.__options.timeupdate = timeupdate;
+		if (this.__ready.value) {
+			this.__renew_timeupdate();
+		}
+	};
+
+	__set_timeupdate(timeupdate) {
+		let ticker;
+		if (timeupdate instanceof Ticker || timeupdate instanceof AdaptiveTicker) {
+			ticker = timeupdate;
+		} else if (typeof timeupdate == "number" && timeupdate > 0) {
+			ticker = sharedTicker(timeupdate);
+		} else if (typeof timeupdate == "object" && timeupdate != null) {
+			ticker = new AdaptiveTicker(this, timeupdate);
+		} else if (timeupdate !== false && timeupdate !== 0) {
+			throw new Error(`illegal timeupdate option ${timeupdate}`);
+		}
+		// unsubscribe from previous ticker
+		if (this.__ticking) {
+			this.__ticker.remove(this.__onTick);
+			this.__ticking = false;
+		}
+		this.__ticker = ticker;
+	};
+
+	/*
+		subscribe to ticker while moving, and timeupdate
+		has subscribers
+	*/
+	__renew_timeupdate() {
+		let active = motionutils.isMoving(this.__vector) && this.__hasSubscribers("timeupdate");
+		if (active && !this.__ticking && this.__ticker != undefined) {
+			this.__ticker.add(this.__onTick);
+			this.__ticking = true;
+		} else if (!active && this.__ticking) {
+			this.__ticker.remove(this.__onTick);
+			this.__ticking = false;
 		}
 	};
 
 
+	/***************************************************************
+
+		MOTION EVENTS
+
+	***************************************************************/
+
+	/*
+		events for qualitative changes in motion
+
+		- start {vector, direction} : motion starts
+		- stop {vector} : motion stops
+		- reverse {vector, direction} : direction of motion reverses
+		- velocitycross {vector, threshold, direction} : velocity
+		  crosses threshold, direction 1 if velocity increases, -1
+		  if velocity decreases
+
+		events are detected on vector change, or predicted for
+		accelerating motion and triggered by timeout when velocity
+		reaches zero or a threshold. vector is the motion at the
+		time of the event.
+
+		velocity_thresholds option - list of velocities, default []
+		thresholds are signed - give [-v, v] for speed v
+
+		predictions (timeout) are only made while reverse or
+		velocitycross have subscribers
+	*/
+	get velocity_thresholds() {return [...this.__velocity_thresholds];};
+
+	set velocity_thresholds(thresholds) {
+		this.__velocity_thresholds = checkThresholds(thresholds);
+		if (this.__ready.value) {
+			this.__renewMotionTimeout();
+		}
+	};
+
+	/*
+		detect motion events from vector change
+	*/
+	__dispatchMotionEvents() {
+		if (this.__old_vector == undefined) {
+			return;
+		}
+		let vector = this.vector;
+		let old_vector = motionutils.calculateVector(this.__old_vector, vector.timestamp);
+		// start and stop
+		let was_moving = motionutils.isMoving(old_vector);
+		let is_moving = motionutils.isMoving(vector);
+		let direction = motionutils.calculateDirection(vector);
+		if (!was_moving && is_moving) {
+			this.eventifyTrigger("start", {vector, direction});
+		} else if (was_moving && !is_moving) {
+			this.eventifyTrigger("stop", {vector});
+		}
+		// reverse
+		let old_direction = motionutils.calculateDirection(old_vector);
+		if (old_direction * direction < 0) {
+			this.eventifyTrigger("reverse", {vector, direction});
+		}
+		// velocity thresholds - in order of crossing
+		let v0 = old_vector.velocity;
+		let v1 = vector.velocity;
+		let thresholds = [...this.__velocity_thresholds];
+		if (v1 < v0) {
+			thresholds.reverse();
+		}
+		for (let threshold of thresholds) {
+			if (v0 < threshold && threshold <= v1) {
+				this.eventifyTrigger("velocitycross", {vector, threshold, direction:1});
+			} else if (v0 > threshold && threshold >= v1) {
+				this.eventifyTrigger("velocitycross", {vector, threshold, direction:-1});
+			}
+		}
+	};
+
+	/*
+		predict next velocity crossing - zero or threshold
+		- optional vector - default is own vector, now
+	*/
+	__renewMotionTimeout(vector) {
+		this.__motion_timeout.clear();
+		if (!PREDICTED_MOTION_EVENTS.some((name) => this.__hasSubscribers(name))) {
+			return;
+		}
+		if (vector == undefined) {
+			vector = motionutils.calculateVector(this.__vector, this.clock.now());
+		}
+		let velocities = [0, ...this.__velocity_thresholds];
+		let [delta, velocity] = motionutils.calculateVelocityDelta(vector, velocities);
+		if (delta == undefined) {
+			return;
+		}
+		let timeout_vector = motionutils.calculateVector(vector, vector.timestamp + delta);
+		// avoid rounding errors
+		timeout_vector.velocity = velocity;
+		this.__motion_timeout.setTimeout(timeout_vector.timestamp, timeout_vector);
+	};
+
+	__handleMotionTimeout(now, vector) {
+		let direction = Math.sign(vector.acceleration);
+		if (vector.velocity == 0) {
+			this.eventifyTrigger("reverse", {vector: {...vector}, direction});
+		}
+		if (this.__velocity_thresholds.includes(vector.velocity)) {
+			let threshold = vector.velocity;
+			this.eventifyTrigger("velocitycross", {vector: {...vector}, threshold, direction});
+		}
+		this.__renewMotionTimeout(vector);
+	};
+
+
 	/***************************************************************
 
 		SUBCLASS MAY OVERRIDE
@@ -502,6 +813,173 @@ class TimingObject {
 	onUpdateDone(arg) {};
 
 
+	/***************************************************************
+
+		TRANSITION
+
+	***************************************************************/
+
+	/*
+		smooth transition towards target position or velocity
+
+		- target: {velocity} or {position, velocity}
+		- options: {duration, curve, steps}, see motionutils.calculateTransition
+
+		the transition is a sequence of updates with piecewise constant
+		acceleration, applied by timeout
+
+		the transition is cancelled by update() or a new transition
+
+		returns promise
+		- resolved with true when the transition is complete,
+		  or false if it is cancelled
+		- rejected if any of the updates fails
+	*/
+	transition(target, options) {
+		if (this.__ready.value == false)  {
+			throw new Error("transition before timing object is ready");
+		}
+		let vectors = motionutils.calculateTransition(this.query(), target, options);
+		this.__cancelTransition();
+		return new Promise((resolve, reject) => {
+			this.__transition = {vectors, resolve, reject};
+			this.__transitionStep();
+		});
+	};
+
+	/*
+		apply next step of transition, and set timeout for the following
+	*/
+	__transitionStep() {
+		let transition = this.__transition;
+		let vector = transition.vectors.shift();
+		let done = (transition.vectors.length == 0);
+		if (done) {
+			this.__transition = undefined;
+		} else {
+			let next = transition.vectors[0];
+			this.__transition_timeout.setTimeout(next.timestamp);
+		}
+		let promise;
+		this.__transition_step = true;
+		try {
+			promise = this.update(vector);
+		} catch (err) {
+			promise = Promise.reject(err);
+		} finally {
+			this.__transition_step = false;
+		}
+		promise.then(() => {
+			if (done) {
+				transition.resolve(true);
+			}
+		}, (err) => {
+			if (this.__transition == transition) {
+				this.__transition_timeout.clear();
+				this.__transition = undefined;
+			}
+			transition.reject(err);
+		});
+	};
+
+	__onTransitionTimeout() {
+		if (this.__transition != undefined) {
+			this.__transitionStep();
+		}
+	};
+
+	__cancelTransition() {
+		if (this.__transition != undefined) {
+			this.__transition_timeout.clear();
+			this.__transition.resolve(false);
+			this.__transition = undefined;
+		}
+	};
+
+
+	/***************************************************************
+
+		SNAPSHOT
+
+	***************************************************************/
+
+	/*
+		snapshot of timing object state - used by JSON.stringify
+
+		- timing object with a provider as timingsrc records
+		  vector and range
+		- timing object with a timing object as timingsrc
+		  records the snapshot of the timingsrc
+		- converters extend the snapshot with type and parameters,
+		  see __snapshotParams()
+		- vector timestamp is from the epoch clock (seconds), so that
+		  snapshots are portable across page reloads and processes
+	*/
+	toJSON() {
+		let timingsrc = this.__get_timingsrc();
+		if (timingsrc instanceof TimingObject) {
+			return {...this.__snapshotParams(), timingsrc: timingsrc.toJSON()};
+		}
+		if (!this.isReady()) {
+			throw new Error("snapshot before timing object is ready");
+		}
+		// timestamp - from own clock to epoch clock
+		let vector = this.vector;
+		vector.timestamp += localclock.epoch() - this.clock.now();
+		return {
+			type: "TimingObject",
+			vector: vector,
+			range: motionutils.encodeRange(this.__range)
+		};
+	}
+
+	/*
+		type and parameters of timing object, for snapshots
+		- excluding timingsrc
+		- overridden by converters
+	*/
+	__snapshotParams() {
+		return {type: "TimingObject"};
+	}
+
+	/*
+		restore timing object from snapshot
+		- state: snapshot or JSON string
+		- converter chains are restored recursively
+		- options.provider: timing provider for the root timing object,
+		  recorded vector and range are then ignored
+	*/
+	static restore(state, options={}) {
+		if (typeof state == "string") {
+			state = JSON.parse(state);
+		}
+		if (state.timingsrc != undefined) {
+			let restore = restoreFunctions.get(state.type);
+			if (restore == undefined) {
+				throw new Error(`restore: unknown timing object type ${state.type}`);
+			}
+			let timingsrc = TimingObject.restore(state.timingsrc, options);
+			return restore(timingsrc, state);
+		}
+		if (options.provider != undefined) {
+			return new TimingObject({provider: options.provider});
+		}
+		// timestamp - from epoch clock to local clock
+		let {position, velocity, acceleration, timestamp} = state.vector;
+		timestamp += localclock.now() - localclock.epoch();
+		let range = motionutils.decodeRange(state.range);
+		return new TimingObject({position, velocity, acceleration, timestamp, range});
+	}
+
+	/*
+		register restore function for type of timing object
+		- restore(timingsrc, state) returns timing object
+	*/
+	static registerType(type, restore) {
+		restoreFunctions.set(type, restore);
+	}
+
+
 	/***************************************************************
 
 		TIMEOUTS
@@ -633,6 +1111,10 @@ class TimingObject {
 
 eventify.eventifyPrototype(TimingObject.prototype);
 
+TimingObject.registerType("TimingObject", function (timingsrc) {
+	return new TimingObject(timingsrc);
+});
+
 export default TimingObject;
 
 
@@ -29,6 +29,29 @@
  *      - frequency (sample frequency) in hz
  *      if both given - period takes precedence
  *      if none given - default period = 200 ms 
+ *      - animationframe (boolean) - sample on animation frames,
+ *        falls back to period 16 ms where requestAnimationFrame
+ *        is not available (e.g. node, workers)
+ *      - framesource - object with requestAnimationFrame and
+ *        cancelAnimationFrame, e.g. window (implies animationframe)
+ *
+ * - events
+ *      - change : position
+ *      - sample : {position, vector, timestamp, presentation}
+ *
+ * Both events are emitted for every sample. Change events keep
+ * their original argument, the current position as a number,
+ * since existing handlers (e.g. TimingProgress) rely on it. An
+ * object argument would break these handlers, so the sample is
+ * given by a separate event instead.
+ *
+ * Sample events carry the vector of the timing object, calculated
+ * for the predicted presentation time of the sample.
+ * With animation frames, timestamp is the frame timestamp and
+ * presentation is the predicted time when the frame is displayed,
+ * i.e. the frame timestamp plus the (estimated) frame period.
+ * Otherwise presentation is the time of sampling.
+ * Timestamps are in ms, from the local clock (same as performance.now).
  * 
  *  TODO
         - set refresh frequency to be sensitive
@@ -42,8 +65,14 @@
  */
 
 import eventify from '../util/eventify.js';
+import localclock from '../util/localclock.js';
+import {calculateVector, checkRange} from '../util/motionutils.js';
 
 const DEFAULT_PERIOD = 200;
+// initial estimate of frame period (ms)
+const FRAME_PERIOD = 1000.0/60;
+// period without animation frames (ms) - same as Ticker
+const ANIMATIONFRAME_PERIOD = 16;
 
 class TimingSampler {
 
@@ -52,17 +81,35 @@ class TimingSampler {
         // timeout id
         this._tid;
         // period
-        let {period, frequency} = options;
+        let {period, frequency, animationframe=false, framesource} = options;
         this._period = DEFAULT_PERIOD;
         if (period != undefined) {
             this._period = period;
         } else if (frequency != undefined) {
-            this._period = 1.0/frequency;
-        }        
+            // frequency in hz - period in ms
+            this._period = 1000.0/frequency;
+        }
+        // animation frames
+        if (animationframe && framesource == undefined) {
+            if (typeof globalThis.requestAnimationFrame == "function") {
+                framesource = globalThis;
+            } else {
+                // fallback
+                this._period = ANIMATIONFRAME_PERIOD;
+            }
+        }
+        if (framesource != undefined && typeof framesource.requestAnimationFrame != "function") {
+            throw new Error("requestAnimationFrame not available");
+        }
+        this._framesource = framesource;
+        // frame period estimate and last frame timestamp
+        this._frame_period = FRAME_PERIOD;
+        this._frame_ts;
         // Events
         eventify.eventifyInstance(this);
 
         this.eventifyDefine("change", {init:true});
+        this.eventifyDefine("sample", {init:true});
         // Handle timing object change event
         this._sub = this._to.on("change", this._onChange.bind(this));
     }
@@ -73,6 +120,8 @@ class TimingSampler {
     eventifyInitEventArgs(name) {
         if (name == "change" && this._to.isReady()) {
             return [this._to.pos];
+        } else if (name == "sample" && this._to.isReady()) {
+            return [this._sample()];
         }
     }
 
@@ -84,23 +133,65 @@ class TimingSampler {
         let moving = (v.velocity != 0.0 || v.acceleration != 0.0);
         // start or stop sampling
         if (moving && this._tid == undefined) {
-            this._tid = setInterval(function(){
+            this._start();
+        }
+        if (!moving && this._tid != undefined) {
+            this._stop();
+        }
+        this._onSample();
+    }
+
+    _start() {
+        if (this._framesource) {
+            this._frame_ts = undefined;
+            this._tid = this._framesource.requestAnimationFrame(this._onFrame.bind(this));
+        } else {
+            this._tid = localclock.setInterval(function(){
                 this._onSample();
             }.bind(this), this._period);
         }
-        if (!moving && this._tid != undefined) {
-            clearTimeout(this._tid);
-            this._tid = undefined;
+    }
+
+    _stop() {
+        if (this._framesource) {
+            this._framesource.cancelAnimationFrame(this._tid);
+        } else {
+            localclock.clearInterval(this._tid);
         }
-        this._onSample(v.position);
+        this._tid = undefined;
+    }
+
+    /**
+     * Animation frame
+     */
+    _onFrame(frame_ts) {
+        this._tid = this._framesource.requestAnimationFrame(this._onFrame.bind(this));
+        // estimate frame period
+        if (this._frame_ts != undefined && frame_ts > this._frame_ts) {
+            this._frame_period = frame_ts - this._frame_ts;
+        }
+        this._frame_ts = frame_ts;
+        this._onSample(frame_ts, frame_ts + this._frame_period);
     }
 
     /**
      * Sample timing object
+     * - timestamp and presentation in ms - default now
      */
-    _onSample(position) {
-        position = (position != undefined) ? position : this._to.pos;
-        this.eventifyTrigger("change", position);
+    _sample(timestamp, presentation) {
+        let now = localclock.now()*1000.0;
+        timestamp = (timestamp != undefined) ? timestamp : now;
+        presentation = (presentation != undefined) ? presentation : timestamp;
+        // vector at presentation time - from local clock to timing object clock
+        let ts = this._to.clock.now() + (presentation - now)/1000.0;
+        let vector = checkRange(calculateVector(this._to.query(), ts), this._to.range);
+        return {position: vector.position, vector, timestamp, presentation};
+    }
+
+    _onSample(timestamp, presentation) {
+        let sample = this._sample(timestamp, presentation);
+        this.eventifyTrigger("change", this._to.pos);
+        this.eventifyTrigger("sample", sample);
     }
    
     /**
@@ -108,9 +199,8 @@ class TimingSampler {
      */
     clear() {
         // stop sampling
-        if (this._tid) {
-            clearTimeout(this._tid);
-            this._tid = undefined;
+        if (this._tid != undefined) {
+            this._stop();
         }
         // disconnect handler
         this._to.off(this._sub);
@@ -119,4 +209,4 @@ class TimingSampler {
 
 eventify.eventifyPrototype(TimingSampler.prototype);
 
-export default TimingSampler;
\ No newline at end of file
+export default TimingSampler;
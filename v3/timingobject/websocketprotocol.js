@@ -0,0 +1,78 @@
+/*
+	Copyright 2020
+	Author : Ingar Mæhlum Arntzen
+
+	This file is part of the Timingsrc module.
+
+	Timingsrc is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Lesser General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Timingsrc is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Lesser General Public License for more details.
+
+	You should have received a copy of the GNU Lesser General Public License
+	along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+	WEBSOCKET PROTOCOL
+
+	Messages exchanged between WebSocketProvider and TimingServer.
+	All messages are JSON objects with a type property.
+
+	client -> server
+	- {type:"ping", t0}
+	- {type:"update", id, vector, range}
+
+	server -> client
+	- {type:"pong", t0, t1, t2}
+	- {type:"state", vector, range, id}
+	- {type:"error", id, message}
+
+	Timestamps t0 (client send) and t3 (client receive) are from
+	the client clock, t1 (server receive) and t2 (server send) are
+	from the server clock. All timestamps are in seconds.
+
+	Vector timestamps are always from the server clock.
+
+	Range is optional in update messages.
+
+	Update id is chosen by the client. The server echoes the id in the
+	resulting state message (or error message), only to the client
+	that issued the update.
+*/
+
+import {encodeRange, decodeRange} from '../util/motionutils.js';
+
+export const MsgType = Object.freeze({
+	PING: "ping",
+	PONG: "pong",
+	STATE: "state",
+	UPDATE: "update",
+	ERROR: "error"
+});
+
+
+// range encoding - infinite range endpoints are encoded as null
+export {encodeRange, decodeRange};
+
+
+export function encode(msg) {
+	if (msg.range != undefined) {
+		msg = {...msg, range: encodeRange(msg.range)};
+	}
+	return JSON.stringify(msg);
+}
+
+export function decode(data) {
+	let msg = JSON.parse(data);
+	if (msg.range != undefined) {
+		msg.range = decodeRange(msg.range);
+	}
+	return msg;
+}
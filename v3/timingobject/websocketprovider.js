@@ -0,0 +1,335 @@
+/*
+	Copyright 2020
+	Author : Ingar Mæhlum Arntzen
+
+	This file is part of the Timingsrc module.
+
+	Timingsrc is free software: you can redistribute it and/or modify
+	it under the terms of the GNU Lesser General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	Timingsrc is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU Lesser General Public License for more details.
+
+	You should have received a copy of the GNU Lesser General Public License
+	along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+	WEBSOCKET PROVIDER
+
+	Timing provider connecting to a TimingServer over WebSocket.
+	Implements the PROVIDER API, and is used as timingsrc by giving
+	it to a timing object.
+
+		let provider = new WebSocketProvider("ws://localhost:8080");
+		let to = new TimingObject({provider});
+
+	Timing objects using providers connected to the same server
+	share the same motion.
+
+	Skew is estimated using NTP-style ping/pong exchanges.
+	The skew estimate is the offset of the sample with the smallest
+	round-trip time, among the most recent samples.
+
+	options
+	- interval: time between pings in ms - default 1000
+	- samples: number of samples used for skew estimate - default 10
+	- WebSocket: WebSocket constructor - default is global WebSocket
+
+	events (no init events)
+	- vectorchange
+	- rangechange
+	- skewchange
+	- readystatechange
+
+	Events are delivered asynchronously, so vectorchange and rangechange
+	give the new vector and range as event arguments {vector, range}.
+	Events resulting from an update also echo the tunnel id of the update
+	as event argument {tunnel}. If the update changes both vector and range,
+	the tunnel id is given with vectorchange, followed by rangechange
+	without it.
+*/
+
+import eventify from '../util/eventify.js';
+import localclock from '../util/localclock.js';
+import {equalVectors} from '../util/motionutils.js';
+import {MsgType, encode, decode} from './websocketprotocol.js';
+
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_SAMPLES = 10;
+
+export const ProviderState = Object.freeze({
+	CONNECTING: "connecting",
+	OPEN: "open",
+	CLOSING: "closing",
+	CLOSED: "closed"
+});
+
+
+class WebSocketProvider {
+
+	constructor(url, options={}) {
+		let {
+			interval=DEFAULT_INTERVAL,
+			samples=DEFAULT_SAMPLES,
+			WebSocket=globalThis.WebSocket
+		} = options;
+		if (WebSocket == undefined) {
+			throw new Error("no WebSocket implementation available");
+		}
+		this._url = url;
+		this._interval = interval;
+		this._max_samples = samples;
+
+		// provider state
+		this._readyState = ProviderState.CONNECTING;
+		this._skew;
+		this._vector;
+		this._range = [-Infinity, Infinity];
+
+		// skew samples [{offset, rtt}]
+		this._samples = [];
+		// ping interval id
+		this._pid;
+		// pending updates - id -> {tunnel, resolve, reject}
+		this._update_id = 0;
+		this._pending = new Map();
+
+		// events
+		eventify.eventifyInstance(this);
+		this.eventifyDefine("vectorchange", {init:false});
+		this.eventifyDefine("rangechange", {init:false});
+		this.eventifyDefine("skewchange", {init:false});
+		this.eventifyDefine("readystatechange", {init:false});
+
+		// connect
+		this._ws = new WebSocket(url);
+		this._ws.onopen = this._onOpen.bind(this);
+		this._ws.onmessage = this._onMessage.bind(this);
+		this._ws.onclose = this._onClose.bind(this);
+	}
+
+	/***************************************************************
+		ACCESSORS
+	***************************************************************/
+
+	get url() {return this._url;};
+	get tunnelSupport() {return true;};
+	get readyState() {return this._readyState;};
+	get skew() {return this._skew;};
+	get vector() {return this._vector;};
+	get range() {
+		// copy
+		return [this._range[0], this._range[1]];
+	};
+
+	/***************************************************************
+		WEBSOCKET
+	***************************************************************/
+
+	_onOpen() {
+		// first ping immediately
+		this._ping();
+		this._pid = localclock.setInterval(this._ping.bind(this), this._interval);
+	}
+
+	_onMessage(e) {
+		let msg = decode(e.data);
+		if (msg.type == MsgType.PONG) {
+			this._onPong(msg);
+		} else if (msg.type == MsgType.STATE) {
+			this._onState(msg);
+		} else if (msg.type == MsgType.ERROR) {
+			this._onError(msg);
+		}
+	}
+
+	_onClose() {
+		if (this._pid != undefined) {
+			localclock.clearInterval(this._pid);
+			this._pid = undefined;
+		}
+		// reject pending updates
+		for (let handle of this._pending.values()) {
+			handle.reject(new Error("timing provider closed"));
+		}
+		this._pending.clear();
+		this._setReadyState(ProviderState.CLOSED);
+	}
+
+	_send(msg) {
+		this._ws.send(encode(msg));
+	}
+
+	/***************************************************************
+		SKEW ESTIMATION
+	***************************************************************/
+
+	_ping() {
+		this._send({type: MsgType.PING, t0: localclock.now()});
+	}
+
+	/*
+		NTP-style sample
+		- offset: estimated server clock - local clock
+		- rtt: round-trip time, excluding server processing time
+	*/
+	_onPong(msg) {
+		let t3 = localclock.now();
+		let {t0, t1, t2} = msg;
+		let offset = ((t1 - t0) + (t2 - t3))/2.0;
+		let rtt = (t3 - t0) - (t2 - t1);
+		this._samples.push({offset, rtt});
+		if (this._samples.length > this._max_samples) {
+			this._samples.shift();
+		}
+		// best sample has smallest rtt
+		let best = this._samples.reduce((a, b) => (b.rtt < a.rtt) ? b : a);
+		if (best.offset != this._skew) {
+			this._skew = best.offset;
+			this.eventifyTrigger("skewchange");
+		}
+		this._checkOpen();
+	}
+
+	/***************************************************************
+		STATE
+	***************************************************************/
+
+	/*
+		state messages carry both vector and range
+		- events only for the parts that changed
+		- state resulting from own update always gives an event,
+		  carrying the tunnel id of the update
+	*/
+	_onState(msg) {
+		let open = (this._readyState == ProviderState.OPEN);
+		let range_change = false;
+		let vector_change = false;
+		if (msg.range != undefined) {
+			let [low, high] = msg.range;
+			if (low != this._range[0] || high != this._range[1]) {
+				this._range = [low, high];
+				range_change = true;
+			}
+		}
+		if (msg.vector != undefined) {
+			if (this._vector == undefined || !equalVectors(msg.vector, this._vector)) {
+				this._vector = msg.vector;
+				vector_change = true;
+			}
+		}
+		let handle;
+		if (msg.id != undefined) {
+			handle = this._pending.get(msg.id);
+			this._pending.delete(msg.id);
+		}
+		if (open) {
+			let eArg = {vector: this.vector, range: this.range};
+			if (handle) {
+				eArg.tunnel = handle.tunnel;
+			}
+			if (range_change && vector_change) {
+				// vectorchange picks up range too
+				this.eventifyTrigger("vectorchange", eArg);
+				this.eventifyTrigger("rangechange", {range: this.range});
+			} else if (range_change) {
+				this.eventifyTrigger("rangechange", eArg);
+			} else if (vector_change || handle) {
+				this.eventifyTrigger("vectorchange", eArg);
+			}
+		}
+		if (handle) {
+			handle.resolve({vector: this.vector, range: this.range});
+		}
+		this._checkOpen();
+	}
+
+	_onError(msg) {
+		let handle = this._pending.get(msg.id);
+		if (handle) {
+			this._pending.delete(msg.id);
+			handle.reject(new Error(msg.message));
+		}
+	}
+
+	/*
+		provider is open when both skew and vector are known
+		- vectorchange triggered after skewchange
+	*/
+	_checkOpen() {
+		if (this._readyState != ProviderState.CONNECTING) {
+			return;
+		}
+		if (this._skew != undefined && this._vector != undefined) {
+			this._setReadyState(ProviderState.OPEN);
+			this.eventifyTrigger("vectorchange", {vector: this.vector, range: this.range});
+		}
+	}
+
+	_setReadyState(state) {
+		if (state != this._readyState) {
+			this._readyState = state;
+			this.eventifyTrigger("readystatechange", state);
+		}
+	}
+
+	/***************************************************************
+		UPDATE
+	***************************************************************/
+
+	/*
+		request vector change from the timing server
+		- vector may be partial
+		- vector may include range
+		- vector may include tunnel id
+		- timestamp is from server clock
+		- new vector delivered later by vectorchange event
+		- new range delivered later by rangechange event
+
+		returns promise
+		- resolved when update takes effect
+		- rejected if update is refused by the server
+	*/
+	update(vector) {
+		if (this._readyState != ProviderState.OPEN) {
+			throw new Error("update before timing provider is open");
+		}
+		let {position, velocity, acceleration, timestamp, range, tunnel} = vector;
+		let id = ++this._update_id;
+		let msg = {
+			type: MsgType.UPDATE,
+			id: id,
+			vector: {position, velocity, acceleration, timestamp}
+		};
+		if (range != undefined) {
+			msg.range = range;
+		}
+		let promise = new Promise((resolve, reject) => {
+			this._pending.set(id, {tunnel, resolve, reject});
+		});
+		this._send(msg);
+		return promise;
+	}
+
+	close() {
+		if (this._readyState == ProviderState.CLOSED) {
+			return;
+		}
+		this._setReadyState(ProviderState.CLOSING);
+		if (this._pid != undefined) {
+			localclock.clearInterval(this._pid);
+			this._pid = undefined;
+		}
+		this._ws.close();
+	}
+}
+
+eventify.eventifyPrototype(WebSocketProvider.prototype);
+
+export default WebSocketProvider;
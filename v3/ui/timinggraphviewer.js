@@ -0,0 +1,93 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+    TIMING GRAPH VIEWER
+
+    Debug overlay rendering the timingsrc graph of a timing object,
+    one line per node, from the given timing object to the provider.
+    See timinggraph.js.
+
+        let viewer = new TimingGraphViewer(to, elem);
+        ...
+        viewer.close();
+
+    The overlay is refreshed on change events from any timing object
+    in the graph, and periodically, so that queried positions are live.
+
+    options
+    - period: refresh period in ms - default 500, false for no periodic refresh
+*/
+
+import localclock from '../util/localclock.js';
+import TimingObject from '../timingobject/timingobject.js';
+import {inspect, nodeToString} from '../timingobject/timinggraph.js';
+
+const DEFAULT_PERIOD = 500;
+
+class TimingGraphViewer {
+
+    constructor(to, elem, options={}) {
+        this._to = to;
+        this._elem = elem;
+        let {period=DEFAULT_PERIOD} = options;
+        // pre element for graph
+        this._pre = document.createElement("pre");
+        this._pre.classList.add("timinggraph");
+        this._elem.appendChild(this._pre);
+        // subscribe to change events in graph
+        this._subs = [];
+        let node = to;
+        while (node instanceof TimingObject) {
+            this._subs.push([node, node.on("change", this.refresh.bind(this))]);
+            this._subs.push([node, node.on("rangechange", this.refresh.bind(this))]);
+            node = node.__get_timingsrc();
+        }
+        // periodic refresh
+        this._tid;
+        if (period) {
+            this._tid = localclock.setInterval(this.refresh.bind(this), period);
+        }
+        this.refresh();
+    }
+
+    refresh() {
+        let lines = inspect(this._to).map((node) => {
+            let indent = "  ".repeat(node.depth);
+            return `${indent}${nodeToString(node)}`;
+        });
+        this._pre.textContent = lines.join("\n");
+    }
+
+    close() {
+        for (let [node, sub] of this._subs) {
+            node.off(sub);
+        }
+        this._subs = [];
+        if (this._tid != undefined) {
+            localclock.clearInterval(this._tid);
+            this._tid = undefined;
+        }
+        this._pre.remove();
+    }
+}
+
+export default TimingGraphViewer;
@@ -75,7 +75,9 @@ class TimingProgress {
             // update the timing object
             let percent = parseInt(this._progress_elem.value);               
             let position = TimingProgress.percent2position(percent, this._range);
-            this._to.update({position: position});
+            this._to.update({position: position}).catch((err) => {
+                console.error("TimingProgress update failed:", err);
+            });
         }.bind(this));
         
         // sampler
@@ -20,6 +20,111 @@
 
 
 
+/*
+	ERROR REPORTING
+
+	Exceptions thrown by subscriber callbacks are caught, so that
+	they do not affect the publisher or other subscribers.
+	Instead, errors are reported with
+	{error, name, sub, src}
+	- error: the original Error
+	- name: name of the event being triggered
+	- sub: the subscription whose callback failed
+	- src: the publisher
+
+	Errors are reported to
+	- subscribers to the "error" event of the publisher, if the
+	  publisher defines an "error" event, see eventifyDefine()
+	- the global error handler, see setErrorHandler()
+	- console.error, if no one else handles the error
+
+	Errors in "error" event handlers are not reported to
+	the "error" event, to avoid loops.
+
+	options, see setErrorOptions()
+	- rethrow: rethrow errors asynchronously (in a later task),
+	  after reporting, so that they reach global error handlers
+	  such as window.onerror or process "uncaughtException"
+	- strict: rethrow errors instead of reporting. Errors are
+	  collected while all pending events are delivered, and then
+	  rethrown from the microtask delivering the events (an
+	  AggregateError if more than one). So, the rethrow is
+	  asynchronous, and surfaces as an unhandled promise rejection.
+	  Intended for tests, making failing subscribers fail the test.
+*/
+
+import localclock from './localclock.js';
+
+const errorOptions = {rethrow: false, strict: false};
+let errorHandler;
+
+/*
+	set global error handler - function(eArg)
+	- undefined removes the error handler
+*/
+export function setErrorHandler(handler) {
+	if (handler != undefined && typeof handler !== "function") {
+		throw new Error(`error handler not a function ${handler}`);
+	}
+	errorHandler = handler;
+}
+
+export function setErrorOptions(options={}) {
+	let {rethrow, strict} = options;
+	if (rethrow != undefined) {
+		errorOptions.rethrow = Boolean(rethrow);
+	}
+	if (strict != undefined) {
+		errorOptions.strict = Boolean(strict);
+	}
+	return {...errorOptions};
+}
+
+function reportError(publisher, error, name, sub) {
+	const eArg = {error, name, sub, src: publisher};
+	let handled = false;
+	// error event of publisher
+	if (name != "error") {
+		const ev = publisher.__eventify_eventMap.get("error");
+		if (ev != undefined && ev.subscriptions.length > 0) {
+			publisher.eventifyTrigger("error", eArg);
+			handled = true;
+		}
+	}
+	// global error handler
+	if (errorHandler != undefined) {
+		try {
+			errorHandler(eArg);
+			handled = true;
+		} catch (err) {
+			console.error("Error in error handler:", err);
+		}
+	}
+	if (!handled) {
+		console.error(`Error in ${name}:`, error);
+	}
+	if (errorOptions.rethrow) {
+		localclock.setTimeout(() => {throw error;}, 0);
+	}
+}
+
+
+/*
+	rethrow errors collected in strict mode
+*/
+function throwErrors(errors) {
+	if (errors.length == 1) {
+		throw errors[0];
+	} else if (errors.length > 1) {
+		throw new AggregateError(errors, "multiple errors in event subscribers");
+	}
+}
+
+
+// interop symbol for observables - as used by RxJS
+const observableSymbol = (typeof Symbol == "function" && Symbol.observable) || "@@observable";
+
+
 /*
 	Event
 	- name: event name
@@ -52,16 +157,22 @@ class Event {
 		}
 		const sub = new Subscription(this, callback, options);
 		this.subscriptions.push(sub);
+		this.publisher.eventifySubscriptionChange(this.name);
 	    // Initiate init callback for this subscription
 	    if (this.init && sub.init) {
 	    	sub.init_pending = true;
 	    	let self = this;
 	    	Promise.resolve().then(function () {
-	    		const eArgs = self.publisher.eventifyInitEventArgs(self.name) || [];
-	    		for (let eArg of eArgs) {
-	    			self.trigger(eArg, [sub], true);
+	    		const errors = [];
+	    		try {
+	    			const eArgs = self.publisher.eventifyInitEventArgs(self.name) || [];
+	    			for (let eArg of eArgs) {
+	    				errors.push(...self.trigger(eArg, [sub], true));
+	    			}
+	    		} finally {
+	    			sub.init_pending = false;
 	    		}
-	    		sub.init_pending = false;
+	    		throwErrors(errors);
 	    	});
 	    }
 		return sub
@@ -72,8 +183,11 @@ class Event {
 
 		- if sub is undefined - publish to all subscriptions
 		- if sub is defined - publish only to given subscription
+
+		returns errors to be rethrown (strict mode)
 	*/
 	trigger (eArg, subs, init) {
+		const errors = [];
 		let eInfo, ctx;
 		for (const sub of subs) {
 			// ignore terminated subscriptions
@@ -90,9 +204,14 @@ class Event {
 			try {
 				sub.callback.call(ctx, eArg, eInfo);
 			} catch (err) {
-				console.log(`Error in ${this.name}: ${sub.callback} ${err}`);
+				if (errorOptions.strict) {
+					errors.push(err);
+				} else {
+					reportError(this.publisher, err, this.name, sub);
+				}
 			}
 		}
+		return errors;
 	}
 
 	/*
@@ -104,6 +223,7 @@ class Event {
 		if (idx > -1) {
 			this.subscriptions.splice(idx, 1);
 			sub.terminate();
+			this.publisher.eventifySubscriptionChange(this.name);
 		}
 	}
 }
@@ -124,11 +244,17 @@ class Subscription {
 		this.init_pending = false;
 		this.terminated = false;
 		this.ctx = options.ctx;
+		// removes abort listener of options.signal
+		this.cleanup = undefined;
 	}
 
 	terminate() {
 		this.terminated = true;
 		this.callback = undefined;
+		if (this.cleanup != undefined) {
+			this.cleanup();
+			this.cleanup = undefined;
+		}
 		this.event.unsubscribe(this);
 	}
 }
@@ -149,6 +275,21 @@ class Subscription {
 		}
 	}
 
+	Define an "error" event to have errors in subscriber
+	callbacks reported to it, see ERROR REPORTING.
+
+	this.eventifyDefine("error", {init:false});
+
+	Opt-in for notification when subscriptions are added or
+	removed, e.g. to do work only while there are subscribers.
+
+	eventifySubscriptionChange(name) {
+		if (name == "change") {
+			let active = this.eventifySubscriptions(name).length > 0;
+			...
+		}
+	}
+
 */
 
 export function eventifyInstance (object) {
@@ -169,7 +310,7 @@ export function eventifyPrototype(_prototype) {
 	function eventifyGetEvent(object, name) {
 		const event = object.__eventify_eventMap.get(name);
 		if (event == undefined) {
-			throw new Error("Event undefined", name);
+			throw new Error(`Event undefined ${name}`);
 		}
 		return event;
 	}
@@ -183,7 +324,7 @@ export function eventifyPrototype(_prototype) {
 	function eventifyDefine(name, options) {
 		// check that event does not already exist
 		if (this.__eventify_eventMap.has(name)) {
-			throw new Error("Event already defined", name);
+			throw new Error(`Event already defined ${name}`);
 		}
 		this.__eventify_eventMap.set(name, new Event(this, name, options));
 	};
@@ -192,9 +333,21 @@ export function eventifyPrototype(_prototype) {
 		ON
 		- used by subscriber
 		register callback on event.
+		- options.signal: AbortSignal, unsubscribes when aborted
 	*/
 	function on(name, callback, options) {
-		return eventifyGetEvent(this, name).subscribe(callback, options);
+		const sub = eventifyGetEvent(this, name).subscribe(callback, options);
+		const signal = (options) ? options.signal : undefined;
+		if (signal != undefined) {
+			if (signal.aborted) {
+				this.off(sub);
+			} else {
+				const abort = () => this.off(sub);
+				signal.addEventListener("abort", abort, {once:true});
+				sub.cleanup = () => signal.removeEventListener("abort", abort);
+			}
+		}
+		return sub;
 	};
 
 	/*
@@ -207,10 +360,140 @@ export function eventifyPrototype(_prototype) {
 	};
 
 
+	/*
+		EVENTS
+		- used by subscriber
+		async iterator of event arguments
+
+			for await (const eArg of to.events("change")) {...}
+
+		- events are queued until consumed, init events first
+		- options as for on()
+		- iteration ends when the iterator is returned (e.g. break
+		  from for await loop), or when options.signal is aborted
+	*/
+	function events(name, options={}) {
+		const queue = [];
+		const signal = options.signal;
+		let waiting;
+		let done = false;
+		const sub = this.on(name, function (eArg) {
+			if (waiting != undefined) {
+				const resolve = waiting;
+				waiting = undefined;
+				resolve({value: eArg, done: false});
+			} else {
+				queue.push(eArg);
+			}
+		}, options);
+		const finish = () => {
+			if (!done) {
+				done = true;
+				this.off(sub);
+				if (signal != undefined) {
+					signal.removeEventListener("abort", finish);
+				}
+				if (waiting != undefined) {
+					waiting({value: undefined, done: true});
+					waiting = undefined;
+				}
+			}
+		};
+		if (signal != undefined) {
+			if (signal.aborted) {
+				finish();
+			} else {
+				signal.addEventListener("abort", finish, {once:true});
+			}
+		}
+		return {
+			next() {
+				if (queue.length > 0) {
+					return Promise.resolve({value: queue.shift(), done: false});
+				}
+				if (done) {
+					return Promise.resolve({value: undefined, done: true});
+				}
+				return new Promise((resolve) => {waiting = resolve;});
+			},
+			return() {
+				finish();
+				queue.length = 0;
+				return Promise.resolve({value: undefined, done: true});
+			},
+			[Symbol.asyncIterator]() {return this;}
+		};
+	};
+
+	/*
+		OBSERVABLE
+		- used by subscriber
+		Observable of event arguments, compatible with the
+		TC39 Observable proposal and RxJS (from(observable))
+
+			to.observable("change").subscribe({next(eArg) {...}})
+
+		- options as for on()
+		- observer completes when options.signal is aborted
+	*/
+	function observable(name, options={}) {
+		const self = this;
+		const {signal, ...opts} = options;
+		return {
+			subscribe(observer, error, complete) {
+				if (typeof observer == "function") {
+					observer = {next: observer, error, complete};
+				}
+				let closed = false;
+				const sub = self.on(name, function (eArg) {
+					if (observer.next) {
+						observer.next(eArg);
+					}
+				}, opts);
+				const subscription = {
+					get closed() {return closed;},
+					unsubscribe() {
+						if (!closed) {
+							closed = true;
+							self.off(sub);
+							if (signal != undefined) {
+								signal.removeEventListener("abort", abort);
+							}
+						}
+					}
+				};
+				const abort = () => {
+					if (!closed) {
+						subscription.unsubscribe();
+						if (observer.complete) {
+							observer.complete();
+						}
+					}
+				};
+				if (signal != undefined) {
+					if (signal.aborted) {
+						abort();
+					} else {
+						signal.addEventListener("abort", abort, {once:true});
+					}
+				}
+				return subscription;
+			},
+			[observableSymbol]() {return this;}
+		};
+	};
+
 	function eventifySubscriptions(name) {
 		return eventifyGetEvent(this, name).subscriptions;
 	}
 
+	/*
+		SUBSCRIPTION CHANGE
+		- may be overridden by event source
+		invoked when a subscription is added to or removed from event
+	*/
+	function eventifySubscriptionChange(name) {}
+
 
 
 	/*
@@ -253,11 +536,16 @@ export function eventifyPrototype(_prototype) {
 		if (buf_len == 0) {
 			let self = this;
 			Promise.resolve().then(function() {
-				for (let [ev, eArg, subs] of self.__eventify_buffer) {
-					// actual event triggering
-					ev.trigger(eArg, subs, false);
+				const errors = [];
+				try {
+					for (let [ev, eArg, subs] of self.__eventify_buffer) {
+						// actual event triggering
+						errors.push(...ev.trigger(eArg, subs, false));
+					}
+				} finally {
+					self.__eventify_buffer = [];
 				}
-				self.__eventify_buffer = [];
+				throwErrors(errors);
 			});
 		}
 	}
@@ -283,8 +571,13 @@ export function eventifyPrototype(_prototype) {
 	_prototype.eventifyTriggerAlike = eventifyTriggerAlike;
 	_prototype.eventifyTriggerAll = eventifyTriggerAll;
 	_prototype.eventifySubscriptions = eventifySubscriptions;
+	if (!("eventifySubscriptionChange" in _prototype)) {
+		_prototype.eventifySubscriptionChange = eventifySubscriptionChange;
+	}
 	_prototype.on = on;
 	_prototype.off = off;
+	_prototype.events = events;
+	_prototype.observable = observable;
 };
 
 
@@ -359,6 +652,8 @@ export function makePromise(eventObject, conditionFunc) {
 export default {
 	eventifyPrototype,
 	eventifyInstance,
+	setErrorHandler,
+	setErrorOptions,
 	EventVariable,
 	EventBoolean,
 	makePromise
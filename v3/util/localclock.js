@@ -0,0 +1,238 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+    LOCAL CLOCK
+
+    Local system clock and timers used by timingsrc
+    (MasterClock, Timeout, TimingObject, TimingSampler, ...)
+
+    - now() : local clock in seconds
+    - epoch() : epoch clock in seconds - portable across
+      processes and page reloads, e.g. for snapshots
+    - setTimeout, clearTimeout, setInterval, clearInterval :
+      same semantics as built-ins, delays in milliseconds
+
+    The system clock is implemented using performance.now and
+    built-in timers.
+
+    The local clock may be replaced, for instance by a VirtualClock
+    for deterministic testing. Replace the local clock before any timing
+    objects are created, as timestamps and timers are not carried over.
+
+        let clock = new VirtualClock();
+        localclock.set(clock);
+        let to = new TimingObject();
+        to.update({velocity:1});
+        clock.advance(10);
+*/
+
+
+// Need a polyfill for performance,now as Safari on ios doesn't have it...
+// globalThis (not window) so that this also works in Node.js
+(function(){
+    if ("performance" in globalThis === false) {
+        globalThis.performance = {};
+        globalThis.performance.offset = new Date().getTime();
+    }
+    if ("now" in globalThis.performance === false){
+      globalThis.performance.now = function now(){
+        return new Date().getTime() - globalThis.performance.offset;
+      };
+    }
+})();
+
+
+/*
+    System clock
+*/
+export const systemClock = {
+    now : function () {return performance.now()/1000.0;},
+    epoch : function () {
+        if (performance.timeOrigin != undefined) {
+            return (performance.timeOrigin + performance.now())/1000.0;
+        }
+        return Date.now()/1000.0;
+    },
+    setTimeout : function (...args) {return setTimeout(...args);},
+    clearTimeout : function (tid) {return clearTimeout(tid);},
+    setInterval : function (...args) {return setInterval(...args);},
+    clearInterval : function (tid) {return clearInterval(tid);}
+};
+
+
+/*
+    Virtual clock
+
+    Time only moves when advanced by hand.
+    The epoch clock of a virtual clock is the virtual clock itself.
+    Timers fire in order of due time (ties in order of creation),
+    and the clock is set to the due time of each timer as it fires.
+
+    - advance(delta) : advance clock by delta seconds, firing due timers
+    - advanceTo(ts) : advance clock to ts (seconds), firing due timers
+    - tick(delta) : same as advance, but async, letting pending promises
+      (e.g. event notifications) run after each timer
+*/
+export class VirtualClock {
+
+    constructor (start=0) {
+        this._now = start;
+        // tid -> {tid, due, interval, callback, args}
+        this._timers = new Map();
+        this._tid = 0;
+    }
+
+    now () {return this._now;}
+
+    epoch () {return this._now;}
+
+    get size () {return this._timers.size;}
+
+    /*
+        due time for timer with given delay (ms)
+        timers with positive delay are due strictly after now
+    */
+    _due(delay) {
+        delay = Math.max(delay || 0, 0);
+        let due = this._now + delay/1000.0;
+        if (delay > 0 && due <= this._now) {
+            due = this._now + Math.max(Math.abs(this._now)*Number.EPSILON, Number.MIN_VALUE);
+        }
+        return due;
+    }
+
+    _add(callback, delay, args, interval) {
+        let tid = ++this._tid;
+        this._timers.set(tid, {
+            tid, due: this._due(delay), interval, callback, args
+        });
+        return tid;
+    }
+
+    setTimeout(callback, delay, ...args) {
+        return this._add(callback, delay, args);
+    }
+
+    clearTimeout(tid) {
+        this._timers.delete(tid);
+    }
+
+    setInterval(callback, delay, ...args) {
+        // interval of zero would never let time advance
+        return this._add(callback, delay, args, Math.max(delay || 0, 1));
+    }
+
+    clearInterval(tid) {
+        this._timers.delete(tid);
+    }
+
+    /*
+        next timer due no later than ts
+    */
+    _next(ts) {
+        let next;
+        for (let timer of this._timers.values()) {
+            if (timer.due <= ts) {
+                if (next == undefined || timer.due < next.due) {
+                    next = timer;
+                }
+            }
+        }
+        return next;
+    }
+
+    /*
+        fire single timer
+    */
+    _fire(timer) {
+        this._now = Math.max(this._now, timer.due);
+        if (timer.interval != undefined) {
+            timer.due = this._due(timer.interval);
+        } else {
+            this._timers.delete(timer.tid);
+        }
+        timer.callback(...timer.args);
+    }
+
+    advanceTo(ts) {
+        let timer = this._next(ts);
+        while (timer != undefined) {
+            this._fire(timer);
+            timer = this._next(ts);
+        }
+        this._now = Math.max(this._now, ts);
+    }
+
+    advance(delta=0) {
+        this.advanceTo(this._now + delta);
+    }
+
+    async tick(delta=0) {
+        let ts = this._now + delta;
+        await flush();
+        let timer = this._next(ts);
+        while (timer != undefined) {
+            this._fire(timer);
+            await flush();
+            timer = this._next(ts);
+        }
+        this._now = Math.max(this._now, ts);
+        await flush();
+    }
+}
+
+
+/*
+    let pending promises run
+    - resolves after a (real) macrotask
+*/
+function flush() {
+    return new Promise((resolve) => systemClock.setTimeout(resolve, 0));
+}
+
+
+/*
+    Current local clock
+*/
+let _clock = systemClock;
+
+export function get() {
+    return _clock;
+}
+
+export function set(clock) {
+    _clock = clock || systemClock;
+}
+
+// module api - delegates to current local clock
+export default {
+    now : function () {return _clock.now();},
+    epoch : function () {return _clock.epoch();},
+    setTimeout : function (...args) {return _clock.setTimeout(...args);},
+    clearTimeout : function (tid) {return _clock.clearTimeout(tid);},
+    setInterval : function (...args) {return _clock.setInterval(...args);},
+    clearInterval : function (tid) {return _clock.clearInterval(tid);},
+    get,
+    set,
+    systemClock,
+    VirtualClock
+};
@@ -86,12 +86,13 @@ export function calculateDirection(vector, ts) {
         freshVector = calculateVector(vector, ts);
     }
     // check velocity
-    let direction = cmp(freshVector.velocity, 0.0);
+    let direction = Math.sign(freshVector.velocity);
     if (direction === 0) {
         // check acceleration
-        direction = cmp(vector.acceleration, 0.0);
+        direction = Math.sign(vector.acceleration);
     }
-    return direction;
+    // avoid negative zero
+    return direction + 0;
 };
 
 
@@ -191,6 +192,27 @@ export function rangeIntersect(vector, range) {
 }
 
 
+/*
+    JSON does not support Infinity.
+    Infinite range endpoints are encoded as null.
+*/
+export function encodeRange(range) {
+    let [low, high] = range;
+    return [
+        (low == -Infinity) ? null : low,
+        (high == Infinity) ? null : high
+    ];
+}
+
+export function decodeRange(range) {
+    let [low, high] = range;
+    return [
+        (low == null) ? -Infinity : low,
+        (high == null) ? Infinity : high
+    ];
+}
+
+
 /*******************************************************************
  EQUATIONS
 *******************************************************************/
@@ -328,6 +350,187 @@ export function calculateDelta(vector, range) {
 };
 
 
+/*
+    calculateVelocityDelta
+
+    Given motion determined from vector, and a list of velocities,
+    calculate which of these velocities will be reached first, if any.
+    Velocity changes linearly with constant acceleration, so only
+    accelerating motion may reach a new velocity.
+    Result is [delta, velocity], with delta strictly positive,
+    or [undefined, undefined] if no velocity will be reached.
+*/
+export function calculateVelocityDelta(vector, velocities) {
+    const {velocity: v, acceleration: a} = vector;
+    let result = [undefined, undefined];
+    if (a == 0) {
+        return result;
+    }
+    for (let velocity of velocities) {
+        let delta = (velocity - v)/a;
+        if (delta > 0 && (result[0] == undefined || delta < result[0])) {
+            result = [delta, velocity];
+        }
+    }
+    return result;
+};
+
+
+/*******************************************************************
+ TRANSITION
+*******************************************************************/
+
+/*
+    Easing curves - map progress [0,1] to [0,1]
+
+    Curves are piecewise quadratic, so that they are exactly
+    represented by piecewise constant acceleration, as long as
+    steps are aligned with the pieces.
+*/
+export const EasingCurves = Object.freeze({
+    "linear" : function (u) {return u;},
+    "ease-in" : function (u) {return u*u;},
+    "ease-out" : function (u) {return u*(2-u);},
+    "ease-in-out" : function (u) {
+        return (u < 0.5) ? 2*u*u : 1 - 2*(1-u)*(1-u);
+    }
+});
+
+/*
+    Derivatives of easing curves
+    - custom curves are differentiated numerically
+*/
+const EASING_DERIVATIVES = new Map([
+    [EasingCurves["linear"], function (u) {return 1;}],
+    [EasingCurves["ease-in"], function (u) {return 2*u;}],
+    [EasingCurves["ease-out"], function (u) {return 2 - 2*u;}],
+    [EasingCurves["ease-in-out"], function (u) {
+        return (u < 0.5) ? 4*u : 4*(1-u);
+    }]
+]);
+
+function curveDerivative(f) {
+    let df = EASING_DERIVATIVES.get(f);
+    if (df != undefined) {
+        return df;
+    }
+    const e = 1e-6;
+    return function (u) {
+        let low = Math.max(0, u-e);
+        let high = Math.min(1, u+e);
+        return (f(high) - f(low))/(high - low);
+    };
+}
+
+const DEFAULT_STEPS = 10;
+
+/*
+    calculateTransition
+
+    Given motion at the start of a transition (vector), calculate
+    a sequence of vectors with piecewise constant acceleration,
+    making a smooth transition towards the target.
+
+    target
+    - {velocity} - velocity follows the curve from the current velocity
+      to target velocity
+    - {position, velocity} - position follows the curve from the current
+      motion to the target motion, reaching target position at the end of
+      the transition. Target velocity defaults to the current velocity.
+
+    options
+    - duration: duration of transition in seconds
+    - curve: name of easing curve, or function - default "ease-in-out"
+    - steps: number of vectors approximating the curve - default
+      1 for linear curve, else 10
+
+    Returns list of vectors, ordered by timestamp, the first with timestamp
+    of given vector. The last vector ends the transition.
+    Velocity transitions only include velocity and acceleration,
+    so that position is unaffected.
+*/
+export function calculateTransition(vector, target, options={}) {
+    let {duration, curve="ease-in-out", steps} = options;
+    if (!(duration > 0)) {
+        throw new Error(`transition duration must be positive, ${duration}`);
+    }
+    let f = (typeof curve == "function") ? curve : EasingCurves[curve];
+    if (f == undefined) {
+        throw new Error(`unknown easing curve ${curve}`);
+    }
+    if (steps == undefined) {
+        steps = (f == EasingCurves["linear"]) ? 1 : DEFAULT_STEPS;
+    }
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`transition steps must be positive integer, ${steps}`);
+    }
+    let {position: p1, velocity: v1} = target;
+    if (p1 == undefined && v1 == undefined) {
+        throw new Error("transition target must have position or velocity");
+    }
+    let t0 = vector.timestamp;
+    let h = duration/steps;
+    let vectors = [];
+
+    if (p1 == undefined) {
+        // velocity transition - velocity is exact at every step
+        let v0 = vector.velocity;
+        let velocity = (i) => v0 + (v1 - v0)*f(i/steps);
+        for (let i=0; i<steps; i++) {
+            let v = velocity(i);
+            vectors.push({
+                velocity: v,
+                acceleration: (velocity(i+1) - v)/h,
+                timestamp: t0 + i*h
+            });
+        }
+        vectors.push({velocity: v1, acceleration: 0.0, timestamp: t0 + duration});
+        return vectors;
+    }
+
+    /*
+        position transition - blend of current motion A
+        and target motion B - position and velocity are exact
+        at every step
+    */
+    if (v1 == undefined) {
+        v1 = vector.velocity;
+    }
+    let df = curveDerivative(f);
+    let position = function (t) {
+        let u = f(t/duration);
+        let pA = calculateVector(vector, t0 + t).position;
+        let pB = p1 + v1*(t - duration);
+        return (1-u)*pA + u*pB;
+    };
+    // velocity - exact derivative of position
+    let velocity = function (t) {
+        let u = f(t/duration);
+        let du = df(t/duration)/duration;
+        let {position: pA, velocity: vA} = calculateVector(vector, t0 + t);
+        let pB = p1 + v1*(t - duration);
+        return (1-u)*vA + u*v1 + du*(pB - pA);
+    };
+    for (let i=0; i<steps; i++) {
+        // acceleration from velocity at start and end of step
+        let v = velocity(i*h);
+        vectors.push({
+            position: position(i*h),
+            velocity: v,
+            acceleration: (velocity((i+1)*h) - v)/h,
+            timestamp: t0 + i*h
+        });
+    }
+    vectors.push({
+        position: p1,
+        velocity: v1,
+        acceleration: 0.0,
+        timestamp: t0 + duration
+    });
+    return vectors;
+}
+
+
 /*******************************************************************
  TIME_INTERVAL POS_INTERVAL
 *******************************************************************/
@@ -0,0 +1,211 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+
+/*
+    TICKER
+
+    Periodic callbacks, shared by many subscribers, so that
+    many timing objects may use a single timer for timeupdate events.
+
+    The ticker only runs while it has subscribers. Timers are
+    created on the local clock current when the ticker starts,
+    and cleared on the same clock.
+
+    - add(callback) : subscribe
+    - remove(callback) : unsubscribe
+
+    options
+    - period : time between ticks in ms - default 200
+    - animationframe : true if ticks are driven by requestAnimationFrame,
+      falls back to period 16ms where requestAnimationFrame is not available
+      (e.g. Node.js)
+*/
+
+import localclock from './localclock.js';
+
+const DEFAULT_PERIOD = 200;
+const ANIMATIONFRAME_PERIOD = 16;
+
+// adaptive ticker bounds (ms)
+const MIN_PERIOD = 16;
+const MAX_PERIOD = 1000;
+
+
+export class Ticker {
+
+    constructor (options={}) {
+        let {period=DEFAULT_PERIOD, animationframe=false} = options;
+        if (!(period > 0)) {
+            throw new Error(`ticker period must be positive, ${period}`);
+        }
+        this._period = period;
+        this._animationframe = animationframe;
+        this._callbacks = new Set();
+        // timer id, and clock of timer
+        this._tid;
+        this._clock;
+    }
+
+    get period() {return this._period;};
+    get animationframe() {return this._animationframe;};
+    get size() {return this._callbacks.size;};
+
+    add(callback) {
+        this._callbacks.add(callback);
+        if (this._tid == undefined) {
+            this._start();
+        }
+    }
+
+    remove(callback) {
+        this._callbacks.delete(callback);
+        if (this._callbacks.size == 0 && this._tid != undefined) {
+            this._stop();
+        }
+    }
+
+    _start() {
+        if (this._animationframe && globalThis.requestAnimationFrame) {
+            let onFrame = () => {
+                this._tid = requestAnimationFrame(onFrame);
+                this._tick();
+            };
+            this._tid = requestAnimationFrame(onFrame);
+        } else {
+            let period = (this._animationframe) ? ANIMATIONFRAME_PERIOD : this._period;
+            this._clock = localclock.get();
+            this._tid = this._clock.setInterval(this._tick.bind(this), period);
+        }
+    }
+
+    _stop() {
+        if (this._animationframe && globalThis.requestAnimationFrame) {
+            cancelAnimationFrame(this._tid);
+        } else {
+            this._clock.clearInterval(this._tid);
+        }
+        this._tid = undefined;
+        this._clock = undefined;
+    }
+
+    _tick() {
+        // copy - callbacks may unsubscribe
+        for (let callback of [...this._callbacks]) {
+            callback();
+        }
+    }
+}
+
+
+/*
+    ADAPTIVE TICKER
+
+    Velocity sensitive ticks for a single timing object.
+    Ticks are emitted each time the position has changed by
+    (about) resolution, within bounds for period.
+
+    options
+    - resolution : position change between ticks
+    - min_period : lower bound on time between ticks in ms - default 16
+    - max_period : upper bound on time between ticks in ms - default 1000
+*/
+
+export class AdaptiveTicker {
+
+    constructor (timingObject, options={}) {
+        let {resolution, min_period=MIN_PERIOD, max_period=MAX_PERIOD} = options;
+        if (!(resolution > 0)) {
+            throw new Error(`ticker resolution must be positive, ${resolution}`);
+        }
+        this._to = timingObject;
+        this._resolution = resolution;
+        this._min_period = min_period;
+        this._max_period = max_period;
+        this._callbacks = new Set();
+        // timer id, and clock of timer
+        this._tid;
+        this._clock;
+    }
+
+    get resolution() {return this._resolution;};
+    get size() {return this._callbacks.size;};
+
+    add(callback) {
+        this._callbacks.add(callback);
+        if (this._tid == undefined) {
+            this._schedule();
+        }
+    }
+
+    remove(callback) {
+        this._callbacks.delete(callback);
+        if (this._callbacks.size == 0 && this._tid != undefined) {
+            this._clock.clearTimeout(this._tid);
+            this._tid = undefined;
+            this._clock = undefined;
+        }
+    }
+
+    /*
+        period from current velocity
+    */
+    _period() {
+        let speed = Math.abs(this._to.vel);
+        let period = (speed > 0) ? 1000*this._resolution/speed : this._max_period;
+        return Math.min(Math.max(period, this._min_period), this._max_period);
+    }
+
+    _schedule() {
+        if (this._clock == undefined) {
+            this._clock = localclock.get();
+        }
+        this._tid = this._clock.setTimeout(() => {
+            this._schedule();
+            for (let callback of [...this._callbacks]) {
+                callback();
+            }
+        }, this._period());
+    }
+}
+
+
+/*
+    shared tickers - clock -> period -> ticker
+    - tickers are shared among users of the same local clock
+*/
+const tickers = new WeakMap();
+
+export function sharedTicker(period=DEFAULT_PERIOD) {
+    let clock = localclock.get();
+    let map = tickers.get(clock);
+    if (map == undefined) {
+        map = new Map();
+        tickers.set(clock, map);
+    }
+    let ticker = map.get(period);
+    if (ticker == undefined) {
+        ticker = new Ticker({period});
+        map.set(period, ticker);
+    }
+    return ticker;
+}
+
+export default Ticker;
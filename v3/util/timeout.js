@@ -20,7 +20,7 @@
 
 
 /*
-    Wraps the built in setTimeout to provide a
+    Wraps setTimeout of the local clock to provide a
     Timeout that does not fire too early.
 
     Importantly, the Timeout object manages at most
@@ -31,6 +31,8 @@
       not a delay.
 */
 
+import localclock from './localclock.js';
+
 class Timeout {
 
     constructor (timingObject, callback) {
@@ -52,7 +54,7 @@ class Timeout {
         }
         let now = this.to.clock.now();
         let delay = Math.max(target_ts - now, 0) * 1000;
-        this.tid = setTimeout(this.onTimeout.bind(this), delay, target_ts, arg);
+        this.tid = localclock.setTimeout(this.onTimeout.bind(this), delay, target_ts, arg);
     }
 
     /*
@@ -78,7 +80,7 @@ class Timeout {
     */
     clear() {
         if (this.tid != undefined) {
-            clearTimeout(this.tid);
+            localclock.clearTimeout(this.tid);
             this.tid = undefined;
         }
     }
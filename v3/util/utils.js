@@ -219,9 +219,14 @@ export function object_equals(a, b) {
 }
 
 
-/* document readypromise */
+/*
+    document readypromise
+    - resolves immediately if there is no document (e.g. Node.js)
+*/
 export const docready = new Promise(function(resolve) {
-    if (document.readyState === 'complete') {
+    if (typeof document === "undefined") {
+        resolve();
+    } else if (document.readyState === 'complete') {
         resolve();
     } else {
         let onReady = function () {
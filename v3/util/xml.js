@@ -0,0 +1,220 @@
+/*
+    Copyright 2020
+    Author : Ingar Arntzen
+
+    This file is part of the Timingsrc module.
+
+    Timingsrc is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    Timingsrc is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with Timingsrc.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+/*
+    XML
+
+    Minimal XML parser and serializer, sufficient for
+    subtitle formats (TTML/IMSC), without dependency on DOM.
+
+    - parse(text) : root element
+    - serialize(node) : XML text
+    - escape(text) : escape text for XML
+
+    element
+    - {name, attributes, children}
+    - name and attribute names as given, including prefix
+      (e.g. "tts:color") - namespaces are not resolved
+    - children: elements or strings (text)
+
+    Comments, processing instructions and doctype (including
+    internal subset) are ignored. Entities declared in the internal
+    subset are not supported.
+    CDATA sections are text. Text and CDATA sections outside the root
+    element are ignored.
+*/
+
+export class XMLError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "XMLError";
+    }
+}
+
+const ENTITIES = {lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'"};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+        if (ref[0] == "#") {
+            let code = (ref[1] == "x") ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1));
+            return String.fromCodePoint(code);
+        }
+        if (ref in ENTITIES) {
+            return ENTITIES[ref];
+        }
+        throw new XMLError(`unknown entity ${match}`);
+    });
+}
+
+export function escape(text) {
+    return `${text}`
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+function escapeAttribute(text) {
+    return escape(text).replace(/"/g, "&quot;");
+}
+
+const NAME = "[A-Za-z_][-A-Za-z0-9_.:]*";
+// sticky - match at lastIndex
+const START_TAG = new RegExp(`<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(/?)>`, "y");
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "g");
+const END_TAG = new RegExp(`</(${NAME})\\s*>`, "y");
+
+function skip(text, pos, end, what) {
+    let idx = text.indexOf(end, pos);
+    if (idx == -1) {
+        throw new XMLError(`unterminated ${what}`);
+    }
+    return idx + end.length;
+}
+
+/*
+    skip declaration, e.g. doctype
+    - internal subset [...] may contain quoted strings, comments
+      and markup declarations, all including ">"
+*/
+function skipDeclaration(text, pos) {
+    let depth = 0;
+    let quote;
+    let i = pos + 2;
+    while (i < text.length) {
+        let c = text[i];
+        if (quote != undefined) {
+            if (c == quote) {
+                quote = undefined;
+            }
+        } else if (text.startsWith("<!--", i)) {
+            i = skip(text, i, "-->", "comment");
+            continue;
+        } else if (c == "\"" || c == "'") {
+            quote = c;
+        } else if (c == "[") {
+            depth += 1;
+        } else if (c == "]") {
+            depth -= 1;
+        } else if (c == ">" && depth == 0) {
+            return i + 1;
+        }
+        i += 1;
+    }
+    throw new XMLError("unterminated declaration");
+}
+
+/*
+    parse XML text
+    returns root element
+*/
+export function parse(text) {
+    // stack of open elements - document is the bottom
+    let document = {name: undefined, attributes: {}, children: []};
+    let stack = [document];
+    let pos = 0;
+    while (pos < text.length) {
+        let top = stack[stack.length - 1];
+        let lt = text.indexOf("<", pos);
+        if (lt == -1) {
+            lt = text.length;
+        }
+        if (lt > pos) {
+            if (stack.length > 1) {
+                top.children.push(decodeEntities(text.slice(pos, lt)));
+            }
+            pos = lt;
+            continue;
+        }
+        let rest = text.slice(pos, pos + 9);
+        if (rest.startsWith("<!--")) {
+            pos = skip(text, pos, "-->", "comment");
+        } else if (rest.startsWith("<![CDATA[")) {
+            let end = skip(text, pos, "]]>", "CDATA section");
+            if (stack.length > 1) {
+                top.children.push(text.slice(pos + 9, end - 3));
+            }
+            pos = end;
+        } else if (rest.startsWith("<?")) {
+            pos = skip(text, pos, "?>", "processing instruction");
+        } else if (rest.startsWith("<!")) {
+            pos = skipDeclaration(text, pos);
+        } else if (rest.startsWith("</")) {
+            END_TAG.lastIndex = pos;
+            let match = END_TAG.exec(text);
+            if (match == null || match[1] != top.name) {
+                throw new XMLError(`unexpected end tag at ${pos}`);
+            }
+            stack.pop();
+            pos += match[0].length;
+        } else {
+            START_TAG.lastIndex = pos;
+            let match = START_TAG.exec(text);
+            if (match == null) {
+                throw new XMLError(`illegal tag at ${pos}`);
+            }
+            let [tag, name, attrs, empty] = match;
+            let attributes = {};
+            for (let [, attr, v1, v2] of attrs.matchAll(ATTRIBUTE)) {
+                attributes[attr] = decodeEntities((v1 != undefined) ? v1 : v2);
+            }
+            let element = {name, attributes, children: []};
+            if (stack.length == 1 && document.children.length > 0) {
+                throw new XMLError("multiple root elements");
+            }
+            top.children.push(element);
+            if (empty != "/") {
+                stack.push(element);
+            }
+            pos += tag.length;
+        }
+    }
+    if (stack.length > 1) {
+        throw new XMLError(`unclosed element ${stack[stack.length-1].name}`);
+    }
+    if (document.children.length == 0) {
+        throw new XMLError("no root element");
+    }
+    return document.children[0];
+}
+
+/*
+    serialize element or text as XML
+*/
+export function serialize(node) {
+    if (typeof node == "string") {
+        return escape(node);
+    }
+    let attrs = Object.entries(node.attributes || {})
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join("");
+    let children = node.children || [];
+    if (children.length == 0) {
+        return `<${node.name}${attrs}/>`;
+    }
+    return `<${node.name}${attrs}>${children.map(serialize).join("")}</${node.name}>`;
+}
+
+/*
+    local name of element or attribute - without prefix
+*/
+export function localName(name) {
+    let idx = name.indexOf(":");
+    return (idx > -1) ? name.slice(idx+1) : name;
+}